@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { loadCsv, drillDown, tableCsv, levelLabel } from '../src/headless.js';
+
+// Command-line rollups: the rows the dashboard shows for one drill node of a CSV file.
+//   sku-rollup data.csv --hierarchy category,sub_category,item --path "Dairy & Eggs>Milk"
+//     --measure "Margin %" --opco OpCo1 --format csv
+
+const USAGE = `Usage: sku-rollup <file.csv> [options]
+
+  --hierarchy <a,b,c>   drill levels (default: category, sub_category, item when present)
+  --path <v1>v2>        drill path from the top, values separated by ">" (default: the top level)
+  --measure <name>      only this measure (default: every measure)
+  --opco <name>         only this OpCo (default: all, one line per group and OpCo)
+  --sort <name|measure> group order, as the chart's "Sort by" (default: name)
+  --desc                sort descending
+  --top <n>             keep the top n groups and fold the rest into "Others"
+  --format <json|csv>   output format (default: json)
+  --escape-formulae     in CSV output, prefix text starting with =, +, - or @ with ' so
+                        spreadsheets don't run it as a formula
+  --output <file>       write to a file instead of stdout
+  --help                show this help
+`;
+
+const fail = (message) => {
+  process.stderr.write(`sku-rollup: ${message}\n`);
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      hierarchy: { type: 'string' },
+      path: { type: 'string' },
+      measure: { type: 'string' },
+      opco: { type: 'string' },
+      sort: { type: 'string' },
+      desc: { type: 'boolean' },
+      top: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      'escape-formulae': { type: 'boolean' },
+      output: { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  });
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`);
+}
+const { values: opts, positionals } = args;
+
+if (opts.help) {
+  process.stdout.write(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail(`expected one CSV file\n\n${USAGE}`);
+if (!['json', 'csv'].includes(opts.format)) fail(`unknown format "${opts.format}"`);
+const topN = opts.top === undefined ? 0 : Number(opts.top);
+if (!Number.isInteger(topN) || topN < 0) fail(`--top expects a whole number, got "${opts.top}"`);
+
+const split = (s, sep) =>
+  (s || '')
+    .split(sep)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+try {
+  const dataset = loadCsv(readFileSync(positionals[0], 'utf8'));
+  const { level, table } = drillDown(dataset, {
+    hierarchy: split(opts.hierarchy, ','),
+    drillPath: split(opts.path, '>'),
+    measure: opts.measure,
+    opco: opts.opco || 'All',
+    sortBy: opts.sort && opts.sort !== 'name' ? opts.sort : undefined,
+    direction: opts.desc ? 'desc' : 'asc',
+    topN,
+  });
+  const text =
+    opts.format === 'csv'
+      ? `${tableCsv(table, { escapeFormulae: Boolean(opts['escape-formulae']) })}\n`
+      : `${JSON.stringify({ level: level ? levelLabel(level) : 'SKU', columns: table.columns, rows: table.rows }, null, 2)}\n`;
+  if (opts.output) writeFileSync(opts.output, text);
+  else process.stdout.write(text);
+} catch (err) {
+  fail(err?.message || String(err));
+}
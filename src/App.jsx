@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
   BarChart,
   Bar,
@@ -11,8 +11,144 @@ import {
   Cell,
   Customized,   // <-- added
 } from 'recharts';
-import { ChevronRight, Home, ArrowLeft, Upload, BarChart3 } from 'lucide-react';
-import Papa from "papaparse";
+import {
+  ChevronRight,
+  Home,
+  ArrowLeft,
+  Upload,
+  BarChart3,
+  Database,
+  Link2,
+  History,
+  Trash2,
+  Layers,
+  Columns3,
+  ShieldCheck,
+  Sigma,
+  FileSpreadsheet,
+  GitCompare,
+  SlidersHorizontal,
+  Search,
+  Target,
+  FlaskConical,
+  Bell,
+  X,
+} from 'lucide-react';
+import { autoMapping, findProfile, mappingForHeaders, saveProfile } from './columnMapping.js';
+import ColumnMappingWizard from './ColumnMappingWizard.jsx';
+import { detectFormat } from './fileParsers.js';
+import { parseInput, pickSheet, normalizeParsed, setWorkerRows, computeRollups } from './dataClient.js';
+import { useNodeView } from './useNodeView.js';
+import { ALL_OPCOS, pathKey, chartRowsFromNode, rowsAtPath, hierarchyTree, bucketMetrics } from './aggregate.js';
+import ProgressBar from './ProgressBar.jsx';
+import {
+  EMPTY_TABLE_FILTERS,
+  applyTableFilters,
+  sortRows,
+  nextSortKeys,
+  filterOptionsFor,
+  totalsFor,
+  rowValue,
+} from './tableRows.js';
+import SkuTable from './SkuTable.jsx';
+import {
+  buildQualityReport,
+  excludedRowSet,
+  offendingRowsCsv,
+} from './dataQuality.js';
+import DataQualityReport from './DataQualityReport.jsx';
+import { downloadText, safeFilename } from './download.js';
+import {
+  chartExportTable,
+  leafExportTable,
+  pivotExportTable,
+  downloadTableCsv,
+  downloadTableXlsx,
+  downloadChartSvg,
+  downloadChartPng,
+} from './exporters.js';
+import ExportMenu from './ExportMenu.jsx';
+import {
+  COMPARE_VIEWS,
+  SKU_STATUS,
+  periodColumns,
+  inPeriod,
+  comparisonLabel,
+  comparisonChartRows,
+  flagSkuChanges,
+  divergingShade,
+} from './comparison.js';
+import ComparisonPanel from './ComparisonPanel.jsx';
+import { TIME_GRAINS, dateColumns, dateExtent, rangeBounds, hasDateRange, inDateRange } from './dates.js';
+import TrendChart from './TrendChart.jsx';
+import { compileMeasures, withRowMeasures } from './measures.js';
+import MeasureEditor from './MeasureEditor.jsx';
+import { DEFAULT_ABC, DEFAULT_TAIL_PERCENTILE, rankPareto, volumeMetric } from './pareto.js';
+import ParetoView, { ABC_COLORS } from './ParetoView.jsx';
+import { flattenTree } from './treeLayout.js';
+import TreemapView from './TreemapView.jsx';
+import SunburstView from './SunburstView.jsx';
+import { skuPoints, pointId } from './scatter.js';
+import ScatterView from './ScatterView.jsx';
+import { NAME_SORT, TOP_N_OPTIONS, withOthers, drillGroups, placeRows } from './chartOrder.js';
+import { EMPTY_FILTERS, hasFilters, rowFilter, filterChips } from './filters.js';
+import FilterPanel from './FilterPanel.jsx';
+import { searchIndex } from './search.js';
+import SearchPalette from './SearchPalette.jsx';
+import {
+  parseTargets,
+  allocateTargets,
+  nodeTarget,
+  targetVariance,
+  targetColumns,
+  withRowTargets,
+  targetTotals,
+} from './targets.js';
+import TargetsPanel from './TargetsPanel.jsx';
+import {
+  SIM_PREFIX,
+  scenarioFields,
+  simulatedMetrics,
+  simulateRows,
+  withSimColumns,
+  simColumnTotals,
+} from './scenarios.js';
+import ScenarioPanel from './ScenarioPanel.jsx';
+import { pivotFromData } from './pivotTable.js';
+import PivotTableView from './PivotTableView.jsx';
+import { FLAG, resolveRules, valueMark, barMark, ruleCounts, ruleColor, ruleLabel } from './alertRules.js';
+import RulesPanel from './RulesPanel.jsx';
+import { GROUP_AVERAGE, SPREAD, SPREAD_PCT, opcoVarianceRows, opcoPivot, opcoPivotTotals } from './opcoCompare.js';
+import { encodeViewState, readViewState, writeViewState, validDrillPath, viewSortKeys } from './urlState.js';
+import {
+  fetchManifest,
+  bundledDatasetUrl,
+  sourceLabel,
+  readSourceFromQuery,
+  isReloadable,
+  loadLastSource,
+  saveLastSource,
+} from './dataSources.js';
+import {
+  saveDataset,
+  listDatasets,
+  getDataset,
+  deleteDataset,
+  updateDatasetView,
+  updateDatasetMeasures,
+  updateDatasetScenarios,
+  loadLastDatasetId,
+  saveLastDatasetId,
+} from './datasetStore.js';
+import {
+  DEFAULT_HIERARCHY,
+  dimensionColumns,
+  defaultHierarchy,
+  isValidHierarchy,
+  levelLabel,
+  levelLabelPlural,
+} from './hierarchy.js';
+import HierarchyEditor from './HierarchyEditor.jsx';
 
 /** --- NEW: SVG layer that draws vertical separators between category groups --- */
 const SeparatorLayer = ({ categories }) => {
@@ -73,45 +209,170 @@ const SeparatorLayer = ({ categories }) => {
   );
 };
 
+// Pills counting the SKUs under each bar that break each formatting rule, above the bar
+// group (or right of it with horizontal bars). badges: [{ name, counts: [{ color, count }] }]
+const PILL_HEIGHT = 16;
+const pillWidth = (count) => 12 + String(count).length * 7;
+
+const RuleBadgeLayer = ({ badges, horizontal }) => (
+  <Customized
+    content={(props) => {
+      const { xAxisMap, yAxisMap, offset } = props || {};
+      const axisMap = horizontal ? yAxisMap : xAxisMap;
+      if (!axisMap || !offset || !badges?.length) return null;
+      const scale = axisMap[Object.keys(axisMap)[0]]?.scale;
+      if (!scale || typeof scale.bandwidth !== 'function') return null;
+      const bw = scale.bandwidth();
+
+      return (
+        <g pointerEvents="none">
+          {badges.map(({ name, counts }) => {
+            const pos = scale(name);
+            const shown = counts.filter((c) => c.count > 0);
+            if (pos == null || !shown.length) return null;
+            const total = shown.reduce((acc, c) => acc + pillWidth(c.count) + 3, -3);
+            let x = horizontal ? offset.left + offset.width + 90 : offset.left + pos + bw / 2 - total / 2;
+            const y = horizontal ? offset.top + pos + bw / 2 - PILL_HEIGHT / 2 : offset.top - PILL_HEIGHT - 2;
+            return (
+              <g key={name}>
+                {shown.map((c, i) => {
+                  const w = pillWidth(c.count);
+                  const pill = (
+                    <g key={i}>
+                      <rect x={x} y={y} width={w} height={PILL_HEIGHT} rx={PILL_HEIGHT / 2} fill={c.color} />
+                      <text x={x + w / 2} y={y + 12} textAnchor="middle" fontSize={10} fill="#ffffff">
+                        {c.count}
+                      </text>
+                    </g>
+                  );
+                  x += w + 3;
+                  return pill;
+                })}
+              </g>
+            );
+          })}
+        </g>
+      );
+    }}
+  />
+);
+
 const SKUDashboard = () => {
-  const [data, setData] = useState([]);
+  // every normalized row; `data` below is what's left after data-quality exclusions
+  const [allRows, setAllRows] = useState([]);
+  const [loadIssues, setLoadIssues] = useState(null);
+  const [excludedChecks, setExcludedChecks] = useState([]);
+  const [showQualityReport, setShowQualityReport] = useState(false);
+  const [hierarchy, setHierarchy] = useState(DEFAULT_HIERARCHY);
   const [drillPath, setDrillPath] = useState([]);
+  const [showHierarchyEditor, setShowHierarchyEditor] = useState(false);
   const [selectedMetric, setSelectedMetric] = useState('Margin %'); // default measure
   const [selectedOpCo, setSelectedOpCo] = useState('All');
   const [availableOpCos, setAvailableOpCos] = useState([]);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  // with OpCo "All": the OpCos to show (empty for all of them), what to compare them
+  // against ('' for plain values, GROUP_AVERAGE or a benchmark OpCo) and the leaf pivot
+  const [opcoChoice, setOpcoChoice] = useState([]);
+  const [opcoVariance, setOpcoVariance] = useState('');
+  const [showOpcoPivot, setShowOpcoPivot] = useState(false);
+  const [pivotSortKeys, setPivotSortKeys] = useState([{ key: SPREAD, direction: 'desc' }]);
+  const [pivotFilters, setPivotFilters] = useState(EMPTY_TABLE_FILTERS);
+  const [sortKeys, setSortKeys] = useState([]);
+  const [tableFilters, setTableFilters] = useState(EMPTY_TABLE_FILTERS);
 
   const [isLoading, setIsLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
   const [error, setError] = useState('');
 
-  const [availableMetrics, setAvailableMetrics] = useState([
+  const [bundledDatasets, setBundledDatasets] = useState([]);
+  const [manifestLoaded, setManifestLoaded] = useState(false);
+  const [currentSource, setCurrentSource] = useState(null);
+  const [urlInput, setUrlInput] = useState('');
+
+  const [mappingStep, setMappingStep] = useState(null);
+  const [sheetPicker, setSheetPicker] = useState(null);
+  const [lastParse, setLastParse] = useState(null);
+
+  const [recentDatasets, setRecentDatasets] = useState([]);
+  const [currentDatasetId, setCurrentDatasetId] = useState(null);
+
+  // period-over-period: comparison config, baseline rows (dataset mode) and what bars show
+  const [comparison, setComparison] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+  const [baselineRows, setBaselineRows] = useState([]);
+  const [compareView, setCompareView] = useState('current');
+
+  // time series: detected date/period column, trend grain and a dashboard-wide date range
+  const [dateColumn, setDateColumn] = useState(null);
+  const [timeGrain, setTimeGrain] = useState('month');
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+
+  const [baseMetrics, setBaseMetrics] = useState([
     'Margin',
     'Revenue',
     'Cost',
     'No of Transactions',
   ]);
 
-  // ---------- helpers ----------
-  const toNumber = (v) => {
-    if (v === null || v === undefined) return 0;
-    const s = String(v).trim().toLowerCase().replace(/,/g, '');
-    const m = s.match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
-    if (!m) return Number(s) || 0;
-    const mult = { k: 1e3, m: 1e6, b: 1e9 }[(m[2] || '').toLowerCase()] || 1;
-    return parseFloat(m[1]) * mult;
-  };
-
-  const getNum = (obj, candidates) => {
-    const norm = (x) => x.toLowerCase().replace(/\s+|_/g, '');
-    const keys = Object.keys(obj);
-    for (const key of keys) {
-      if (candidates.some((c) => norm(c) === norm(key))) {
-        return toNumber(obj[key]);
-      }
-    }
-    return 0;
-  };
+  // calculated measures (definitions, saved with the dataset) join the dataset's own
+  const [measures, setMeasures] = useState([]);
+  const [showMeasureEditor, setShowMeasureEditor] = useState(false);
+  // global include/exclude and range filters (filters.js), applied before aggregating
+  const [globalFilters, setGlobalFilters] = useState(EMPTY_FILTERS);
+  const [showFilterPanel, setShowFilterPanel] = useState(false);
+  // jump-to search (Ctrl/Cmd+K or "/"); a chosen SKU is highlighted in the leaf table
+  // while its node ({ sku_code, at: path key }) is the one shown
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchHit, setSearchHit] = useState(null);
+  // uploaded targets ({ fileName, records }), parsed against the current hierarchy, and
+  // whether they are drawn as ghost bars behind the actuals or as markers
+  const [targetFile, setTargetFile] = useState(null);
+  const [targetStyle, setTargetStyle] = useState('ghost');
+  const [showTargetsPanel, setShowTargetsPanel] = useState(false);
+  // what-if scenarios (scenarios.js), saved with the dataset; the active one is shown
+  // next to the actuals
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenario, setActiveScenario] = useState('');
+  const [showScenarioPanel, setShowScenarioPanel] = useState(false);
+  // chart type: bars, treemap, sunburst, scatter, the Pareto/ABC view or the pivot table
+  const [chartType, setChartType] = useState('bar');
+  // bar order ({ key: NAME_SORT or a measure, direction }), Top N (0 for all) with the
+  // rest in an "Others" bar until it is expanded, and horizontal bars for long names
+  const [chartSort, setChartSort] = useState({ key: NAME_SORT, direction: 'asc' });
+  const [topN, setTopN] = useState(0);
+  const [othersExpanded, setOthersExpanded] = useState(false);
+  const [horizontalBars, setHorizontalBars] = useState(false);
+  const [sizeMetric, setSizeMetric] = useState('Revenue'); // treemap/sunburst area
+  const [colorMetric, setColorMetric] = useState('Margin %'); // treemap/sunburst colour
+  // scatter: measures per axis (null for the default), quadrant thresholds (null for the
+  // median) and the lasso selection of point ids, which filters the detail table
+  const [scatterAxes, setScatterAxes] = useState({ x: null, y: null, size: null });
+  const [scatterThresholds, setScatterThresholds] = useState({ x: null, y: null });
+  const [scatterSelection, setScatterSelection] = useState(null);
+  const [paretoScope, setParetoScope] = useState('level'); // 'level' | 'sku'
+  // pivot: { rows, cols, values } (null for the current level by OpCo and the selected
+  // measure) and the keys of its open row groups
+  const [pivotLayout, setPivotLayout] = useState(null);
+  const [pivotExpanded, setPivotExpanded] = useState(() => new Set());
+  // conditional formatting rules (alertRules.js), applied as they are edited
+  const [alertRules, setAlertRules] = useState([]);
+  const [showRulesPanel, setShowRulesPanel] = useState(false);
+  const [abcThresholds, setAbcThresholds] = useState(DEFAULT_ABC);
+  const [tailPercentile, setTailPercentile] = useState(DEFAULT_TAIL_PERCENTILE);
+  const compiledMeasures = useMemo(() => compileMeasures(measures, baseMetrics), [measures, baseMetrics]);
+  const availableMetrics = useMemo(
+    () => [...baseMetrics, ...compiledMeasures.names],
+    [baseMetrics, compiledMeasures]
+  );
+  // 'before' measures and Margin % are ratios: no value where there are no rows
+  const isRatioMetric = (m) =>
+    m === 'Margin %' || (compiledMeasures.names.includes(m) && !compiledMeasures.perRow.includes(m));
+
+  // view state from the URL hash, applied once data is available
+  const pendingViewRef = useRef(window.location.hash ? readViewState() : null);
+  const syncedPathRef = useRef(null);
+  const chartRef = useRef(null);
 
+  // ---------- helpers ----------
   const compactNumber = (n) => {
     const num = Number(n);
     const abs = Math.abs(num);
@@ -122,7 +383,19 @@ const SKUDashboard = () => {
     return String(Math.round(num));
   };
 
+  // calculated measures carry their own format; percent shows ratios × 100
+  const formatMeasure = (format, val) => {
+    const num = Number(val);
+    if (!Number.isFinite(num)) return '';
+    if (format === 'percent') return `${(num * 100).toFixed(1)}%`;
+    if (Math.abs(num) >= 1_000) return compactNumber(num);
+    return format === 'currency'
+      ? num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      : num.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  };
+
   const formatSpecific = (metricName, val) => {
+    if (compiledMeasures.formats[metricName]) return formatMeasure(compiledMeasures.formats[metricName], val);
     const isPct = /%/i.test(metricName) || /margin\s*%/i.test(metricName);
     if (isPct) {
       const num = Number(val);
@@ -133,10 +406,26 @@ const SKUDashboard = () => {
     return compactNumber(val);
   };
 
-  const formatMetricValue = (val) =>
-    selectedMetric === 'Margin %'
+  const formatMetricValue = (val) => {
+    if (showingChange) return formatChange(selectedMetric, val, varianceActive ? 'change' : compareView);
+    if (compiledMeasures.formats[selectedMetric]) return formatSpecific(selectedMetric, val);
+    return selectedMetric === 'Margin %'
       ? (Number.isFinite(Number(val)) ? `${Number(val).toFixed(1)}%` : '')
       : (Number.isFinite(Number(val)) ? compactNumber(val) : '');
+  };
+
+  // signed change; Margin % moves in points, pctChange is always a percentage
+  const formatChange = (metricName, val, kind) => {
+    const num = Number(val);
+    if (!Number.isFinite(num)) return '';
+    const sign = num > 0 ? '+' : '';
+    if (kind === 'pctChange') return `${sign}${num.toFixed(1)}%`;
+    if (metricName === 'Margin %') return `${sign}${num.toFixed(1)} pts`;
+    const format = compiledMeasures.formats[metricName];
+    if (format === 'percent') return `${sign}${(num * 100).toFixed(1)} pts`;
+    if (format) return `${sign}${formatMeasure(format, num)}`;
+    return `${sign}${compactNumber(num)}`;
+  };
 
   // colors (restored)
   const marginColor = (v) => (v > 0 ? '#16a34a' : v < 0 ? '#dc2626' : '#9ca3af');
@@ -149,163 +438,623 @@ const SKUDashboard = () => {
     return `rgb(${lerp(from.r, to.r, p)}, ${lerp(from.g, to.g, p)}, ${lerp(from.b, to.b, p)})`;
   };
 
-  // ---------- CSV/TSV upload ----------
-  const handleFileUpload = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  // ---------- data quality ----------
+  const qualityReport = useMemo(
+    () => (allRows.length ? buildQualityReport({ rows: allRows, hierarchy, loadIssues }) : null),
+    [allRows, hierarchy, loadIssues]
+  );
 
-    setIsLoading(true);
-    setError('');
+  const excludedRows = useMemo(
+    () => (qualityReport ? excludedRowSet(qualityReport, excludedChecks) : new Set()),
+    [qualityReport, excludedChecks]
+  );
 
-    try {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-        delimitersToGuess: ['\t', ',', ';', '|'],
-        transform: (v) => (typeof v === 'string' ? v.trim() : v),
-        complete: ({ data: rows, errors }) => {
-          if (errors?.length) setError(`Parse warning: ${errors[0].message}`);
-          if (!rows || rows.length === 0) throw new Error('No rows found in file');
-
-          const norm = (x) => String(x || '').toLowerCase().replace(/\s+|_/g, '');
-
-          const normalized = rows
-            .map((r) => {
-              const out = {};
-              for (const k of Object.keys(r)) {
-                const nk = norm(k);
-                const val = r[k];
-                if (nk === 'category') out.category = val;
-                else if (nk === 'subcategory') out.sub_category = val;
-                else if (nk === 'item') out.item = val;
-                else if (nk === 'skucode') out.sku_code = (val || '').trim();
-                else if (nk === 'skudescription') out.sku_description = val;
-                else if (nk === 'opco') out.opco = val;
-              }
-
-              const measureNames = [
-                'revenue',
-                'margin',
-                'cost',
-                'nooftransactions',
-                'nooftrans',
-                'transactions',
-              ];
-
-              for (const k of Object.keys(r)) {
-                const nk = norm(k);
-                if (measureNames.includes(nk)) {
-                  out[k] = toNumber(r[k]);
-                } else if (!(k in out)) {
-                  out[k] = r[k];
-                }
-              }
-
-              return out;
-            })
-            .filter((row) => row.category && row.sub_category && row.item);
-
-          if (normalized.length === 0) {
-            throw new Error('No valid rows after normalization (check category/sub-category/item)');
-          }
+  const keptRows = useMemo(
+    () => (excludedRows.size ? allRows.filter((_, i) => !excludedRows.has(i)) : allRows),
+    [allRows, excludedRows]
+  );
 
-          const sample = normalized[0];
-          const numericCols = Object.keys(sample).filter((k) => typeof sample[k] === 'number');
+  // ---------- global filters ----------
+  const filtersActive = hasFilters(globalFilters);
+  const keepRow = useMemo(() => rowFilter(globalFilters, compiledMeasures), [globalFilters, compiledMeasures]);
+  // every text column, pass-through columns included, plus the SKU itself
+  const filterColumns = useMemo(
+    () =>
+      [...dimensionColumns(allRows), 'sku_code', 'sku_description']
+        .filter((key) => key in (allRows[0] || {}))
+        .map((key) => ({ key, label: key === 'sku_code' ? 'SKU Code' : key === 'sku_description' ? 'Description' : levelLabel(key) })),
+    [allRows]
+  );
 
-          const hasMargin = Object.keys(sample).some((k) => norm(k) === 'margin');
-          const hasRevenue = Object.keys(sample).some((k) => norm(k) === 'revenue');
+  const slicedRows = useMemo(() => (keepRow ? keptRows.filter(keepRow) : keptRows), [keptRows, keepRow]);
 
-          const metrics = [...numericCols];
-          if (hasMargin && hasRevenue && !metrics.includes('Margin %')) metrics.push('Margin %');
+  // ---------- time series ----------
+  const dateCandidates = useMemo(() => dateColumns(allRows, availableMetrics), [allRows, availableMetrics]);
+  const dateBounds = useMemo(() => (dateColumn ? dateExtent(allRows, dateColumn) : null), [allRows, dateColumn]);
 
-          const uniqueOpCos = [...new Set(normalized.map(r => r.opco).filter(Boolean))].sort();
+  // { column, from, to } in ms while a date range is set; applies to charts, table and rollups
+  const activeRange = useMemo(
+    () => (dateColumn && hasDateRange(dateRange) ? { column: dateColumn, ...rangeBounds(dateRange) } : null),
+    [dateColumn, dateRange]
+  );
+
+  const rangedRows = useMemo(
+    () => (activeRange ? slicedRows.filter(inDateRange(activeRange.column, activeRange)) : slicedRows),
+    [slicedRows, activeRange]
+  );
+
+  // ---------- comparison ----------
+  const periodMode = comparison?.mode === 'period';
+
+  // comparing two periods narrows the dashboard to the current one
+  const data = useMemo(
+    () => (periodMode ? rangedRows.filter(inPeriod(comparison.column, comparison.current)) : rangedRows),
+    [rangedRows, periodMode, comparison]
+  );
+
+  const baselineData = useMemo(() => {
+    if (periodMode) return rangedRows.filter(inPeriod(comparison.column, comparison.baseline));
+    if (!comparison) return [];
+    const sliced = keepRow ? baselineRows.filter(keepRow) : baselineRows;
+    return activeRange ? sliced.filter(inDateRange(activeRange.column, activeRange)) : sliced;
+  }, [rangedRows, periodMode, comparison, baselineRows, activeRange, keepRow]);
 
-          setData(normalized);
-          setAvailableMetrics(metrics.length ? metrics : ['Margin', 'Revenue', 'Cost', 'No of Transactions']);
-          setAvailableOpCos(uniqueOpCos);
-          if (metrics.includes('Margin %')) setSelectedMetric('Margin %');
-          else if (metrics.includes('Margin')) setSelectedMetric('Margin');
-          else if (metrics.length > 0) setSelectedMetric(metrics[0]);
-          setSelectedOpCo('All');
-          setDrillPath([]);
-          setSortConfig({ key: null, direction: 'asc' });
-        },
-        error: (e) => { throw e; },
+  const currentPeriod = useMemo(
+    () => (periodMode ? { column: comparison.column, value: comparison.current } : null),
+    [periodMode, comparison?.column, comparison?.current]
+  );
+
+  const comparePeriodColumns = useMemo(() => periodColumns(allRows, availableMetrics), [allRows, availableMetrics]);
+
+  // baseline datasets are read from storage and handed to the worker for rollups
+  useEffect(() => {
+    setBaselineRows([]);
+    if (comparison?.mode !== 'dataset') return;
+    let cancelled = false;
+    getDataset(comparison.datasetId)
+      .then(async (saved) => {
+        if (!saved) throw new Error('Saved dataset not found');
+        await setWorkerRows(saved.rows, 'baseline');
+        if (!cancelled) setBaselineRows(saved.rows);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(`Error opening baseline: ${err.message}`);
+        setComparison(null);
       });
+    return () => {
+      cancelled = true;
+    };
+  }, [comparison]);
+
+  const applyComparison = (config) => {
+    setComparison(config);
+    setShowComparison(false);
+    setDrillPath([]);
+  };
+
+  const clearComparison = () => {
+    setComparison(null);
+    setShowComparison(false);
+    setCompareView('current');
+  };
+
+  const updateMeasures = (next) => {
+    setMeasures(next);
+    if (currentDatasetId) updateDatasetMeasures(currentDatasetId, next).catch(() => {});
+    const names = [...baseMetrics, ...compileMeasures(next, baseMetrics).names];
+    if (!names.includes(selectedMetric)) setSelectedMetric(names.includes('Margin %') ? 'Margin %' : names[0]);
+  };
+
+  const saveScenarios = (next) => {
+    setScenarios(next);
+    if (currentDatasetId) updateDatasetScenarios(currentDatasetId, next).catch(() => {});
+    if (!next.some((s) => s.name === activeScenario)) setActiveScenario('');
+  };
+
+  const qualityIssueCount = qualityReport
+    ? qualityReport.checks.filter((c) => c.rows.length > 0).length + (qualityReport.dropped.count > 0 ? 1 : 0)
+    : 0;
+
+  const toggleExcludedCheck = (id) => {
+    setExcludedChecks((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]));
+    setDrillPath([]);
+  };
+
+  const downloadCheckRows = (check) =>
+    downloadText(
+      offendingRowsCsv(allRows, check.rows, check.details, check.label),
+      `${safeFilename(sourceLabel(currentSource), check.id)}.csv`
+    );
+
+  const downloadDroppedRows = () => {
+    const details = {};
+    qualityReport.dropped.rows.forEach((i) => {
+      const missing = hierarchy.find((col) => !allRows[i][col]);
+      details[i] = `missing ${levelLabel(missing)}`;
+    });
+    downloadText(
+      offendingRowsCsv(allRows, qualityReport.dropped.rows, details, 'dropped'),
+      `${safeFilename(sourceLabel(currentSource), 'dropped')}.csv`
+    );
+  };
+
+  // ---------- loading (parsing, normalization and rollups run in the data worker) ----------
+  // Put a normalized dataset on screen, restoring a pending view (URL hash or saved) if it fits
+  const applyDataset = ({ rows, metrics, opcos, loadIssues: issues, measures: savedMeasures, scenarios: savedScenarios }) => {
+    const pending = pendingViewRef.current;
+    pendingViewRef.current = null;
+    const sample = rows[0] || {};
+    const levels = isValidHierarchy(pending?.hierarchy, rows) ? pending.hierarchy : defaultHierarchy(rows);
+
+    setAllRows(rows);
+    setLoadIssues(issues || null);
+    setExcludedChecks(Array.isArray(pending?.excludedChecks) ? pending.excludedChecks : []);
+    setShowQualityReport(true);
+    setHierarchy(levels);
+    setBaseMetrics(metrics);
+    setMeasures(savedMeasures || []);
+    setShowMeasureEditor(false);
+    setScenarios(savedScenarios || []);
+    setActiveScenario('');
+    setAvailableOpCos(opcos);
+    setOpcoChoice([]);
+    setOpcoVariance('');
+    const allMetrics = [...metrics, ...(savedMeasures || []).map((m) => m.name)];
+    if (pending?.selectedMetric && allMetrics.includes(pending.selectedMetric)) setSelectedMetric(pending.selectedMetric);
+    else if (metrics.includes('Margin %')) setSelectedMetric('Margin %');
+    else if (metrics.includes('Margin')) setSelectedMetric('Margin');
+    else if (metrics.length > 0) setSelectedMetric(metrics[0]);
+    setSelectedOpCo(pending && opcos.includes(pending.selectedOpCo) ? pending.selectedOpCo : 'All');
+    setDrillPath(pending ? validDrillPath(rows, pending.drillPath, levels) : []);
+    setSortKeys(viewSortKeys(pending).filter((s) => metrics.includes(s.key) || s.key in sample));
+    setTableFilters(EMPTY_TABLE_FILTERS);
+    setComparison(null);
+    setShowComparison(false);
+    setBaselineRows([]);
+    setCompareView('current');
+    setDateColumn(dateColumns(rows, metrics)[0] || null);
+    setDateRange({ from: '', to: '' });
+  };
+
+  const refreshRecentDatasets = () =>
+    listDatasets()
+      .then(setRecentDatasets)
+      .catch(() => setRecentDatasets([]));
+
+  // Save a freshly parsed dataset; failure (quota, private mode) must not block the session
+  const persistDataset = (dataset, source) =>
+    saveDataset({ ...dataset, source, name: sourceLabel(source) })
+      .then((meta) => {
+        setCurrentDatasetId(meta.id);
+        saveLastDatasetId(meta.id);
+        if (meta.measures?.length) setMeasures(meta.measures);
+        if (meta.scenarios?.length) setScenarios(meta.scenarios);
+        refreshRecentDatasets();
+      })
+      .catch(() => setCurrentDatasetId(null));
+
+  const openSavedDataset = async (id) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const saved = await getDataset(id);
+      if (!saved) throw new Error('Saved dataset not found');
+      if (saved.view && pendingViewRef.current === null) pendingViewRef.current = saved.view;
+      await setWorkerRows(saved.rows);
+      applyDataset(saved);
+      setCurrentSource(saved.source);
+      setLastParse(null);
+      setCurrentDatasetId(saved.id);
+      saveLastDatasetId(saved.id);
+      return true;
     } catch (err) {
-      setError(`Error loading file: ${err.message}`);
+      setError(`Error opening saved dataset: ${err.message}`);
+      return false;
     } finally {
       setIsLoading(false);
     }
   };
 
-  // Filter by drill path + OpCo
-  const filteredData = useMemo(() => {
-    let filtered = [...data];
-    if (selectedOpCo !== 'All') filtered = filtered.filter((i) => i.opco === selectedOpCo);
-    if (drillPath.length > 0) filtered = filtered.filter((i) => i.category === drillPath[0]);
-    if (drillPath.length > 1) filtered = filtered.filter((i) => i.sub_category === drillPath[1]);
-    if (drillPath.length > 2) filtered = filtered.filter((i) => i.item === drillPath[2]);
-    return filtered;
-  }, [data, drillPath, selectedOpCo]);
+  const removeSavedDataset = async (id) => {
+    try {
+      await deleteDataset(id);
+    } catch (err) {
+      setError(`Error deleting dataset: ${err.message}`);
+    }
+    refreshRecentDatasets();
+  };
 
-  // Build chart data (grouped by OpCo when "All" is selected)
-  const { chartData, isLeafLevel, valueRange } = useMemo(() => {
-    if (data.length === 0) return { chartData: [], isLeafLevel: false, valueRange: [0, 1] };
+  // Shared loading/progress/error handling for every load step
+  const runLoad = async (task) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      await task();
+    } catch (err) {
+      setError(`Error loading data: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+      setLoadProgress(null);
+    }
+  };
 
-    let groupCol;
-    if (drillPath.length === 0) groupCol = 'category';
-    else if (drillPath.length === 1) groupCol = 'sub_category';
-    else if (drillPath.length === 2) groupCol = 'item';
-    else return { chartData: [], isLeafLevel: true, valueRange: [0, 1] };
-
-    const groupedByDim = {};
-    const useGroupedOpco = selectedOpCo === 'All' && availableOpCos.length > 0;
-
-    filteredData.forEach((row) => {
-      const dim = row[groupCol];
-      if (!groupedByDim[dim]) groupedByDim[dim] = {};
-      const opcoKey = useGroupedOpco ? (row.opco || 'Unknown') : '__single__';
-      if (!groupedByDim[dim][opcoKey]) {
-        groupedByDim[dim][opcoKey] = { sums: {}, marginSum: 0, revenueSum: 0 };
-      }
-      const bucket = groupedByDim[dim][opcoKey];
+  // parse: { headers, sample, rowCount, errors } as returned by the worker
+  const finishLoad = async (parse, source, mapping) => {
+    const dataset = await normalizeParsed(mapping, setLoadProgress);
+    if (dataset.warning) setError(dataset.warning);
+    applyDataset(dataset);
+    setCurrentSource(source);
+    setLastParse({ parse, source, mapping });
+    saveLastSource(source);
+    persistDataset(dataset, source);
+  };
 
-      availableMetrics
-        .filter((m) => m !== 'Margin %')
-        .forEach((m) => {
-          const v = toNumber(row[m]);
-          bucket.sums[m] = (bucket.sums[m] || 0) + (Number.isFinite(v) ? v : 0);
-        });
+  // A saved profile for these headers wins; otherwise ask only when a drill level or revenue is missing
+  const handleParsed = async (parse, source) => {
+    const profile = findProfile(parse.headers);
+    if (profile) {
+      await finishLoad(parse, source, mappingForHeaders(profile.mapping, parse.headers));
+      return;
+    }
+    const { mapping, complete } = autoMapping(parse.headers, parse.sample);
+    if (complete) await finishLoad(parse, source, mapping);
+    else setMappingStep({ parse, source, mapping, profileName: sourceLabel(source) });
+  };
 
-      bucket.marginSum += getNum(row, ['Margin', 'margin']);
-      bucket.revenueSum += getNum(row, ['Revenue', 'revenue']);
+  const applyMappingStep = (mapping, profileName) => {
+    const { parse, source } = mappingStep;
+    if (profileName !== undefined) saveProfile(profileName, parse.headers, mapping);
+    setMappingStep(null);
+    runLoad(() => finishLoad(parse, source, mapping));
+  };
+
+  // Reopen the mapping for the dataset on screen (the worker still holds its parse)
+  const editColumnMapping = () => {
+    if (!lastParse) return;
+    const { parse, source, mapping } = lastParse;
+    const profile = findProfile(parse.headers);
+    setMappingStep({ parse, source, mapping, profileName: profile?.name || sourceLabel(source) });
+  };
+
+  // input: a File, or a URL when `download` is set
+  const parseSource = (input, source, { download = false } = {}) => {
+    const format = detectFormat(download ? input : input.name);
+    runLoad(async () => {
+      const request = download
+        ? { url: new URL(input, window.location.href).href, format }
+        : { file: input, format };
+      const parse = await parseInput(request, setLoadProgress);
+      if (parse.sheets) {
+        setSheetPicker({ sheets: parse.sheets, source });
+        return;
+      }
+      await handleParsed(parse, source);
     });
+  };
 
-    const rows = Object.entries(groupedByDim).map(([dim, opcoMap]) => {
-      const obj = { name: dim, __byOpCo: {} };
-      Object.entries(opcoMap).forEach(([opcoKey, agg]) => {
-        const metricsMap = { ...agg.sums };
-        metricsMap['Margin %'] = agg.revenueSum > 0 ? (agg.marginSum / agg.revenueSum) * 100 : NaN;
-        const plotted = metricsMap[selectedMetric];
-
-        if (useGroupedOpco) {
-          obj[opcoKey] = plotted;
-          obj.__byOpCo[opcoKey] = metricsMap;
-        } else {
-          obj.value = plotted;
-          obj.__metrics = metricsMap;
+  const handlePickSheet = (sheetName) => {
+    const { source } = sheetPicker;
+    setSheetPicker(null);
+    runLoad(async () => {
+      const parse = await pickSheet(sheetName, setLoadProgress);
+      await handleParsed(parse, { ...source, sheet: sheetName });
+    });
+  };
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    parseSource(file, { type: 'file', name: file.name, size: file.size, lastModified: file.lastModified });
+  };
+
+  const loadRemoteSource = (source) => {
+    if (source.type === 'bundled') {
+      const dataset = bundledDatasets.find((d) => d.id === source.id);
+      if (!dataset) {
+        setError(`Unknown bundled dataset "${source.id}"`);
+        return;
+      }
+      parseSource(bundledDatasetUrl(dataset), { type: 'bundled', id: dataset.id, name: dataset.name }, { download: true });
+    } else if (source.type === 'url') {
+      parseSource(source.url, source, { download: true });
+    }
+  };
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    const url = urlInput.trim();
+    if (!url) return;
+    loadRemoteSource({ type: 'url', url, name: url.split('/').pop() || url });
+  };
+
+  // Bundled dataset manifest
+  useEffect(() => {
+    let cancelled = false;
+    fetchManifest()
+      .then((list) => { if (!cancelled) setBundledDatasets(list); })
+      .catch(() => { if (!cancelled) setBundledDatasets([]); })
+      .finally(() => { if (!cancelled) setManifestLoaded(true); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // On startup open ?src= / ?dataset=, otherwise restore the last saved dataset,
+  // otherwise reload the last remote source
+  const startupLoadRef = useRef(false);
+  useEffect(() => {
+    if (!manifestLoaded || startupLoadRef.current) return;
+    startupLoadRef.current = true;
+    refreshRecentDatasets();
+
+    const querySource = readSourceFromQuery();
+    if (querySource) {
+      loadRemoteSource(querySource);
+      return;
+    }
+    const restoreLast = async () => {
+      const lastId = loadLastDatasetId();
+      // an explicit hash wins over the view saved with the dataset (see openSavedDataset)
+      if (lastId) {
+        if (await openSavedDataset(lastId)) return;
+        setError('');
+      }
+      const source = loadLastSource();
+      if (isReloadable(source)) loadRemoteSource(source);
+    };
+    restoreLast();
+  }, [manifestLoaded]);
+
+  // Remember the view with the saved dataset
+  useEffect(() => {
+    if (!currentDatasetId || allRows.length === 0) return;
+    updateDatasetView(currentDatasetId, {
+      hierarchy,
+      drillPath,
+      selectedMetric,
+      selectedOpCo,
+      sortKeys,
+      excludedChecks,
+    }).catch(() => {});
+  }, [currentDatasetId, allRows, hierarchy, drillPath, selectedMetric, selectedOpCo, sortKeys, excludedChecks]);
+
+  // Keep the URL hash in sync: drilling adds a history entry, other changes replace it
+  useEffect(() => {
+    if (allRows.length === 0) return;
+    const pathKey = drillPath.join('\u0000');
+    const push = syncedPathRef.current !== null && syncedPathRef.current !== pathKey;
+    syncedPathRef.current = pathKey;
+    writeViewState({ hierarchy, drillPath, selectedMetric, selectedOpCo, sortKeys }, { push });
+  }, [allRows, hierarchy, drillPath, selectedMetric, selectedOpCo, sortKeys]);
+
+  // Browser back/forward restores the view encoded in the hash
+  useEffect(() => {
+    const onPopState = () => {
+      const view = readViewState();
+      if (allRows.length === 0) {
+        pendingViewRef.current = view;
+        return;
+      }
+      const levels = isValidHierarchy(view.hierarchy, allRows) ? view.hierarchy : defaultHierarchy(allRows);
+      syncedPathRef.current = view.drillPath.join('\u0000');
+      setHierarchy(levels);
+      setDrillPath(validDrillPath(allRows, view.drillPath, levels));
+      if (view.selectedMetric && availableMetrics.includes(view.selectedMetric)) setSelectedMetric(view.selectedMetric);
+      setSelectedOpCo(availableOpCos.includes(view.selectedOpCo) ? view.selectedOpCo : 'All');
+      setSortKeys(view.sortKeys);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [allRows, availableMetrics, availableOpCos]);
+
+  // OpCo sub-bars make no sense once OpCo is itself a drill level
+  const groupByOpCo = selectedOpCo === 'All' && availableOpCos.length > 0 && !hierarchy.includes('opco');
+
+  // Rollups for every hierarchy level, computed in the worker whenever the rows,
+  // the hierarchy or the measures change; drilling and switching measure/OpCo are lookups.
+  const [rollups, setRollups] = useState(null);
+  const [aggregateProgress, setAggregateProgress] = useState(null);
+  const rollupSeqRef = useRef(0);
+
+  useEffect(() => {
+    const seq = ++rollupSeqRef.current;
+    setRollups(null);
+    if (allRows.length === 0) return;
+    const current = () => seq === rollupSeqRef.current;
+    computeRollups(
+      {
+        hierarchy,
+        metrics: baseMetrics,
+        measures,
+        excluded: [...excludedRows],
+        where: currentPeriod || undefined,
+        range: activeRange || undefined,
+        filters: filtersActive ? globalFilters : undefined,
+      },
+      (p) => { if (current()) setAggregateProgress(p); }
+    )
+      .then((result) => { if (current()) setRollups(result); })
+      .catch((err) => { if (current()) setError(`Error aggregating data: ${err.message}`); })
+      .finally(() => { if (current()) setAggregateProgress(null); });
+  }, [allRows, hierarchy, baseMetrics, measures, excludedRows, currentPeriod, activeRange, globalFilters]);
+
+  // Views that need the rows under a node (trend, scatter, SKU Pareto, pivot, scenarios,
+  // rule points) are worked out in the worker too, from the rollups' row selection.
+  // nodeScope is the current node; rootScope and opcoScope cover every node.
+  const rowSelection = useMemo(
+    () =>
+      allRows.length
+        ? {
+            hierarchy,
+            metrics: baseMetrics,
+            measures,
+            excluded: [...excludedRows],
+            where: currentPeriod || undefined,
+            range: activeRange || undefined,
+            filters: filtersActive ? globalFilters : undefined,
+          }
+        : null,
+    [allRows, hierarchy, baseMetrics, measures, excludedRows, currentPeriod, activeRange, filtersActive, globalFilters]
+  );
+  const nodeScope = useMemo(
+    () => rowSelection && { ...rowSelection, drillPath, selectedOpCo },
+    [rowSelection, drillPath, selectedOpCo]
+  );
+  const rootScope = useMemo(() => rowSelection && { ...rowSelection, drillPath: [], selectedOpCo: 'All' }, [rowSelection]);
+  const opcoScope = useMemo(
+    () => rowSelection && { ...rowSelection, drillPath: [], selectedOpCo },
+    [rowSelection, selectedOpCo]
+  );
+  const viewFailed = (err) => setError(`Error aggregating data: ${err.message}`);
+
+  // Baseline rollups: the baseline period of the same rows, or the baseline dataset
+  const [baselineRollups, setBaselineRollups] = useState(null);
+  const baselineSeqRef = useRef(0);
+
+  useEffect(() => {
+    const seq = ++baselineSeqRef.current;
+    setBaselineRollups(null);
+    if (!comparison || allRows.length === 0) return;
+    if (!periodMode && baselineRows.length === 0) return;
+    const request = periodMode
+      ? {
+          excluded: [...excludedRows],
+          where: { column: comparison.column, value: comparison.baseline },
         }
-      });
-      return obj;
+      : { set: 'baseline' };
+    computeRollups({
+      hierarchy,
+      metrics: baseMetrics,
+      measures,
+      range: activeRange || undefined,
+      filters: filtersActive ? globalFilters : undefined,
+      ...request,
+    })
+      .then((result) => { if (seq === baselineSeqRef.current) setBaselineRollups(result); })
+      .catch((err) => { if (seq === baselineSeqRef.current) setError(`Error aggregating baseline: ${err.message}`); });
+  }, [comparison, periodMode, baselineRows, allRows, hierarchy, baseMetrics, measures, excludedRows, activeRange, globalFilters]);
+
+  const comparing = Boolean(comparison && baselineRollups);
+
+  const chartSortKey = chartSort.key === NAME_SORT || availableMetrics.includes(chartSort.key) ? chartSort.key : NAME_SORT;
+
+  const chosenOpCos = opcoChoice.length ? availableOpCos.filter((op) => opcoChoice.includes(op)) : availableOpCos;
+  // OpCo variance applies to grouped bars; a period/dataset comparison takes precedence
+  const varianceActive =
+    groupByOpCo &&
+    !comparing &&
+    (opcoVariance === GROUP_AVERAGE || (Boolean(opcoVariance) && chosenOpCos.includes(opcoVariance)));
+  // the benchmark itself would always be zero
+  const shownOpCos = varianceActive ? chosenOpCos.filter((op) => op !== opcoVariance) : chosenOpCos;
+  const varianceLabel = opcoVariance === GROUP_AVERAGE ? 'Group average' : opcoVariance;
+
+  // ---------- targets ----------
+  const parsedTargets = useMemo(
+    () => (targetFile ? parseTargets(targetFile.records, { hierarchy, metrics: availableMetrics }) : null),
+    [targetFile, hierarchy, availableMetrics]
+  );
+  const targetAlloc = useMemo(
+    () =>
+      parsedTargets?.targets.length && rollups
+        ? allocateTargets(rollups, parsedTargets.targets, { isRatio: isRatioMetric })
+        : null,
+    [parsedTargets, rollups, compiledMeasures]
+  );
+  const hasMetricTargets = Boolean(targetAlloc) && parsedTargets.measures.includes(selectedMetric);
+  // change and variance views plot differences, which have no target
+  const showTargets = hasMetricTargets && !comparing && !varianceActive;
+
+  // ---------- what-if scenario ----------
+  const simFields = useMemo(() => scenarioFields(baseMetrics), [baseMetrics]);
+  const simMetrics = useMemo(() => simulatedMetrics(simFields), [simFields]);
+  const scenario = scenarios.find((s) => s.name === activeScenario) || null;
+  const showSim = Boolean(scenario) && !comparing && !varianceActive;
+  // the current node's rows with the scenario applied, grouped like its rollup
+  const simOptions = useMemo(() => {
+    const groupCol = hierarchy[drillPath.length];
+    return showSim && groupCol ? { scenario, hierarchy, fields: simFields, groupCol } : null;
+  }, [showSim, scenario, hierarchy, drillPath, simFields]);
+  const simNode = useNodeView(nodeScope, 'simNode', simOptions, viewFailed);
+
+  // Build chart data (grouped by OpCo when "All" is selected)
+  const { chartData, isLeafLevel, valueRange } = useMemo(() => {
+    if (data.length === 0) return { chartData: [], isLeafLevel: false, valueRange: [0, 1] };
+
+    const groupCol = hierarchy[drillPath.length];
+    if (!groupCol) return { chartData: [], isLeafLevel: true, valueRange: [0, 1] };
+
+    const useGroupedOpco = groupByOpCo;
+    const key = pathKey(drillPath);
+    const current = drillGroups(rollups?.[key], {
+      sortKey: chartSortKey,
+      direction: chartSort.direction,
+      selectedOpCo,
+      topN,
+      othersExpanded,
+      measures: compiledMeasures,
+    });
+    const { order, cut } = current;
+    const baselineNode =
+      comparing && cut
+        ? withOthers(baselineRollups[key], order.slice(0, topN), compiledMeasures, current.othersName).node
+        : baselineRollups?.[key];
+
+    let rows = comparing
+      ? comparisonChartRows(current.node, baselineNode, {
+          selectedMetric,
+          groupByOpCo: useGroupedOpco,
+          selectedOpCo,
+          opcos: chosenOpCos,
+          view: compareView,
+          ratio: isRatioMetric(selectedMetric),
+        })
+      : chartRowsFromNode(current.node, {
+          selectedMetric,
+          groupByOpCo: useGroupedOpco,
+          selectedOpCo,
+        });
+    rows.forEach((r) => {
+      if (r.name === current.othersName) r.__others = true;
     });
+    if (showTargets) {
+      // "Others" carries the sum of its groups' targets (a ratio has no sum)
+      const targetOf = (name, opcoKey) => {
+        if (name !== current.othersName) return nodeTarget(targetAlloc, drillPath, name, opcoKey, selectedMetric);
+        if (isRatioMetric(selectedMetric)) return undefined;
+        const parts = order
+          .slice(topN)
+          .map((n) => nodeTarget(targetAlloc, drillPath, n, opcoKey, selectedMetric))
+          .filter(Number.isFinite);
+        return parts.length ? parts.reduce((a, v) => a + v, 0) : undefined;
+      };
+      rows.forEach((r) => {
+        r.__target = useGroupedOpco
+          ? Object.fromEntries(chosenOpCos.map((op) => [op, targetOf(r.name, op)]))
+          : { value: targetOf(r.name, selectedOpCo === 'All' ? ALL_OPCOS : selectedOpCo) };
+      });
+    }
+    if (simNode) {
+      const simCut = cut ? withOthers(simNode, order.slice(0, topN), compiledMeasures, current.othersName).node : simNode;
+      rows.forEach((r) => {
+        r.__sim = {};
+        r.__simMetrics = {};
+        (useGroupedOpco ? chosenOpCos : ['value']).forEach((k) => {
+          const agg = simCut[r.name]?.[k !== 'value' ? k : selectedOpCo === 'All' ? ALL_OPCOS : selectedOpCo];
+          if (!agg) return;
+          r.__simMetrics[k] = bucketMetrics(agg);
+          r.__sim[k] = r.__simMetrics[k][selectedMetric];
+        });
+      });
+    }
+    if (varianceActive) rows = opcoVarianceRows(rows, { opcos: chosenOpCos, against: opcoVariance });
+    if (useGroupedOpco && opcoChoice.length) {
+      rows = rows.filter((r) => shownOpCos.some((op) => Number.isFinite(Number(r[op]))));
+    }
 
-    rows.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    placeRows(rows, order);
 
     const allVals = [];
-    if (selectedOpCo === 'All' && availableOpCos.length > 0) {
-      rows.forEach(r => availableOpCos.forEach(k => {
+    if (useGroupedOpco) {
+      rows.forEach(r => shownOpCos.forEach(k => {
         const val = Number(r[k]);
         if (Number.isFinite(val)) allVals.push(val);
       }));
@@ -319,64 +1068,570 @@ const SKUDashboard = () => {
     const max = allVals.length ? Math.max(...allVals) : 1;
 
     return { chartData: rows, isLeafLevel: false, valueRange: [min, max] };
-  }, [filteredData, drillPath, selectedMetric, data, availableMetrics, selectedOpCo, availableOpCos]);
+  }, [
+    rollups,
+    hierarchy,
+    drillPath,
+    selectedMetric,
+    data,
+    groupByOpCo,
+    selectedOpCo,
+    availableOpCos,
+    comparing,
+    baselineRollups,
+    compareView,
+    compiledMeasures,
+    varianceActive,
+    opcoVariance,
+    opcoChoice,
+    chartSortKey,
+    chartSort.direction,
+    topN,
+    othersExpanded,
+    showTargets,
+    targetAlloc,
+    simNode,
+  ]);
+
+  // change views colour bars red/green around zero instead of by magnitude
+  const showingChange = (comparing && compareView !== 'current') || varianceActive;
+  const changeScale = Math.max(Math.abs(valueRange[0]), Math.abs(valueRange[1])) || 1;
+
+  // Trend of the selected measure for the current drill node, per OpCo when OpCo is "All"
+  const trendOptions = useMemo(
+    () =>
+      dateColumn
+        ? {
+            column: dateColumn,
+            grain: timeGrain,
+            metric: selectedMetric,
+            bySeries: selectedOpCo === 'All' && availableOpCos.length > 0,
+          }
+        : null,
+    [dateColumn, timeGrain, selectedMetric, selectedOpCo, availableOpCos]
+  );
+  const trend = useNodeView(nodeScope, 'trend', trendOptions, viewFailed);
+
+  // Pareto/ABC ranks a summed measure; ratios (Margin %) fall back to Revenue
+  const paretoMetric = isRatioMetric(selectedMetric)
+    ? baseMetrics.find((m) => /revenue/i.test(m)) || selectedMetric
+    : selectedMetric;
+  const paretoOptions = useMemo(
+    () => ({ metric: paretoMetric, thresholds: abcThresholds, tailPercentile }),
+    [paretoMetric, abcThresholds, tailPercentile]
+  );
+  const showSkuPareto = chartType === 'pareto' && !isLeafLevel && paretoScope === 'sku';
+  const skuParetoData = useNodeView(nodeScope, 'skuPareto', showSkuPareto ? paretoOptions : null, viewFailed);
+
+  const paretoData = useMemo(() => {
+    if (chartType !== 'pareto' || isLeafLevel) return null;
+    if (paretoScope === 'sku') return skuParetoData;
+    const items = chartRowsFromNode(rollups?.[pathKey(drillPath)], {
+      selectedMetric: paretoMetric,
+      groupByOpCo: false,
+      selectedOpCo,
+    });
+    return { ranked: rankPareto(items, abcThresholds), volumeMetric: null };
+  }, [chartType, isLeafLevel, paretoScope, skuParetoData, rollups, drillPath, selectedOpCo, paretoMetric, abcThresholds]);
+
+  // Formatting rules. Bars are checked against thresholds from the bars shown; table
+  // cells and the badges against thresholds from every SKU row in view.
+  // one point per SKU and OpCo, so rows of several periods count once
+  const hasRules = alertRules.length > 0;
+  const rulePointOptions = useMemo(() => (hasRules ? { levels: hierarchy } : null), [hasRules, hierarchy]);
+  const rulePoints = useNodeView(rootScope, 'skuPoints', rulePointOptions, viewFailed);
+  const skuRules = useMemo(
+    () =>
+      rulePoints
+        ? resolveRules(alertRules, {
+            metrics: availableMetrics,
+            valuesOf: (m) => rulePoints.map((p) => p.__metrics[m]),
+          })
+        : [],
+    [alertRules, availableMetrics, rulePoints]
+  );
+  const barRules = useMemo(
+    () =>
+      resolveRules(alertRules, {
+        metrics: availableMetrics,
+        valuesOf: (m) =>
+          chartData.flatMap((r) => (groupByOpCo ? Object.values(r.__byOpCo).map((x) => x?.[m]) : [r.__metrics?.[m]])),
+      }),
+    [alertRules, availableMetrics, chartData, groupByOpCo]
+  );
+
+  // SKUs under each bar breaking each rule; "Others" adds up the groups folded into it
+  const ruleBadgeCounts = useMemo(() => {
+    const groupCol = hierarchy[drillPath.length];
+    if (!skuRules.length || !groupCol) return null;
+    const counts = ruleCounts(rowsAtPath(rulePoints, { hierarchy, drillPath, selectedOpCo }), skuRules, { groupCol });
+    const named = new Set(chartData.map((r) => r.name));
+    const none = skuRules.map(() => 0);
+    const others = Object.entries(counts)
+      .filter(([name]) => !named.has(name))
+      .reduce((acc, [, c]) => acc.map((v, i) => v + c[i]), none);
+    return Object.fromEntries(chartData.map((r) => [r.name, r.__others ? others : counts[r.name] || none]));
+  }, [skuRules, rulePoints, hierarchy, drillPath, selectedOpCo, chartData]);
+
+  const ruleBadges =
+    ruleBadgeCounts &&
+    chartData.map((r) => ({
+      name: r.name,
+      counts: skuRules.map((rule, i) => ({ color: ruleColor(rule), count: ruleBadgeCounts[r.name][i] })),
+    }));
+
+  // a bar's colour from the rules, unless the bars show changes
+  const barRuleMark = (metricsMap) => (showingChange ? null : barMark(barRules, metricsMap));
+  const tableCellMark = skuRules.length
+    ? (row, metric) => valueMark(skuRules, metric, Number(rowValue(row, metric)))
+    : undefined;
+
+  // Treemap and sunburst: areas must add up, so size by a summed measure only
+  const sizeOptions = availableMetrics.filter((m) => !isRatioMetric(m));
+  const treeSizeMetric = sizeOptions.includes(sizeMetric)
+    ? sizeMetric
+    : sizeOptions.find((m) => /revenue/i.test(m)) || sizeOptions[0];
+  const treeColorMetric = availableMetrics.includes(colorMetric) ? colorMetric : selectedMetric;
+  const isTreeChart = chartType === 'treemap' || chartType === 'sunburst';
+
+  const treeNodes = useMemo(
+    () =>
+      isTreeChart && !isLeafLevel
+        ? hierarchyTree(rollups, {
+            hierarchy,
+            drillPath,
+            depth: chartType === 'sunburst' ? 3 : 2,
+            sizeMetric: treeSizeMetric,
+            selectedOpCo,
+          })
+        : [],
+    [isTreeChart, isLeafLevel, chartType, rollups, hierarchy, drillPath, treeSizeMetric, selectedOpCo]
+  );
+
+  const treeColor = useMemo(() => {
+    if (treeColorMetric === 'Margin %') return (node) => marginColor(node.__metrics['Margin %']);
+    const vals = flattenTree(treeNodes)
+      .map((n) => Number(n.__metrics[treeColorMetric]))
+      .filter(Number.isFinite);
+    const min = vals.length ? Math.min(...vals) : 0;
+    const span = (vals.length ? Math.max(...vals) : 1) - min || 1;
+    return (node) => {
+      const v = Number(node.__metrics[treeColorMetric]);
+      return Number.isFinite(v) ? purpleShade((v - min) / span) : '#9ca3af';
+    };
+  }, [treeNodes, treeColorMetric]);
+
+  // Scatter of the SKUs under the current node, one point per SKU and OpCo
+  const showScatter = chartType === 'scatter';
+  const scatterX = availableMetrics.includes(scatterAxes.x) ? scatterAxes.x : volumeMetric(baseMetrics) || availableMetrics[0];
+  const scatterY = availableMetrics.includes(scatterAxes.y) ? scatterAxes.y : 'Margin %';
+  const scatterSize =
+    scatterAxes.size === '' ? '' : sizeOptions.includes(scatterAxes.size) ? scatterAxes.size : sizeOptions.find((m) => /revenue/i.test(m)) || '';
+
+  const scatterOptions = useMemo(() => (showScatter ? {} : null), [showScatter]);
+  const scatterPoints = useNodeView(nodeScope, 'skuPoints', scatterOptions, viewFailed);
+
+  // Pivot of the rows under the current node, any text column on rows and columns
+  const showPivot = chartType === 'pivot';
+  const pivotFields = useMemo(() => {
+    const isDim = (key) => filterColumns.some((c) => c.key === key);
+    if (!pivotLayout) {
+      const level = hierarchy[drillPath.length];
+      return {
+        rows: level ? [level] : [],
+        cols: groupByOpCo && isDim('opco') ? ['opco'] : [],
+        values: [selectedMetric],
+      };
+    }
+    return {
+      rows: pivotLayout.rows.filter(isDim),
+      cols: pivotLayout.cols.filter(isDim),
+      values: pivotLayout.values.filter((m) => availableMetrics.includes(m)),
+    };
+  }, [pivotLayout, filterColumns, hierarchy, drillPath, groupByOpCo, selectedMetric, availableMetrics]);
+
+  const pivotOptions = useMemo(
+    () =>
+      showPivot && !isLeafLevel && pivotFields.values.length
+        ? { rowDims: pivotFields.rows, colDims: pivotFields.cols }
+        : null,
+    [showPivot, isLeafLevel, pivotFields]
+  );
+  const pivotResult = useNodeView(nodeScope, 'pivot', pivotOptions, viewFailed);
+  const pivotGrid = useMemo(() => pivotResult && pivotFromData(pivotResult), [pivotResult]);
+
+  const changePivotLayout = (layout) => {
+    // new row dimensions start with only the first level open
+    if (layout.rows.join('\u0000') !== pivotFields.rows.join('\u0000')) setPivotExpanded(new Set());
+    setPivotLayout(layout);
+  };
+
+  const changeScatterAxes = (axes) => {
+    // a threshold means nothing on a different measure
+    setScatterThresholds((t) => ({ x: axes.x === scatterX ? t.x : null, y: axes.y === scatterY ? t.y : null }));
+    setScatterAxes(axes);
+  };
+
+  // the SKU table shows at the leaf level, and under the scatter for the SKUs lassoed in it
+  const showDetailTable = isLeafLevel || Boolean(scatterSelection);
+  useEffect(() => {
+    if (!showScatter) setScatterSelection(null);
+  }, [showScatter]);
+
+  // ABC class of every SKU for the selected OpCo, for the leaf table
+  const skuClasses = useNodeView(opcoScope, 'skuPareto', showDetailTable ? paretoOptions : null, viewFailed)?.bySku || null;
+
+  // Rows under the current node (rows without a value at every level are left out), only
+  // needed on the main thread for the SKU table and the leaf OpCo pivot
+  const filteredData = useMemo(
+    () => (showDetailTable ? rowsAtPath(data, { hierarchy, drillPath, selectedOpCo }) : []),
+    [showDetailTable, data, hierarchy, drillPath, selectedOpCo]
+  );
 
   // Handlers
   const handleBarClick = (d) => {
-    if (d && d.name) setDrillPath((prev) => [...prev, d.name]);
-  };
-  const handleChartClick = (e) => {
-    if (e.target.tagName === 'svg' || e.target.classList.contains('recharts-wrapper')) {
-      if (drillPath.length > 0) setDrillPath((prev) => prev.slice(0, -1));
-    }
+    if (d?.__others || d?.payload?.__others) setOthersExpanded(true);
+    else if (d && d.name) setDrillPath((prev) => [...prev, d.name]);
   };
+  // treemap/sunburst nodes can sit several levels below the current one
+  const handleNodeClick = (node) => setDrillPath((prev) => [...prev, ...node.path]);
+  // Step up one level. When the current history entry was pushed by drilling down from
+  // the parent, go back in history instead so the browser's Back button stays in step.
   const goBack = () => {
-    if (drillPath.length > 0) setDrillPath((prev) => prev.slice(0, -1));
+    if (drillPath.length === 0) return;
+    const parentHash = encodeViewState({
+      hierarchy,
+      drillPath: drillPath.slice(0, -1),
+      selectedMetric,
+      selectedOpCo,
+      sortKeys,
+    });
+    const entry = window.history.state;
+    if (entry?.skuView && entry.from === parentHash) window.history.back();
+    else setDrillPath((prev) => prev.slice(0, -1));
+  };
+  const handleChartClick = (e) => {
+    if (e.target.tagName === 'svg' || e.target.classList.contains('recharts-wrapper')) goBack();
   };
   const goHome = () => setDrillPath([]);
 
-  // sorting for leaf table
-  const handleSort = (key) => {
-    let direction = 'asc';
-    if (sortConfig.key === key && sortConfig.direction === 'asc') direction = 'desc';
-    setSortConfig({ key, direction });
-  };
-
-  const sortedFilteredData = useMemo(() => {
-    if (!sortConfig.key) return filteredData;
-
-    const sorted = [...filteredData].sort((a, b) => {
-      let aVal = a[sortConfig.key];
-      let bVal = b[sortConfig.key];
-
-      if (sortConfig.key === 'Margin %') {
-        const aM = getNum(a, ['Margin', 'margin']);
-        const aR = getNum(a, ['Revenue', 'revenue']);
-        const bM = getNum(b, ['Margin', 'margin']);
-        const bR = getNum(b, ['Revenue', 'revenue']);
-        aVal = aR > 0 ? (aM / aR) * 100 : NaN;
-        bVal = bR > 0 ? (bM / bR) * 100 : NaN;
-      } else if (typeof aVal === 'number' && typeof bVal === 'number') {
-        aVal = Number(aVal);
-        bVal = Number(bVal);
-      } else {
-        aVal = String(aVal || '').toLowerCase();
-        bVal = String(bVal || '').toLowerCase();
-      }
+  const applyHierarchy = (levels) => {
+    setHierarchy(levels);
+    setDrillPath([]);
+    setSortKeys([]);
+    setShowHierarchyEditor(false);
+  };
 
-      if (!Number.isFinite(aVal) && !Number.isFinite(bVal)) return 0;
-      if (!Number.isFinite(aVal)) return sortConfig.direction === 'asc' ? -1 : 1;
-      if (!Number.isFinite(bVal)) return sortConfig.direction === 'asc' ? 1 : -1;
+  const STATUS_CLASSES = {
+    [SKU_STATUS.new]: 'bg-green-100 text-green-800',
+    [SKU_STATUS.discontinued]: 'bg-red-100 text-red-800',
+    [SKU_STATUS.changed]: 'bg-amber-100 text-amber-800',
+    [SKU_STATUS.unchanged]: 'bg-gray-100 text-gray-600',
+  };
+  const renderSkuStatus = (row) => (
+    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[row.__status] || ''}`}>{row.__status}</span>
+  );
+  const renderAbc = (row) =>
+    ABC_COLORS[row.__abc] ? (
+      <span
+        className={`px-2 py-0.5 rounded-full text-xs ${row.__abc === 'A' ? 'text-white' : 'text-gray-800'}`}
+        style={{ background: ABC_COLORS[row.__abc] }}
+      >
+        {row.__abc}
+      </span>
+    ) : null;
+  const renderTail = (row) =>
+    row.__tail === 'Yes' ? <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">Tail</span> : null;
+
+  // actuals and every saved scenario for the current node, for the scenario panel
+  const scenarioOptions = useMemo(
+    () => (showScenarioPanel ? { scenarios, hierarchy, fields: simFields } : null),
+    [showScenarioPanel, scenarios, hierarchy, simFields]
+  );
+  const scenarioComparison = useNodeView(nodeScope, 'scenarioTotals', scenarioOptions, viewFailed);
+
+  // ---------- jump-to search ----------
+  const searchList = useMemo(
+    () => (showSearch ? searchIndex(rowsAtPath(data, { hierarchy, drillPath: [], selectedOpCo }), hierarchy) : []),
+    [showSearch, data, hierarchy, selectedOpCo]
+  );
 
-      if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-      if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-      return 0;
+  useEffect(() => {
+    if (allRows.length === 0) return undefined;
+    const onKeyDown = (e) => {
+      const typing = /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName) || e.target.isContentEditable;
+      if ((e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        setShowSearch((v) => !v);
+      } else if (e.key === '/' && !typing) {
+        e.preventDefault();
+        setShowSearch(true);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [allRows.length]);
+
+  const chooseSearchResult = (entry) => {
+    setShowSearch(false);
+    setDrillPath(entry.path);
+    setTableFilters(EMPTY_TABLE_FILTERS);
+    setSearchHit(entry.sku_code ? { sku_code: entry.sku_code, at: pathKey(entry.path) } : null);
+  };
+  const highlightSku = searchHit && searchHit.at === pathKey(drillPath) ? searchHit.sku_code : null;
+
+  // sorting for leaf table (shift-click adds a secondary sort column)
+  const handleSort = (key, additive) => setSortKeys((prev) => nextSortKeys(prev, key, additive));
+
+  // a different leaf node has different values to filter on, and different SKUs to select
+  useEffect(() => {
+    setTableFilters(EMPTY_TABLE_FILTERS);
+    setPivotFilters(EMPTY_TABLE_FILTERS);
+    setScatterSelection(null);
+    setOthersExpanded(false);
+  }, [drillPath, hierarchy]);
+
+  const tableTextColumns = useMemo(() => {
+    const cols = [
+      { key: 'sku_code', label: 'SKU Code' },
+      { key: 'sku_description', label: 'Description' },
+      ...hierarchy.slice(0, isLeafLevel ? -1 : hierarchy.length).map((col) => ({ key: col, label: levelLabel(col) })),
+    ];
+    if (availableOpCos.length > 0 && !hierarchy.includes('opco')) cols.push({ key: 'opco', label: 'OpCo' });
+    cols.push({ key: '__abc', label: 'ABC', render: renderAbc });
+    cols.push({ key: '__tail', label: 'Tail SKU', render: renderTail });
+    if (comparison) cols.push({ key: '__status', label: 'Status', render: renderSkuStatus });
+    return cols;
+  }, [hierarchy, availableOpCos, comparison, isLeafLevel]);
+
+  // when comparing, leaf rows carry a New/Changed/Unchanged/Discontinued flag by sku_code
+  const baselineReady = Boolean(comparison) && (periodMode || baselineRows.length > 0);
+  // calculated measures and the SKU's ABC class are filled in per row so sorting,
+  // filters and exports see them
+  const leafRows = useMemo(() => {
+    if (!showDetailTable) return filteredData;
+    const current = withRowMeasures(filteredData, compiledMeasures).map((row) => {
+      const cls = skuClasses?.get(row.sku_code);
+      return { ...row, __abc: cls?.abc || '', __tail: cls?.tail ? 'Yes' : 'No' };
     });
+    let rows = current;
+    if (baselineReady) {
+      const baselineLeaf = withRowMeasures(rowsAtPath(baselineData, { hierarchy, drillPath, selectedOpCo }), compiledMeasures);
+      rows = flagSkuChanges(current, baselineLeaf, baseMetrics);
+    }
+    if (hasMetricTargets) {
+      rows = withRowTargets(rows, targetAlloc, rollups, {
+        hierarchy,
+        metric: selectedMetric,
+        ratio: isRatioMetric(selectedMetric),
+        value: (row) => rowValue(row, selectedMetric),
+      });
+    }
+    if (scenario) {
+      const sim = simulateRows(rows, scenario, { hierarchy, fields: simFields });
+      rows = withSimColumns(rows, sim.rows, { fields: simFields, simMetrics });
+    }
+    if (!scatterSelection) return rows;
+    const selected = new Set(scatterSelection);
+    return rows.filter((row) => selected.has(pointId(row)));
+  }, [
+    showDetailTable,
+    scatterSelection,
+    baselineReady,
+    filteredData,
+    baselineData,
+    hierarchy,
+    drillPath,
+    selectedOpCo,
+    baseMetrics,
+    compiledMeasures,
+    skuClasses,
+    hasMetricTargets,
+    targetAlloc,
+    rollups,
+    selectedMetric,
+    scenario,
+    simFields,
+  ]);
+
+  const tableFilterOptions = useMemo(
+    () =>
+      showDetailTable
+        ? filterOptionsFor(
+            leafRows,
+            tableTextColumns.map((c) => c.key).filter((k) => k !== 'sku_code' && k !== 'sku_description')
+          )
+        : {},
+    [showDetailTable, leafRows, tableTextColumns]
+  );
+
+  const sortedFilteredData = useMemo(
+    () => (showDetailTable ? sortRows(applyTableFilters(leafRows, tableFilters), sortKeys) : []),
+    [showDetailTable, leafRows, tableFilters, sortKeys]
+  );
+
+  // Leaf pivot: one row per SKU, one column per chosen OpCo for the selected measure
+  const pivotActive = isLeafLevel && showOpcoPivot && groupByOpCo;
+  const pivotRows = useMemo(
+    () =>
+      pivotActive
+        ? opcoPivot(skuPoints(filteredData, { metrics: baseMetrics, measures: compiledMeasures }), {
+            metric: selectedMetric,
+            opcos: chosenOpCos,
+          })
+        : [],
+    [pivotActive, filteredData, baseMetrics, compiledMeasures, selectedMetric, opcoChoice, availableOpCos]
+  );
+  const pivotShown = useMemo(
+    () => sortRows(applyTableFilters(pivotRows, pivotFilters), pivotSortKeys),
+    [pivotRows, pivotFilters, pivotSortKeys]
+  );
+  const pivotTotals = useMemo(
+    () =>
+      pivotActive
+        ? opcoPivotTotals(filteredData, pivotShown.map((r) => r.sku_code), {
+            metric: selectedMetric,
+            opcos: chosenOpCos,
+            metrics: baseMetrics,
+            measures: compiledMeasures,
+          })
+        : {},
+    [pivotActive, filteredData, pivotShown, selectedMetric, opcoChoice, availableOpCos, baseMetrics, compiledMeasures]
+  );
+  const pivotTextColumns = [
+    { key: 'sku_code', label: 'SKU Code' },
+    { key: 'sku_description', label: 'Description' },
+  ];
+  const pivotMetrics = [...chosenOpCos, SPREAD, SPREAD_PCT];
+  const formatPivotValue = (column, val) =>
+    column === SPREAD_PCT ? formatSpecific(SPREAD_PCT, val) : formatSpecific(selectedMetric, val);
+
+  // the leaf table adds target, variance and % variance columns for the selected measure
+  // and the scenario's Revenue, Cost, Margin and Margin % per row
+  const tableMetrics = [
+    ...availableMetrics,
+    ...(hasMetricTargets ? targetColumns(selectedMetric) : []),
+    ...(scenario ? simMetrics.map((m) => `${SIM_PREFIX}${m}`) : []),
+  ];
+  const tableTotals = useMemo(() => {
+    const totals = totalsFor(sortedFilteredData, availableMetrics, compiledMeasures);
+    if (hasMetricTargets) {
+      Object.assign(
+        totals,
+        targetTotals(sortedFilteredData, {
+          metric: selectedMetric,
+          ratio: isRatioMetric(selectedMetric),
+          actual: totals[selectedMetric],
+        })
+      );
+    }
+    if (scenario) Object.assign(totals, simColumnTotals(sortedFilteredData, { fields: simFields, simMetrics }));
+    return totals;
+  }, [sortedFilteredData, availableMetrics, compiledMeasures, hasMetricTargets, selectedMetric, scenario, simFields, simMetrics]);
+  const formatTableValue = (column, val) => {
+    const [, diffCol, pctCol] = targetColumns(selectedMetric);
+    if (hasMetricTargets && column === diffCol) return formatChange(selectedMetric, val, 'change');
+    if (hasMetricTargets && column === pctCol) return formatChange(selectedMetric, val, 'pctChange');
+    if (column.startsWith(SIM_PREFIX)) return formatSpecific(column.slice(SIM_PREFIX.length), val);
+    return formatSpecific(column.startsWith('Target ') ? selectedMetric : column, val);
+  };
+
+  const chips = filterChips(globalFilters, { labelOf: levelLabel, formatValue: formatSpecific });
+
+  const breadcrumbs = [`All ${levelLabelPlural(hierarchy[0] || 'category')}`, ...drillPath];
+  const currentLevel = hierarchy[drillPath.length];
+  const chartTitle = `${
+    drillPath.length === 0
+      ? `${levelLabel(currentLevel)} Distribution - ${selectedMetric}`
+      : `${drillPath[drillPath.length - 1]} - ${levelLabelPlural(currentLevel)}`
+  }${varianceActive ? ` vs ${varianceLabel}` : ''}`;
+
+  // ---------- exports ----------
+  const exportBaseName = (...parts) => safeFilename(sourceLabel(currentSource), ...drillPath, ...parts);
+  const exportFailed = (err) => setError(`Export failed: ${err?.message || err}`);
+  // a menu item's handler: sync and async failures are reported, not thrown
+  const runExport = (fn) => () => {
+    try {
+      Promise.resolve(fn()).catch(exportFailed);
+    } catch (err) {
+      exportFailed(err);
+    }
+  };
+
+  const chartExportItems = () => {
+    const table = () =>
+      chartExportTable(chartData, {
+        levelName: levelLabel(currentLevel),
+        metrics: availableMetrics,
+        opcos: chosenOpCos,
+        groupByOpCo,
+        selectedOpCo,
+        compareMetric: comparing ? selectedMetric : undefined,
+        variance: varianceActive ? { metric: selectedMetric, reference: varianceLabel } : undefined,
+        targetMetric: showTargets ? selectedMetric : undefined,
+        scenario: showSim ? { name: scenario.name, metric: selectedMetric } : undefined,
+      });
+    const header = {
+      title: chartTitle,
+      subtitle: `${breadcrumbs.join(' › ')}${selectedOpCo !== 'All' ? ` · ${selectedOpCo}` : ''} · ${selectedMetric}${
+        comparing ? ` · ${comparisonLabel(comparison)}` : ''
+      }`,
+    };
+    return [
+      { label: 'Chart as PNG', onSelect: runExport(() => downloadChartPng(chartRef.current, header, `${exportBaseName(selectedMetric)}.png`)) },
+      { label: 'Chart as SVG', onSelect: runExport(() => downloadChartSvg(chartRef.current, header, `${exportBaseName(selectedMetric)}.svg`)) },
+      { label: 'Data as CSV', onSelect: runExport(() => downloadTableCsv(table(), `${exportBaseName()}.csv`)) },
+      { label: 'Data as Excel', onSelect: runExport(() => downloadTableXlsx(table(), `${exportBaseName()}.xlsx`, levelLabelPlural(currentLevel))) },
+    ];
+  };
+
+  // the pivot exports as shown: open row groups only
+  const pivotExportItems = () => {
+    const table = () =>
+      pivotExportTable(pivotGrid, {
+        rowDims: pivotFields.rows,
+        colDims: pivotFields.cols,
+        values: pivotFields.values,
+        expanded: pivotExpanded,
+        labelOf: (key) => filterColumns.find((c) => c.key === key)?.label || key,
+      });
+    return [
+      { label: 'Table as CSV', onSelect: runExport(() => downloadTableCsv(table(), `${exportBaseName('pivot')}.csv`)) },
+      {
+        label: 'Table as Excel',
+        onSelect: runExport(() => downloadTableXlsx(table(), `${exportBaseName('pivot')}.xlsx`, 'Pivot')),
+      },
+    ];
+  };
+
+  // the leaf table exports exactly what is shown: active filters and sort order
+  const leafExportItems = () => {
+    const table = () =>
+      pivotActive
+        ? leafExportTable(pivotShown, { textColumns: pivotTextColumns, metrics: pivotMetrics })
+        : leafExportTable(sortedFilteredData, { textColumns: tableTextColumns, metrics: tableMetrics });
+    return [
+      { label: 'Table as CSV', onSelect: runExport(() => downloadTableCsv(table(), `${exportBaseName('skus')}.csv`)) },
+      {
+        label: 'Table as Excel',
+        onSelect: runExport(() => downloadTableXlsx(table(), `${exportBaseName('skus')}.xlsx`, 'SKUs')),
+      },
+    ];
+  };
 
-    return sorted;
-  }, [filteredData, sortConfig]);
 
-  const breadcrumbs = ['All Categories', ...drillPath];
+  // value axis ticks and range, shared by the vertical and horizontal layouts
+  const valueTick = (v) =>
+    showingChange || compiledMeasures.formats[selectedMetric]
+      ? formatMetricValue(v)
+      : selectedMetric === 'Margin %'
+      ? (() => {
+          const n = Number(v);
+          return Number.isFinite(n) ? `${n.toFixed(1)}%` : '';
+        })()
+      : (Number.isFinite(Number(v)) ? compactNumber(v) : '');
+  const valueDomain =
+    selectedMetric === 'Margin %' && !showingChange ? ['dataMin - 5', 'dataMax + 5'] : ['auto', 'auto'];
 
   // label renderer (value; hide NaN)
   const renderBarLabel = ({ x, y, width, height, value }) => {
@@ -418,12 +1673,172 @@ const SKUDashboard = () => {
     );
   };
 
+  // a target drawn on its own hidden category axis so it lines up with its bar: a dashed
+  // outline behind the bar ("ghost bar") or a line across it at the target
+  const renderTargetShape = ({ x, y, width, height }) => {
+    if (![x, y, width, height].every(Number.isFinite)) return null;
+    if (targetStyle === 'marker') {
+      return horizontalBars ? (
+        <line x1={x + width} x2={x + width} y1={y - 3} y2={y + height + 3} stroke="#111827" strokeWidth={2.5} />
+      ) : (
+        <line x1={x - 3} x2={x + width + 3} y1={y} y2={y} stroke="#111827" strokeWidth={2.5} />
+      );
+    }
+    return (
+      <rect
+        x={Math.min(x, x + width)}
+        y={Math.min(y, y + height)}
+        width={Math.abs(width)}
+        height={Math.abs(height)}
+        fill="#9ca3af"
+        fillOpacity={0.15}
+        stroke="#6b7280"
+        strokeDasharray="4 3"
+      />
+    );
+  };
+  // with a scenario shown every bar has a scenario bar beside it, so targets leave a gap
+  const targetBars =
+    showTargets &&
+    (groupByOpCo ? shownOpCos : ['value']).flatMap((key) => [
+      <Bar
+        key={`target-${key}`}
+        {...(horizontalBars ? { yAxisId: 'target' } : { xAxisId: 'target' })}
+        dataKey={(r) => r.__target?.[key]}
+        name={`Target ${key}`}
+        shape={renderTargetShape}
+        isAnimationActive={false}
+        cursor="pointer"
+        onClick={(d) => handleBarClick(d)}
+      />,
+      showSim && (
+        <Bar
+          key={`target-gap-${key}`}
+          {...(horizontalBars ? { yAxisId: 'target' } : { xAxisId: 'target' })}
+          dataKey={() => null}
+          isAnimationActive={false}
+        />
+      ),
+    ]);
+
+  // the active scenario's value beside each actual bar
+  const simBar = (key) =>
+    showSim && (
+      <Bar
+        key={`sim-${key}`}
+        dataKey={(r) => r.__sim?.[key]}
+        name={`${scenario.name} ${key}`}
+        fill="#f59e0b"
+        fillOpacity={0.8}
+        radius={horizontalBars ? [0, 4, 4, 0] : [4, 4, 0, 0]}
+        cursor="pointer"
+        onClick={(d) => handleBarClick(d)}
+      />
+    );
+
+  // A block of [label, text, color] lines under the metric list of a tooltip
+  const renderTooltipLines = (lines) => (
+    <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 4, paddingTop: 4 }}>
+      {lines.map(([name, text, color]) => (
+        <div key={name} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+          <span style={{ color: '#6b7280' }}>{name}</span>
+          <span style={{ color }}>{text || '–'}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const changeColor = (change) => (change > 0 ? '#15803d' : change < 0 ? '#b91c1c' : '#111827');
+
+  // baseline vs current for the selected measure
+  const renderCompareLines = (cmp) =>
+    cmp &&
+    renderTooltipLines([
+      [`Baseline ${selectedMetric}`, formatSpecific(selectedMetric, cmp.baseline), '#111827'],
+      ['Change', formatChange(selectedMetric, cmp.change, 'change'), changeColor(cmp.change)],
+      ['% change', formatChange(selectedMetric, cmp.pctChange, 'pctChange'), changeColor(cmp.change)],
+    ]);
+
+  const renderVarianceLines = (v) =>
+    v &&
+    renderTooltipLines([
+      [`${varianceLabel} ${selectedMetric}`, formatSpecific(selectedMetric, v.reference), '#111827'],
+      [`vs ${varianceLabel}`, formatChange(selectedMetric, v.diff, 'change'), changeColor(v.diff)],
+      ['%', formatChange(selectedMetric, v.pctDiff, 'pctChange'), changeColor(v.diff)],
+    ]);
+
+  const renderTargetLines = (actual, target) => {
+    const v = targetVariance(Number(actual), target);
+    return (
+      v &&
+      renderTooltipLines([
+        [`Target ${selectedMetric}`, formatSpecific(selectedMetric, v.target), '#111827'],
+        ['vs Target', formatChange(selectedMetric, v.diff, 'change'), changeColor(v.diff)],
+        ['% vs Target', formatChange(selectedMetric, v.pctDiff, 'pctChange'), changeColor(v.diff)],
+      ])
+    );
+  };
+
+  // a tooltip value in the colour of the first rule it breaks, flagged by flag rules
+  const renderMarkedValue = (m, v) => {
+    const mark = valueMark(barRules, m, Number(v));
+    return (
+      <span style={{ color: mark?.color || '#111827' }}>
+        {mark?.flagged ? `${FLAG} ` : ''}
+        {formatSpecific(m, v)}
+      </span>
+    );
+  };
+
+  // SKUs under a bar breaking each rule (the badge counts)
+  const renderRuleLines = (name) => {
+    const counts = ruleBadgeCounts?.[name];
+    if (!counts?.some((c) => c > 0)) return null;
+    return (
+      <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 4, paddingTop: 4 }}>
+        {skuRules.map((rule, i) =>
+          counts[i] > 0 ? (
+            <div key={i} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+              <span style={{ color: ruleColor(rule) }}>{ruleLabel(rule)}</span>
+              <span style={{ color: '#111827' }}>
+                {counts[i]} SKU{counts[i] === 1 ? '' : 's'}
+              </span>
+            </div>
+          ) : null
+        )}
+      </div>
+    );
+  };
+
+  // the scenario's Revenue, Cost, Margin and Margin % with the change from the actuals
+  const renderSimLines = (sim, actual) => {
+    if (!sim) return null;
+    return (
+      <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 4, paddingTop: 4 }}>
+        <div style={{ color: '#b45309', fontSize: 12, marginBottom: 2 }}>{scenario.name}</div>
+        {simMetrics.map((m) => {
+          const change = sim[m] - actual?.[m];
+          const color = change > 0 ? '#15803d' : change < 0 ? '#b91c1c' : '#111827';
+          return (
+            <div key={m} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+              <span style={{ color: '#6b7280' }}>{m}</span>
+              <span style={{ color: '#111827' }}>
+                {formatSpecific(m, sim[m])}{' '}
+                <span style={{ color }}>({formatChange(m, change, 'change') || '–'})</span>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
   // tooltip
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload || !payload.length) return null;
     const row = payload[0].payload;
 
-    if (row.__byOpCo) {
+    if (row.__byOpCo && Object.keys(row.__byOpCo).length > 0) {
       return (
         <div style={{
           background: 'white',
@@ -434,7 +1849,7 @@ const SKUDashboard = () => {
           maxWidth: 280,
         }}>
           <div style={{ fontWeight: 600, marginBottom: 6 }}>{label}</div>
-          {availableOpCos.map((op) => {
+          {chosenOpCos.map((op) => {
             const metricsMap = row.__byOpCo[op] || {};
             return (
               <div key={op} style={{ marginBottom: 6 }}>
@@ -442,14 +1857,17 @@ const SKUDashboard = () => {
                 {availableMetrics.map((m) => (
                   <div key={`${op}-${m}`} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
                     <span style={{ color: '#6b7280' }}>{m}</span>
-                    <span style={{ color: '#111827' }}>
-                      {formatSpecific(m, metricsMap[m])}
-                    </span>
+                    {renderMarkedValue(m, metricsMap[m])}
                   </div>
                 ))}
+                {renderCompareLines(row.__compare?.[op])}
+                {renderVarianceLines(row.__variance?.[op])}
+                {renderTargetLines(metricsMap[selectedMetric], row.__target?.[op])}
+                {renderSimLines(row.__simMetrics?.[op], metricsMap)}
               </div>
             );
           })}
+          {renderRuleLines(row.name)}
         </div>
       );
     }
@@ -470,15 +1888,75 @@ const SKUDashboard = () => {
         {order.map((m) => (
           <div key={m} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
             <span style={{ color: '#6b7280' }}>{m}</span>
-            <span style={{ color: '#111827' }}>
-              {formatSpecific(m, metricsMap[m])}
-            </span>
+            {renderMarkedValue(m, metricsMap[m])}
           </div>
         ))}
+        {renderCompareLines(row.__compare?.value)}
+        {renderTargetLines(metricsMap[selectedMetric], row.__target?.value)}
+        {renderSimLines(row.__simMetrics?.value, metricsMap)}
+        {renderRuleLines(row.name)}
       </div>
     );
   };
 
+  const scatterView = showScatter && (
+    <ScatterView
+      points={scatterPoints || []}
+      metrics={availableMetrics}
+      sizeMetrics={sizeOptions}
+      axes={{ x: scatterX, y: scatterY, size: scatterSize }}
+      onAxesChange={changeScatterAxes}
+      opcos={availableOpCos}
+      thresholds={scatterThresholds}
+      onThresholdsChange={setScatterThresholds}
+      selectedIds={scatterSelection}
+      onSelect={setScatterSelection}
+      formatFor={formatSpecific}
+      renderTooltip={(p) => (
+        <CustomTooltip
+          active
+          payload={[{ payload: p }]}
+          label={`${p.sku_code}${p.description ? ` · ${p.description}` : ''}${p.opco ? ` (${p.opco})` : ''}`}
+        />
+      )}
+      chartRef={chartRef}
+    />
+  );
+
+  const skuTable = (
+    <SkuTable
+      rows={sortedFilteredData}
+      totalCount={leafRows.length}
+      totals={tableTotals}
+      textColumns={tableTextColumns}
+      metrics={tableMetrics}
+      sortKeys={sortKeys}
+      onSort={handleSort}
+      filters={tableFilters}
+      onFiltersChange={setTableFilters}
+      filterOptions={tableFilterOptions}
+      formatValue={formatTableValue}
+      highlightSku={highlightSku}
+      cellMark={tableCellMark}
+    />
+  );
+
+  const pivotTable = pivotActive && (
+    <SkuTable
+      rows={pivotShown}
+      totalCount={pivotRows.length}
+      totals={pivotTotals}
+      textColumns={pivotTextColumns}
+      metrics={pivotMetrics}
+      sortKeys={pivotSortKeys}
+      onSort={(key, additive) => setPivotSortKeys((prev) => nextSortKeys(prev, key, additive))}
+      filters={pivotFilters}
+      onFiltersChange={setPivotFilters}
+      filterOptions={{}}
+      formatValue={formatPivotValue}
+    />
+  );
+
   return (
     <div className="p-6 bg-gray-50 min-h-screen">
       <div className="max-w-6xl mx-auto">
@@ -489,23 +1967,164 @@ const SKUDashboard = () => {
             SKU Drilldown Dashboard
           </h1>
 
+          {/* Column mapping */}
+          {mappingStep && (
+            <ColumnMappingWizard
+              headers={mappingStep.parse.headers}
+              rows={mappingStep.parse.sample}
+              initialMapping={mappingStep.mapping}
+              initialProfileName={mappingStep.profileName}
+              onApply={applyMappingStep}
+              onCancel={() => setMappingStep(null)}
+            />
+          )}
+
+          {/* Sheet picker for multi-sheet workbooks */}
+          {sheetPicker && (
+            <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-semibold text-gray-800">Choose a sheet</h2>
+                <button onClick={() => setSheetPicker(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel">
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                {sourceLabel(sheetPicker.source)} has {sheetPicker.sheets.length} sheets.
+              </p>
+              <ul className="space-y-2">
+                {sheetPicker.sheets.map((sh) => (
+                  <li key={sh.name}>
+                    <button
+                      onClick={() => handlePickSheet(sh.name)}
+                      className="w-full flex items-center justify-between text-left px-3 py-2 border border-gray-200 rounded-md hover:bg-blue-50 hover:border-blue-300 transition-colors"
+                    >
+                      <span className="flex items-center text-sm font-medium text-gray-800">
+                        <FileSpreadsheet className="w-4 h-4 mr-2 text-green-600" />
+                        {sh.name}
+                      </span>
+                      <span className="text-xs text-gray-500">~{sh.rows} rows</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* File Upload */}
-          {data.length === 0 && (
+          {allRows.length === 0 && !mappingStep && !sheetPicker && (
             <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
               <h2 className="text-lg font-semibold text-gray-800 mb-4">Upload Your Data</h2>
               <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
                 <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
                 <label className="cursor-pointer">
                   <span className="text-lg font-medium text-blue-600 hover:text-blue-500">
-                    Click to upload CSV/TSV file
+                    Click to upload CSV, TSV, Excel or JSON file
                   </span>
-                  <input type="file" accept=".csv,.tsv,.txt" onChange={handleFileUpload} className="hidden" />
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,.xlsx,.xls,.json,.ndjson,.jsonl"
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
                 </label>
                 <p className="text-gray-500 mt-2">
                   File should contain: category, sub_category (or sub-category), item, sku_code, <b>opco</b>, and your metrics
                 </p>
               </div>
-              {isLoading && <div className="text-center mt-4 text-blue-600">Loading data...</div>}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center">
+                    <Database className="w-4 h-4 mr-2 text-gray-500" />
+                    Bundled datasets
+                  </h3>
+                  {bundledDatasets.length === 0 ? (
+                    <p className="text-sm text-gray-500">{manifestLoaded ? 'No bundled datasets' : 'Loading list...'}</p>
+                  ) : (
+                    <ul className="space-y-2">
+                      {bundledDatasets.map((d) => (
+                        <li key={d.id}>
+                          <button
+                            onClick={() => loadRemoteSource({ type: 'bundled', id: d.id })}
+                            disabled={isLoading}
+                            className="w-full text-left px-3 py-2 border border-gray-200 rounded-md hover:bg-blue-50 hover:border-blue-300 transition-colors disabled:opacity-50"
+                          >
+                            <div className="text-sm font-medium text-gray-800">{d.name || d.id}</div>
+                            {d.description && <div className="text-xs text-gray-500">{d.description}</div>}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center">
+                    <Link2 className="w-4 h-4 mr-2 text-gray-500" />
+                    Load data from URL
+                  </h3>
+                  <form onSubmit={handleUrlSubmit} className="flex space-x-2">
+                    <input
+                      type="url"
+                      value={urlInput}
+                      onChange={(e) => setUrlInput(e.target.value)}
+                      placeholder="https://example.com/sku_data.csv"
+                      className="flex-1 border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={isLoading || !urlInput.trim()}
+                      className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                    >
+                      Load
+                    </button>
+                  </form>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Tip: link straight to a dataset with <code>?src=&lt;csv url&gt;</code> or <code>?dataset=&lt;id&gt;</code>
+                  </p>
+                </div>
+              </div>
+              {recentDatasets.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center">
+                    <History className="w-4 h-4 mr-2 text-gray-500" />
+                    Recent datasets
+                  </h3>
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+                    {recentDatasets.map((d) => (
+                      <li key={d.id} className="flex items-center justify-between px-3 py-2">
+                        <button
+                          onClick={() => openSavedDataset(d.id)}
+                          disabled={isLoading}
+                          className="text-left flex-1 hover:text-blue-700 disabled:opacity-50"
+                        >
+                          <div className="text-sm font-medium text-gray-800">{d.name || d.id}</div>
+                          <div className="text-xs text-gray-500">
+                            {d.rowCount} rows · loaded {new Date(d.loadedAt).toLocaleString()}
+                          </div>
+                        </button>
+                        <button
+                          onClick={() => removeSavedDataset(d.id)}
+                          title="Delete saved dataset"
+                          className="p-1 text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {isLoading && (
+                <div className="mt-4">
+                  {loadProgress ? (
+                    <ProgressBar phase={loadProgress.phase} fraction={loadProgress.fraction} />
+                  ) : (
+                    <div className="text-center text-blue-600">Loading data...</div>
+                  )}
+                </div>
+              )}
               {error && (
                 <div className="text-center mt-4">
                   <div className="text-red-600 bg-red-50 p-3 rounded-md">{error}</div>
@@ -515,8 +2134,16 @@ const SKUDashboard = () => {
           )}
 
           {/* Controls */}
-          {data.length > 0 && (
+          {allRows.length > 0 && (
             <>
+              {error && (
+                <div className="flex items-center justify-between text-red-600 bg-red-50 p-3 rounded-md mb-4">
+                  <span>{error}</span>
+                  <button onClick={() => setError('')} className="p-1 text-red-400 hover:text-red-600" title="Dismiss">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
               <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-4">
@@ -551,27 +2178,371 @@ const SKUDashboard = () => {
                       </>
                     )}
 
-                    <div className="text-sm text-gray-500">{data.length} records loaded</div>
+                    {groupByOpCo && availableOpCos.length > 1 && (
+                      <>
+                        <details className="relative">
+                          <summary className="list-none cursor-pointer border border-gray-300 rounded-md px-3 py-1 text-sm text-gray-700">
+                            {opcoChoice.length ? `${chosenOpCos.length} of ${availableOpCos.length} OpCos` : 'All OpCos'}
+                          </summary>
+                          <div className="absolute z-20 mt-1 w-56 max-h-64 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg p-2">
+                            <button onClick={() => setOpcoChoice([])} className="text-xs text-blue-600 hover:text-blue-800 mb-1">
+                              All
+                            </button>
+                            {availableOpCos.map((op) => (
+                              <label key={op} className="flex items-center space-x-2 text-sm text-gray-700 py-0.5">
+                                <input
+                                  type="checkbox"
+                                  checked={opcoChoice.includes(op)}
+                                  onChange={(e) =>
+                                    setOpcoChoice((prev) => (e.target.checked ? [...prev, op] : prev.filter((x) => x !== op)))
+                                  }
+                                />
+                                <span className="truncate">{op}</span>
+                              </label>
+                            ))}
+                          </div>
+                        </details>
+                        {!comparing && (
+                          <>
+                            <label className="text-sm font-medium text-gray-700">Compare OpCos to:</label>
+                            <select
+                              value={opcoVariance}
+                              onChange={(e) => setOpcoVariance(e.target.value)}
+                              className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">Nothing (values)</option>
+                              <option value={GROUP_AVERAGE}>Group average</option>
+                              {chosenOpCos.map((opco) => (
+                                <option key={opco} value={opco}>
+                                  {opco}
+                                </option>
+                              ))}
+                            </select>
+                          </>
+                        )}
+                      </>
+                    )}
+
+                    {comparison && (
+                      <>
+                        <label className="text-sm font-medium text-gray-700">Show:</label>
+                        <select
+                          value={compareView}
+                          onChange={(e) => setCompareView(e.target.value)}
+                          className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {COMPARE_VIEWS.map((v) => (
+                            <option key={v.id} value={v.id}>
+                              {v.label}
+                            </option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+
+                    <div className="text-sm text-gray-500">
+                      {data.length} records loaded
+                      {currentSource && <> from <span className="font-medium">{sourceLabel(currentSource)}</span></>}
+                      {comparison && <> · {comparisonLabel(comparison)}</>}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    {qualityReport && (
+                      <button
+                        onClick={() => setShowQualityReport((v) => !v)}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        <ShieldCheck className="w-4 h-4 mr-1" />
+                        Data quality
+                        {qualityIssueCount > 0 && (
+                          <span className="ml-1 px-1.5 rounded-full bg-amber-100 text-amber-800 text-xs">{qualityIssueCount}</span>
+                        )}
+                      </button>
+                    )}
+                    {lastParse && (
+                      <button
+                        onClick={editColumnMapping}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        <Columns3 className="w-4 h-4 mr-1" />
+                        Columns
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setShowComparison((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <GitCompare className="w-4 h-4 mr-1" />
+                      {comparison ? 'Comparing' : 'Compare'}
+                    </button>
+                    <button
+                      onClick={() => setShowSearch(true)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                      title="Search (Ctrl+K or /)"
+                    >
+                      <Search className="w-4 h-4 mr-1" />
+                      Search
+                    </button>
+                    <button
+                      onClick={() => setShowScenarioPanel((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <FlaskConical className="w-4 h-4 mr-1" />
+                      {scenario ? `Scenario: ${scenario.name}` : 'What-if'}
+                    </button>
+                    <button
+                      onClick={() => setShowRulesPanel((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Bell className="w-4 h-4 mr-1" />
+                      Rules
+                      {alertRules.length > 0 && (
+                        <span className="ml-1 px-1.5 rounded-full bg-blue-100 text-blue-800 text-xs">{alertRules.length}</span>
+                      )}
+                    </button>
+                    <button
+                      onClick={() => setShowTargetsPanel((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Target className="w-4 h-4 mr-1" />
+                      Targets
+                    </button>
+                    <button
+                      onClick={() => setShowFilterPanel((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <SlidersHorizontal className="w-4 h-4 mr-1" />
+                      Filters
+                      {chips.length > 0 && (
+                        <span className="ml-1 px-1.5 rounded-full bg-blue-100 text-blue-800 text-xs">{chips.length}</span>
+                      )}
+                    </button>
+                    <button
+                      onClick={() => setShowMeasureEditor((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Sigma className="w-4 h-4 mr-1" />
+                      Measures
+                    </button>
+                    <button
+                      onClick={() => setShowHierarchyEditor((v) => !v)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Layers className="w-4 h-4 mr-1" />
+                      Hierarchy
+                    </button>
+                    <button
+                      onClick={() => {
+                        setShowHierarchyEditor(false);
+                        setMappingStep(null);
+                        setLastParse(null);
+                        pendingViewRef.current = null;
+                        setAllRows([]);
+                        setLoadIssues(null);
+                        setExcludedChecks([]);
+                        setShowQualityReport(false);
+                        setCurrentSource(null);
+                        setCurrentDatasetId(null);
+                        // don't reopen the dataset being left on the next refresh
+                        saveLastDatasetId(null);
+                        saveLastSource(null);
+                        refreshRecentDatasets();
+                        setDrillPath([]);
+                        setError('');
+                        setSelectedOpCo('All');
+                        setSortKeys([]);
+                        setTableFilters(EMPTY_TABLE_FILTERS);
+                        clearComparison();
+                        setDateColumn(null);
+                        setDateRange({ from: '', to: '' });
+                        setMeasures([]);
+                        setShowMeasureEditor(false);
+                        setGlobalFilters(EMPTY_FILTERS);
+                        setShowFilterPanel(false);
+                        setSearchHit(null);
+                        setTargetFile(null);
+                        setShowTargetsPanel(false);
+                        setShowScenarioPanel(false);
+                        setShowRulesPanel(false);
+                        setPivotLayout(null);
+                        setPivotExpanded(new Set());
+                      }}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Load different file
+                    </button>
                   </div>
-                  <button
-                    onClick={() => {
-                      setData([]);
-                      setDrillPath([]);
-                      setError('');
-                      setSelectedOpCo('All');
-                      setSortConfig({ key: null, direction: 'asc' });
-                    }}
-                    className="text-sm text-blue-600 hover:text-blue-800"
-                  >
-                    Load different file
-                  </button>
                 </div>
+
+                {dateColumn && (
+                  <div className="flex items-center space-x-4 mt-3 pt-3 border-t border-gray-100 text-sm">
+                    <label className="font-medium text-gray-700">Date:</label>
+                    <select
+                      value={dateColumn}
+                      onChange={(e) => {
+                        setDateColumn(e.target.value);
+                        setDateRange({ from: '', to: '' });
+                      }}
+                      className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {dateCandidates.map((col) => (
+                        <option key={col} value={col}>
+                          {col}
+                        </option>
+                      ))}
+                    </select>
+                    <label className="font-medium text-gray-700">Trend by:</label>
+                    <select
+                      value={timeGrain}
+                      onChange={(e) => setTimeGrain(e.target.value)}
+                      className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {TIME_GRAINS.map((g) => (
+                        <option key={g.id} value={g.id}>
+                          {g.label}
+                        </option>
+                      ))}
+                    </select>
+                    <label className="font-medium text-gray-700">From:</label>
+                    <input
+                      type="date"
+                      value={dateRange.from}
+                      min={dateBounds?.min}
+                      max={dateBounds?.max}
+                      onChange={(e) => setDateRange((r) => ({ ...r, from: e.target.value }))}
+                      className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <label className="font-medium text-gray-700">To:</label>
+                    <input
+                      type="date"
+                      value={dateRange.to}
+                      min={dateBounds?.min}
+                      max={dateBounds?.max}
+                      onChange={(e) => setDateRange((r) => ({ ...r, to: e.target.value }))}
+                      className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {hasDateRange(dateRange) && (
+                      <button
+                        onClick={() => setDateRange({ from: '', to: '' })}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        All dates
+                      </button>
+                    )}
+                    {dateBounds && (
+                      <span className="text-gray-500">
+                        Data covers {dateBounds.min} to {dateBounds.max}
+                      </span>
+                    )}
+                  </div>
+                )}
               </div>
 
+              {showQualityReport && qualityReport && (
+                <DataQualityReport
+                  report={qualityReport}
+                  excludedChecks={excludedChecks}
+                  excludedRowCount={excludedRows.size}
+                  onToggleExclude={toggleExcludedCheck}
+                  onDownload={downloadCheckRows}
+                  onDownloadDropped={downloadDroppedRows}
+                  onClose={() => setShowQualityReport(false)}
+                />
+              )}
+
+              {showHierarchyEditor && (
+                <HierarchyEditor
+                  key={hierarchy.join('|')}
+                  hierarchy={hierarchy}
+                  columns={dimensionColumns(data)}
+                  onApply={applyHierarchy}
+                  onClose={() => setShowHierarchyEditor(false)}
+                />
+              )}
+
+              {showMeasureEditor && (
+                <MeasureEditor
+                  measures={measures}
+                  baseMetrics={baseMetrics}
+                  onChange={updateMeasures}
+                  onClose={() => setShowMeasureEditor(false)}
+                />
+              )}
+
+              {showFilterPanel && (
+                <FilterPanel
+                  filters={globalFilters}
+                  columns={filterColumns}
+                  rows={keptRows}
+                  metrics={availableMetrics}
+                  onApply={(next) => {
+                    setGlobalFilters(next);
+                    setShowFilterPanel(false);
+                  }}
+                  onClose={() => setShowFilterPanel(false)}
+                />
+              )}
+
+              {showTargetsPanel && (
+                <TargetsPanel
+                  targets={targetFile}
+                  parsed={parsedTargets}
+                  hierarchy={hierarchy}
+                  metrics={availableMetrics}
+                  style={targetStyle}
+                  onStyleChange={setTargetStyle}
+                  onLoad={setTargetFile}
+                  onClear={() => setTargetFile(null)}
+                  onClose={() => setShowTargetsPanel(false)}
+                />
+              )}
+
+              {showRulesPanel && (
+                <RulesPanel
+                  rules={alertRules}
+                  onChange={setAlertRules}
+                  metrics={availableMetrics}
+                  onClose={() => setShowRulesPanel(false)}
+                />
+              )}
+
+              {showScenarioPanel && (
+                <ScenarioPanel
+                  scenarios={scenarios}
+                  active={activeScenario}
+                  onActiveChange={setActiveScenario}
+                  onSave={saveScenarios}
+                  drillPath={drillPath}
+                  levelLabelAt={(depth) => levelLabel(hierarchy[depth])}
+                  hasVolume={Boolean(simFields.volume)}
+                  comparison={scenarioComparison || []}
+                  metrics={simMetrics}
+                  formatValue={formatSpecific}
+                  formatChange={formatChange}
+                  onClose={() => setShowScenarioPanel(false)}
+                />
+              )}
+
+              {showSearch && (
+                <SearchPalette entries={searchList} onChoose={chooseSearchResult} onClose={() => setShowSearch(false)} />
+              )}
+
+              {showComparison && (
+                <ComparisonPanel
+                  comparison={comparison}
+                  datasets={recentDatasets.filter((d) => d.id !== currentDatasetId)}
+                  periodColumns={comparePeriodColumns}
+                  rows={allRows}
+                  onApply={applyComparison}
+                  onClear={clearComparison}
+                  onClose={() => setShowComparison(false)}
+                />
+              )}
+
               {/* Nav bar */}
               <div className="flex items-center justify-between bg-white rounded-lg shadow-sm p-4">
                 <div className="flex items-center space-x-2">
-                  {(['All Categories', ...drillPath]).map((crumb, index, arr) => (
+                  {breadcrumbs.map((crumb, index, arr) => (
                     <div key={index} className="flex items-center">
                       <button
                         onClick={() => setDrillPath(drillPath.slice(0, index))}
@@ -588,6 +2559,21 @@ const SKUDashboard = () => {
                       )}
                     </div>
                   ))}
+                  {chips.map((chip) => (
+                    <span
+                      key={chip.id}
+                      className="flex items-center px-2 py-0.5 rounded-full bg-blue-50 border border-blue-200 text-xs text-blue-800"
+                    >
+                      {chip.label}
+                      <button
+                        onClick={() => setGlobalFilters((f) => chip.remove(f))}
+                        className="ml-1 text-blue-400 hover:text-blue-700"
+                        title="Remove filter"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
                 </div>
 
                 <div className="flex space-x-2">
@@ -614,191 +2600,446 @@ const SKUDashboard = () => {
         </div>
 
         {/* Main Content */}
-        {data.length > 0 && (
+        {allRows.length > 0 && (
           <div className="bg-white rounded-lg shadow-lg p-6">
             {!isLeafLevel ? (
               <div>
-                <div className="mb-4">
-                  <h2 className="text-xl font-semibold text-gray-800">
-                    {drillPath.length === 0 && `Category Distribution - ${selectedMetric}`}
-                    {drillPath.length === 1 && `${drillPath[0]} - Sub Categories`}
-                    {drillPath.length === 2 && `${drillPath[1]} - Items`}
-                  </h2>
-                  <p className="text-gray-600 text-sm mt-1">
-                    Click on a bar to drill down, or click outside bars to go back
-                  </p>
+                <div className="mb-4 flex items-start justify-between">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-800">
+                      {chartTitle}
+                    </h2>
+                    <p className="text-gray-600 text-sm mt-1">
+                      {chartType === 'pareto'
+                        ? `Ranked by ${paretoMetric}${paretoMetric !== selectedMetric ? ` (${selectedMetric} is a ratio)` : ''}${
+                            paretoScope === 'level' ? '; click a bar to drill down' : ''
+                          }`
+                        : showScatter
+                        ? 'One point per SKU and OpCo under this node'
+                        : showPivot
+                        ? 'Drag dimensions to rows or columns and measures to values'
+                        : isTreeChart
+                        ? `Size: ${treeSizeMetric} · Colour: ${treeColorMetric}. Click to drill down${
+                            chartType === 'sunburst' ? ', click the centre to go back' : ''
+                          }`
+                        : 'Click on a bar to drill down, or click outside bars to go back'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                      {[
+                        { id: 'bar', label: 'Bars' },
+                        { id: 'treemap', label: 'Treemap' },
+                        { id: 'sunburst', label: 'Sunburst' },
+                        { id: 'scatter', label: 'Scatter' },
+                        { id: 'pareto', label: 'Pareto / ABC' },
+                        { id: 'pivot', label: 'Pivot' },
+                      ].map((t) => (
+                        <button
+                          key={t.id}
+                          onClick={() => setChartType(t.id)}
+                          className={`px-3 py-1 ${chartType === t.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                        >
+                          {t.label}
+                        </button>
+                      ))}
+                    </div>
+                    {showPivot
+                      ? pivotGrid && <ExportMenu items={pivotExportItems()} />
+                      : chartData.length > 0 && <ExportMenu items={chartExportItems()} />}
+                  </div>
                 </div>
 
-                <div className="h-96 cursor-pointer relative" onClick={handleChartClick}>
-                  {/* Removed the yellow debug box and the absolute overlay div.
-                      Separators are now drawn by the SVG layer below. */}
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 70 }} barCategoryGap="20%">
-                      <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-                      <XAxis
-                        dataKey="name"
-                        tick={{ fontSize: 12 }}
-                        angle={-45}
-                        textAnchor="end"
-                        height={90}
-                        interval={0}
-                      />
-                      <YAxis
-                        tick={{ fontSize: 12 }}
-                        tickFormatter={(v) =>
-                          selectedMetric === 'Margin %'
-                            ? (() => {
-                                const n = Number(v);
-                                return Number.isFinite(n) ? `${n.toFixed(1)}%` : '';
-                              })()
-                            : (Number.isFinite(Number(v)) ? compactNumber(v) : '')
-                        }
-                        padding={{ top: 20, bottom: 28 }}
-                        domain={
-                          selectedMetric === 'Margin %'
-                            ? ['dataMin - 5', 'dataMax + 5']
-                            : ['auto', 'auto']
-                        }
-                      />
-
-                      <Tooltip content={<CustomTooltip />} />
-
-                      {/* NEW: perfectly aligned vertical separators */}
-                      <SeparatorLayer categories={chartData.map((r) => r.name)} />
-
-                      {/* Bars */}
-                      {selectedOpCo === 'All' && availableOpCos.length > 0 ? (
-                        <>
-                          {availableOpCos.map((opco) => (
-                            <Bar
-                              key={opco}
-                              dataKey={opco}
-                              name={opco}
-                              radius={[4, 4, 0, 0]}
-                              cursor="pointer"
-                              onClick={(d) => handleBarClick(d)}
-                            >
-                              {chartData.map((row, i) => {
-                                const val = Number(row[opco]);
-                                let fill = '#9ca3af';
-                                if (selectedMetric === 'Margin %') {
-                                  fill = marginColor(val);
-                                } else {
-                                  const [min, max] = valueRange;
-                                  const span = (max - min) || 1;
-                                  const t = Number.isFinite(val) ? (val - min) / span : 0;
-                                  fill = purpleShade(t);
-                                }
-                                return <Cell key={`${opco}-${i}`} fill={fill} />;
-                              })}
-                              <LabelList dataKey={opco} content={renderBarLabel} />
-                              <LabelList dataKey={opco} content={makeOpcoTag(opco)} />
-                            </Bar>
-                          ))}
-                        </>
+                {showPivot ? (
+                  <PivotTableView
+                    pivot={pivotGrid}
+                    layout={pivotFields}
+                    onLayoutChange={changePivotLayout}
+                    expanded={pivotExpanded}
+                    onExpandedChange={setPivotExpanded}
+                    dimensions={filterColumns}
+                    metrics={availableMetrics}
+                    formatValue={formatSpecific}
+                  />
+                ) : showScatter ? (
+                  scatterView
+                ) : chartType === 'pareto' ? (
+                  paretoData && (
+                    <ParetoView
+                      ranked={paretoData.ranked}
+                      scope={paretoScope}
+                      onScopeChange={setParetoScope}
+                      levelName={levelLabelPlural(currentLevel)}
+                      metric={paretoMetric}
+                      thresholds={abcThresholds}
+                      onThresholdsChange={setAbcThresholds}
+                      tailPercentile={tailPercentile}
+                      onTailPercentileChange={setTailPercentile}
+                      volumeMetric={paretoData.volumeMetric}
+                      formatValue={(v) => formatSpecific(paretoMetric, v)}
+                      onItemClick={paretoScope === 'level' ? handleBarClick : undefined}
+                      chartRef={chartRef}
+                    />
+                  )
+                ) : isTreeChart ? (
+                  <div>
+                    <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+                      <label className="font-medium">Size by:</label>
+                      <select
+                        value={treeSizeMetric}
+                        onChange={(e) => setSizeMetric(e.target.value)}
+                        className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {sizeOptions.map((m) => (
+                          <option key={m} value={m}>
+                            {m}
+                          </option>
+                        ))}
+                      </select>
+                      <label className="font-medium">Colour by:</label>
+                      <select
+                        value={treeColorMetric}
+                        onChange={(e) => setColorMetric(e.target.value)}
+                        className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {availableMetrics.map((m) => (
+                          <option key={m} value={m}>
+                            {m}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div ref={chartRef} className="h-96 relative">
+                      {!rollups ? (
+                        <div className="absolute inset-0 flex items-center justify-center">
+                          <div className="w-64">
+                            <ProgressBar phase="aggregate" fraction={aggregateProgress?.fraction ?? null} />
+                          </div>
+                        </div>
+                      ) : treeNodes.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No positive {treeSizeMetric} to show here.</p>
+                      ) : chartType === 'treemap' ? (
+                        <TreemapView
+                          nodes={treeNodes}
+                          colorOf={treeColor}
+                          onNodeClick={handleNodeClick}
+                          renderTooltip={(node) => <CustomTooltip active payload={[{ payload: node }]} label={node.path.join(' › ')} />}
+                        />
                       ) : (
-                        <Bar
-                          dataKey="value"
-                          radius={[4, 4, 0, 0]}
-                          cursor="pointer"
-                          onClick={handleBarClick}
-                        >
-                          {chartData.map((row, i) => {
-                            const val = Number(row.value);
-                            let fill = '#9ca3af';
-                            if (selectedMetric === 'Margin %') {
-                              fill = marginColor(val);
-                            } else {
-                              const [min, max] = valueRange;
-                              const span = (max - min) || 1;
-                              const t = Number.isFinite(val) ? (val - min) / span : 0;
-                              fill = purpleShade(t);
-                            }
-                            return <Cell key={`single-${i}`} fill={fill} />;
-                          })}
-                          <LabelList dataKey="value" content={renderBarLabel} />
-                        </Bar>
+                        <SunburstView
+                          nodes={treeNodes}
+                          centerLabel={drillPath.length ? drillPath[drillPath.length - 1] : breadcrumbs[0]}
+                          colorOf={treeColor}
+                          onNodeClick={handleNodeClick}
+                          onCenterClick={drillPath.length ? goBack : undefined}
+                          renderTooltip={(node) => <CustomTooltip active payload={[{ payload: node }]} label={node.path.join(' › ')} />}
+                        />
                       )}
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                  <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+                    <label className="font-medium">Sort by:</label>
+                    <select
+                      value={chartSortKey}
+                      onChange={(e) => setChartSort((s) => ({ ...s, key: e.target.value }))}
+                      className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value={NAME_SORT}>Name</option>
+                      {availableMetrics.map((m) => (
+                        <option key={m} value={m}>
+                          {m}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={chartSort.direction}
+                      onChange={(e) => setChartSort((s) => ({ ...s, direction: e.target.value }))}
+                      className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="asc">{chartSortKey === NAME_SORT ? 'A to Z' : 'Lowest first'}</option>
+                      <option value="desc">{chartSortKey === NAME_SORT ? 'Z to A' : 'Highest first'}</option>
+                    </select>
+                    <label className="font-medium">Show:</label>
+                    <select
+                      value={topN}
+                      onChange={(e) => {
+                        setTopN(Number(e.target.value));
+                        setOthersExpanded(false);
+                      }}
+                      className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {TOP_N_OPTIONS.map((n) => (
+                        <option key={n} value={n}>
+                          {n ? `Top ${n}` : 'All'}
+                        </option>
+                      ))}
+                    </select>
+                    {othersExpanded && topN > 0 && (
+                      <button onClick={() => setOthersExpanded(false)} className="text-blue-600 hover:text-blue-800">
+                        Collapse into Others
+                      </button>
+                    )}
+                    <label className="flex items-center space-x-1">
+                      <input type="checkbox" checked={horizontalBars} onChange={(e) => setHorizontalBars(e.target.checked)} />
+                      <span>Horizontal bars</span>
+                    </label>
+                  </div>
+                  <div
+                    ref={chartRef}
+                    className={`${horizontalBars ? '' : 'h-96 '}cursor-pointer relative`}
+                    style={
+                      horizontalBars
+                        ? { height: Math.max(384, chartData.length * (groupByOpCo ? shownOpCos.length * 14 + 12 : 28) + 60) }
+                        : undefined
+                    }
+                    onClick={handleChartClick}
+                  >
+                    {!rollups && (
+                      <div className="absolute inset-0 z-10 flex items-center justify-center bg-white/70">
+                        <div className="w-64">
+                          <ProgressBar phase="aggregate" fraction={aggregateProgress?.fraction ?? null} />
+                        </div>
+                      </div>
+                    )}
+                    {/* Removed the yellow debug box and the absolute overlay div.
+                        Separators are now drawn by the SVG layer below. */}
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart
+                        data={chartData}
+                        layout={horizontalBars ? 'vertical' : 'horizontal'}
+                        margin={
+                          horizontalBars
+                            ? { top: 10, right: 90 + (ruleBadges ? skuRules.length * 34 : 0), left: 20, bottom: 10 }
+                            : { top: 20, right: 30, left: 20, bottom: 70 }
+                        }
+                        barCategoryGap="20%"
+                      >
+                        <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                        {horizontalBars ? (
+                          <>
+                            <XAxis type="number" tick={{ fontSize: 12 }} tickFormatter={valueTick} domain={valueDomain} />
+                            <YAxis type="category" dataKey="name" tick={{ fontSize: 12 }} width={180} interval={0} />
+                          </>
+                        ) : (
+                          <>
+                            <XAxis
+                              dataKey="name"
+                              tick={{ fontSize: 12 }}
+                              angle={-45}
+                              textAnchor="end"
+                              height={90}
+                              interval={0}
+                            />
+                            <YAxis
+                              tick={{ fontSize: 12 }}
+                              tickFormatter={valueTick}
+                              padding={{ top: 20, bottom: 28 }}
+                              domain={valueDomain}
+                            />
+                          </>
+                        )}
+
+                        <Tooltip content={<CustomTooltip />} />
+
+                        {/* NEW: perfectly aligned vertical separators */}
+                        {!horizontalBars && <SeparatorLayer categories={chartData.map((r) => r.name)} />}
+                        {ruleBadges && <RuleBadgeLayer badges={ruleBadges} horizontal={horizontalBars} />}
+
+                        {showTargets &&
+                          (horizontalBars ? (
+                            <YAxis yAxisId="target" type="category" dataKey="name" hide />
+                          ) : (
+                            <XAxis xAxisId="target" dataKey="name" hide />
+                          ))}
+                        {targetStyle === 'ghost' && targetBars}
+
+                        {/* Bars */}
+                        {groupByOpCo ? (
+                          <>
+                            {shownOpCos.map((opco) => (
+                              <React.Fragment key={opco}>
+                              <Bar
+                                dataKey={opco}
+                                name={opco}
+                                radius={horizontalBars ? [0, 4, 4, 0] : [4, 4, 0, 0]}
+                                cursor="pointer"
+                                onClick={(d) => handleBarClick(d)}
+                              >
+                                {chartData.map((row, i) => {
+                                  const val = Number(row[opco]);
+                                  const mark = barRuleMark(row.__byOpCo?.[opco]);
+                                  let fill = '#9ca3af';
+                                  if (showingChange) {
+                                    fill = divergingShade(val / changeScale);
+                                  } else if (mark?.color) {
+                                    fill = mark.color;
+                                  } else if (selectedMetric === 'Margin %') {
+                                    fill = marginColor(val);
+                                  } else {
+                                    const [min, max] = valueRange;
+                                    const span = (max - min) || 1;
+                                    const t = Number.isFinite(val) ? (val - min) / span : 0;
+                                    fill = purpleShade(t);
+                                  }
+                                  return (
+                                    <Cell
+                                      key={`${opco}-${i}`}
+                                      fill={fill}
+                                      stroke={mark?.flagged ? '#111827' : undefined}
+                                      strokeWidth={mark?.flagged ? 2 : undefined}
+                                    />
+                                  );
+                                })}
+                                {horizontalBars ? (
+                                  <LabelList
+                                    dataKey={opco}
+                                    position="right"
+                                    fontSize={11}
+                                    formatter={(v) => (Number.isFinite(Number(v)) ? `${opco} ${formatMetricValue(v)}` : '')}
+                                  />
+                                ) : (
+                                  <>
+                                    <LabelList dataKey={opco} content={renderBarLabel} />
+                                    <LabelList dataKey={opco} content={makeOpcoTag(opco)} />
+                                  </>
+                                )}
+                              </Bar>
+                              {simBar(opco)}
+                              </React.Fragment>
+                            ))}
+                          </>
+                        ) : (
+                          <Bar
+                            dataKey="value"
+                            radius={horizontalBars ? [0, 4, 4, 0] : [4, 4, 0, 0]}
+                            cursor="pointer"
+                            onClick={handleBarClick}
+                          >
+                            {chartData.map((row, i) => {
+                              const val = Number(row.value);
+                              const mark = barRuleMark(row.__metrics);
+                              let fill = '#9ca3af';
+                              if (showingChange) {
+                                fill = divergingShade(val / changeScale);
+                              } else if (mark?.color) {
+                                fill = mark.color;
+                              } else if (selectedMetric === 'Margin %') {
+                                fill = marginColor(val);
+                              } else {
+                                const [min, max] = valueRange;
+                                const span = (max - min) || 1;
+                                const t = Number.isFinite(val) ? (val - min) / span : 0;
+                                fill = purpleShade(t);
+                              }
+                              return (
+                                <Cell
+                                  key={`single-${i}`}
+                                  fill={fill}
+                                  stroke={mark?.flagged ? '#111827' : undefined}
+                                  strokeWidth={mark?.flagged ? 2 : undefined}
+                                />
+                              );
+                            })}
+                            {horizontalBars ? (
+                              <LabelList dataKey="value" position="right" fontSize={11} formatter={formatMetricValue} />
+                            ) : (
+                              <LabelList dataKey="value" content={renderBarLabel} />
+                            )}
+                          </Bar>
+                        )}
+                        {!groupByOpCo && simBar('value')}
+                        {targetStyle === 'marker' && targetBars}
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                  {showTargets && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {targetStyle === 'marker' ? 'Black lines' : 'Dashed outlines'} mark {selectedMetric} targets from{' '}
+                      {targetFile.fileName}.
+                    </p>
+                  )}
+                  {ruleBadges && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Badges count the SKUs under each bar breaking a rule:{' '}
+                      {skuRules.map((rule, i) => (
+                        <span key={i} className="mr-2" style={{ color: ruleColor(rule) }}>
+                          {ruleLabel(rule)}
+                        </span>
+                      ))}
+                    </p>
+                  )}
+                  {showSim && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Amber bars show {selectedMetric} under the "{scenario.name}" scenario.
+                    </p>
+                  )}
+                  </div>
+                )}
+
+                {scatterSelection && (
+                  <div className="mt-8 pt-6 border-t border-gray-100">
+                    <div className="mb-4 flex items-start justify-between">
+                      <h3 className="text-lg font-semibold text-gray-800">Selected SKUs</h3>
+                      {sortedFilteredData.length > 0 && <ExportMenu items={leafExportItems()} />}
+                    </div>
+                    {skuTable}
+                  </div>
+                )}
               </div>
             ) : (
               <div>
-                <div className="mb-4">
-                  <h2 className="text-xl font-semibold text-gray-800">SKU Details - {drillPath[2]}</h2>
-                  <p className="text-gray-600 text-sm mt-1">Individual SKU information</p>
+                <div className="mb-4 flex items-start justify-between">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-800">SKU Details - {drillPath[drillPath.length - 1]}</h2>
+                    <p className="text-gray-600 text-sm mt-1">
+                      {pivotActive
+                        ? `${selectedMetric} per OpCo; Spread is the gap between the highest and lowest`
+                        : 'Individual SKU information'}
+                      {scatterSelection && ` · ${scatterSelection.length} selected in the scatter`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    {groupByOpCo && availableOpCos.length > 1 && (
+                      <button
+                        onClick={() => setShowOpcoPivot((v) => !v)}
+                        className={`px-3 py-1 text-sm rounded-md border ${
+                          pivotActive ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        By OpCo
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setChartType(showScatter ? 'bar' : 'scatter')}
+                      className={`px-3 py-1 text-sm rounded-md border ${
+                        showScatter ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      Scatter
+                    </button>
+                    {(pivotActive ? pivotShown : sortedFilteredData).length > 0 && <ExportMenu items={leafExportItems()} />}
+                  </div>
                 </div>
 
-                <div className="overflow-x-auto">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        <th
-                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                          onClick={() => handleSort('sku_code')}
-                        >
-                          SKU Code {sortConfig.key === 'sku_code' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                        </th>
-                        <th
-                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                          onClick={() => handleSort('sku_description')}
-                        >
-                          Description {sortConfig.key === 'sku_description' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                        </th>
-                        <th
-                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                          onClick={() => handleSort('category')}
-                        >
-                          Category {sortConfig.key === 'category' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                        </th>
-                        <th
-                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                          onClick={() => handleSort('sub_category')}
-                        >
-                          Sub Category {sortConfig.key === 'sub_category' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                        </th>
-                        {availableMetrics.map((metric) => (
-                          <th
-                            key={metric}
-                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                            onClick={() => handleSort(metric)}
-                          >
-                            {metric} {sortConfig.key === metric && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {sortedFilteredData.map((row, idx) => (
-                        <tr key={idx} className="hover:bg-gray-50">
-                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                            {row.sku_code}
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                            {row.sku_description || '-'}
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.category}</td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                            {row.sub_category}
-                          </td>
-                          {availableMetrics.map((metric) => (
-                            <td key={metric} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {metric === 'Margin %'
-                                ? (() => {
-                                    const m = getNum(row, ['Margin', 'margin']);
-                                    const r = getNum(row, ['Revenue', 'revenue']);
-                                    const pct = r > 0 ? (m / r) * 100 : NaN;
-                                    return Number.isFinite(pct) ? `${pct.toFixed(1)}%` : '';
-                                  })()
-                                : (Number.isFinite(Number(row[metric])) ? compactNumber(row[metric]) : '')}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+                {scatterView && <div className="mb-6">{scatterView}</div>}
+                {pivotActive ? pivotTable : skuTable}
+              </div>
+            )}
+
+            {trend && (
+              <div className="mt-8 pt-6 border-t border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">
+                  {selectedMetric} by {timeGrain} - {drillPath.length ? drillPath[drillPath.length - 1] : breadcrumbs[0]}
+                  {selectedOpCo !== 'All' && ` · ${selectedOpCo}`}
+                </h3>
+                <TrendChart
+                  points={trend.points}
+                  series={opcoChoice.length ? trend.series.filter((sr) => sr === 'value' || chosenOpCos.includes(sr)) : trend.series}
+                  formatValue={(v) => formatSpecific(selectedMetric, v)}
+                  formatTick={(v) => formatSpecific(selectedMetric, v)}
+                />
               </div>
             )}
           </div>
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { STANDARD_DIMENSIONS, STANDARD_MEASURES, validateMapping } from './columnMapping.js';
+
+const CUSTOM = '__custom__';
+
+// Mapping step shown after parsing when some headers weren't recognised
+// (or when the user reopens it from the controls).
+const ColumnMappingWizard = ({ headers, rows, initialMapping, initialProfileName, onApply, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [saveAsProfile, setSaveAsProfile] = useState(true);
+  const [profileName, setProfileName] = useState(initialProfileName || '');
+
+  const problems = validateMapping(mapping);
+
+  const samplesFor = (h) =>
+    rows
+      .slice(0, 50)
+      .map((r) => r[h])
+      .filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+      .slice(0, 3);
+
+  const update = (h, patch) => setMapping((prev) => ({ ...prev, [h]: { ...prev[h], ...patch } }));
+
+  const changeRole = (h, role) => {
+    const current = mapping[h];
+    // a standard dimension name makes no sense for a measure and vice versa
+    const standard = [...STANDARD_DIMENSIONS.map((d) => d.target), ...STANDARD_MEASURES.map((m) => m.target)];
+    update(h, { role, target: standard.includes(current.target) ? h : current.target });
+  };
+
+  const targetOptions = (role) =>
+    role === 'dimension'
+      ? STANDARD_DIMENSIONS.map((d) => ({ value: d.target, label: d.label }))
+      : STANDARD_MEASURES.map((m) => ({ value: m.target, label: m.target }));
+
+  const isStandard = (role, target) => targetOptions(role).some((o) => o.value === target);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-gray-800">Map your columns</h2>
+        <button onClick={onCancel} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Tell the dashboard what each column holds. Dimensions can be used as drill levels; measures are summed.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sample values</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Use as</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {headers.map((h) => {
+              const m = mapping[h] || { role: 'ignore', target: h };
+              const standard = isStandard(m.role, m.target);
+              return (
+                <tr key={h}>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">{h}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{samplesFor(h).join(', ') || '-'}</td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={m.role}
+                      onChange={(e) => changeRole(h, e.target.value)}
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="dimension">Dimension</option>
+                      <option value="measure">Measure</option>
+                      <option value="ignore">Ignore</option>
+                    </select>
+                  </td>
+                  <td className="px-4 py-2">
+                    {m.role !== 'ignore' && (
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={standard ? m.target : CUSTOM}
+                          onChange={(e) => update(h, { target: e.target.value === CUSTOM ? h : e.target.value })}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {targetOptions(m.role).map((o) => (
+                            <option key={o.value} value={o.value}>
+                              {o.label}
+                            </option>
+                          ))}
+                          <option value={CUSTOM}>Other (custom name)</option>
+                        </select>
+                        {!standard && (
+                          <input
+                            value={m.target}
+                            onChange={(e) => update(h, { target: e.target.value })}
+                            className="border border-gray-300 rounded-md px-2 py-1 text-sm w-40 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mt-4 text-sm text-red-600 bg-red-50 p-3 rounded-md list-disc list-inside">
+          {problems.map((p) => (
+            <li key={p}>{p}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center justify-between mt-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input type="checkbox" checked={saveAsProfile} onChange={(e) => setSaveAsProfile(e.target.checked)} />
+          <span>Remember for files with these headers as</span>
+          <input
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            disabled={!saveAsProfile}
+            placeholder="Profile name"
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm w-48 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+        </label>
+        <div className="flex space-x-2">
+          <button onClick={onCancel} className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200">
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(mapping, saveAsProfile ? profileName.trim() || null : undefined)}
+            disabled={problems.length > 0}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Apply mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
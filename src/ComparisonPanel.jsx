@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import { periodValues } from './comparison.js';
+
+const selectClass =
+  'border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Choose what the current data is compared with: another saved dataset, or two
+// periods of a period/month column. Nothing changes until "Compare".
+const ComparisonPanel = ({ comparison, datasets, periodColumns, rows, onApply, onClear, onClose }) => {
+  const [mode, setMode] = useState(comparison?.mode || (periodColumns.length ? 'period' : 'dataset'));
+  const [datasetId, setDatasetId] = useState(comparison?.datasetId || datasets[0]?.id || '');
+  const [column, setColumn] = useState(comparison?.column || periodColumns[0] || '');
+  const periods = useMemo(() => (column ? periodValues(rows, column) : []), [rows, column]);
+  const [baseline, setBaseline] = useState(comparison?.baseline || periods[periods.length - 2] || '');
+  const [current, setCurrent] = useState(comparison?.current || periods[periods.length - 1] || '');
+
+  const changeColumn = (col) => {
+    const values = periodValues(rows, col);
+    setColumn(col);
+    setBaseline(values[values.length - 2] || '');
+    setCurrent(values[values.length - 1] || '');
+  };
+
+  const canApply =
+    mode === 'dataset' ? Boolean(datasetId) : Boolean(column && baseline && current && baseline !== current);
+
+  const apply = () => {
+    if (mode === 'dataset') {
+      const ds = datasets.find((d) => d.id === datasetId);
+      onApply({ mode, datasetId, name: ds?.name || 'baseline' });
+    } else {
+      onApply({ mode, column, baseline, current });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Compare with a baseline</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-4 mb-3 text-sm text-gray-700">
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={mode === 'period'} onChange={() => setMode('period')} disabled={!periodColumns.length} />
+          <span>Two periods of this dataset</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={mode === 'dataset'} onChange={() => setMode('dataset')} />
+          <span>Another saved dataset</span>
+        </label>
+      </div>
+
+      {mode === 'period' ? (
+        <div className="flex items-center space-x-3 text-sm text-gray-700">
+          <label>Column:</label>
+          <select value={column} onChange={(e) => changeColumn(e.target.value)} className={selectClass}>
+            {periodColumns.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <label>Baseline:</label>
+          <select value={baseline} onChange={(e) => setBaseline(e.target.value)} className={selectClass}>
+            {periods.map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+          <label>Current:</label>
+          <select value={current} onChange={(e) => setCurrent(e.target.value)} className={selectClass}>
+            {periods.map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+        </div>
+      ) : datasets.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Load the baseline extract once (it is saved in this browser), then reopen this dataset to compare.
+        </p>
+      ) : (
+        <div className="flex items-center space-x-3 text-sm text-gray-700">
+          <label>Baseline dataset:</label>
+          <select value={datasetId} onChange={(e) => setDatasetId(e.target.value)} className={selectClass}>
+            {datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.name} · {d.rowCount} rows
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {mode === 'period' && !periodColumns.length && (
+        <p className="text-sm text-gray-500">No period or month column in this dataset.</p>
+      )}
+
+      <div className="flex justify-end space-x-2 mt-4">
+        {comparison && (
+          <button onClick={onClear} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+            Stop comparing
+          </button>
+        )}
+        <button
+          onClick={apply}
+          disabled={!canApply}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Compare
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle2, Download, X } from 'lucide-react';
+
+// Validation summary shown after every load. Each check can be kept or excluded;
+// rows the drill hierarchy can't place are always left out of the charts.
+const DataQualityReport = ({
+  report,
+  excludedChecks,
+  excludedRowCount,
+  onToggleExclude,
+  onDownload,
+  onDownloadDropped,
+  onClose,
+}) => {
+  const issues = report.checks.filter((c) => c.rows.length > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 flex items-center">
+          {issues.length === 0 && report.dropped.count === 0 ? (
+            <CheckCircle2 className="w-4 h-4 mr-2 text-green-600" />
+          ) : (
+            <AlertTriangle className="w-4 h-4 mr-2 text-amber-500" />
+          )}
+          Data quality · {report.totalRows} rows read
+        </h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {report.dropped.count > 0 && (
+        <div className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-2 mb-2">
+          <div>
+            <div className="text-sm font-medium text-gray-800">
+              {report.dropped.count} row(s) dropped
+            </div>
+            <div className="text-xs text-gray-500">
+              {report.dropped.byLevel.map((d) => `${d.count} missing ${d.label}`).join(', ')}
+            </div>
+          </div>
+          <button
+            onClick={onDownloadDropped}
+            className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+          >
+            <Download className="w-3 h-3 mr-1" />
+            Rows
+          </button>
+        </div>
+      )}
+
+      {issues.length === 0 && report.dropped.count === 0 && (
+        <p className="text-sm text-gray-500">No issues found.</p>
+      )}
+
+      <ul className="space-y-2">
+        {issues.map((check) => {
+          const excluded = excludedChecks.includes(check.id);
+          return (
+            <li key={check.id} className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-2">
+              <div>
+                <div className="text-sm font-medium text-gray-800">
+                  {check.label} <span className="text-gray-500 font-normal">· {check.rows.length} row(s)</span>
+                </div>
+                <div className="text-xs text-gray-500">{check.description}</div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => onDownload(check)}
+                  className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+                >
+                  <Download className="w-3 h-3 mr-1" />
+                  Rows
+                </button>
+                <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs">
+                  <button
+                    onClick={() => excluded && onToggleExclude(check.id)}
+                    className={`px-2 py-1 ${!excluded ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                  >
+                    Keep
+                  </button>
+                  <button
+                    onClick={() => !excluded && onToggleExclude(check.id)}
+                    className={`px-2 py-1 ${excluded ? 'bg-red-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                  >
+                    Exclude
+                  </button>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {excludedRowCount > 0 && (
+        <p className="text-xs text-gray-500 mt-3">{excludedRowCount} flagged row(s) excluded from the dashboard.</p>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityReport;
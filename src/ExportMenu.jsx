@@ -0,0 +1,34 @@
+import React, { useRef } from 'react';
+import { Download } from 'lucide-react';
+
+// Small "Export" dropdown; items: [{ label, onSelect }]
+const ExportMenu = ({ items }) => {
+  const ref = useRef(null);
+
+  const choose = (item) => {
+    if (ref.current) ref.current.open = false;
+    item.onSelect();
+  };
+
+  return (
+    <details ref={ref} className="relative">
+      <summary className="list-none cursor-pointer flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors text-sm">
+        <Download className="w-4 h-4 mr-1" />
+        Export
+      </summary>
+      <div className="absolute right-0 z-20 mt-1 w-44 bg-white border border-gray-200 rounded-md shadow-lg py-1">
+        {items.map((item) => (
+          <button
+            key={item.label}
+            onClick={() => choose(item)}
+            className="block w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
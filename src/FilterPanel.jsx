@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import { EMPTY_FILTERS } from './filters.js';
+
+const MAX_VALUES = 300;
+
+const inputClass =
+  'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Include/exclude values of one column; values are listed from the loaded rows
+const DimensionFilter = ({ label, values, filter, onChange }) => {
+  const [search, setSearch] = useState('');
+  const mode = filter?.mode || 'include';
+  const chosen = filter?.values || [];
+  const q = search.trim().toLowerCase();
+  const matching = q ? values.filter((v) => v.toLowerCase().includes(q)) : values;
+
+  const toggle = (v, on) => onChange({ mode, values: on ? [...chosen, v] : chosen.filter((x) => x !== v) });
+
+  return (
+    <details className="border border-gray-200 rounded-md" open={chosen.length > 0}>
+      <summary className="cursor-pointer px-3 py-2 text-sm text-gray-700 flex items-center justify-between">
+        <span className="font-medium">{label}</span>
+        {chosen.length > 0 && (
+          <span className="text-xs text-blue-700">
+            {mode === 'exclude' ? 'excluding' : 'only'} {chosen.length}
+          </span>
+        )}
+      </summary>
+      <div className="px-3 pb-3 space-y-2">
+        <div className="flex items-center space-x-3 text-xs text-gray-700">
+          {['include', 'exclude'].map((m) => (
+            <label key={m} className="flex items-center space-x-1">
+              <input type="radio" checked={mode === m} onChange={() => onChange({ mode: m, values: chosen })} />
+              <span>{m === 'include' ? 'Only these' : 'All but these'}</span>
+            </label>
+          ))}
+          {chosen.length > 0 && (
+            <button onClick={() => onChange({ mode, values: [] })} className="text-blue-600 hover:text-blue-800">
+              Clear
+            </button>
+          )}
+        </div>
+        <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search values" className={`${inputClass} w-full`} />
+        <div className="max-h-48 overflow-auto">
+          {matching.slice(0, MAX_VALUES).map((v) => (
+            <label key={v} className="flex items-center space-x-2 text-xs text-gray-700 py-0.5">
+              <input type="checkbox" checked={chosen.includes(v)} onChange={(e) => toggle(v, e.target.checked)} />
+              <span className="truncate">{v || '(blank)'}</span>
+            </label>
+          ))}
+          {matching.length > MAX_VALUES && (
+            <p className="text-xs text-gray-500 mt-1">
+              {matching.length - MAX_VALUES} more; search to narrow the list.
+            </p>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+/**
+ * Global filters: include/exclude lists for every dimension column and min/max ranges on
+ * measures. columns: [{ key, label }]; rows: the loaded rows, for the value lists.
+ * Nothing changes until "Apply".
+ */
+const FilterPanel = ({ filters, columns, rows, metrics, onApply, onClose }) => {
+  const [draft, setDraft] = useState(filters || EMPTY_FILTERS);
+
+  const valuesByColumn = useMemo(() => {
+    const out = {};
+    columns.forEach(({ key }) => {
+      out[key] = [...new Set(rows.map((r) => String(r[key] ?? '')))].sort((a, b) =>
+        a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+      );
+    });
+    return out;
+  }, [columns, rows]);
+
+  const setDimension = (key, value) => setDraft((d) => ({ ...d, dimensions: { ...d.dimensions, [key]: value } }));
+  const setRange = (measure, bound, value) =>
+    setDraft((d) => ({ ...d, ranges: { ...d.ranges, [measure]: { ...d.ranges[measure], [bound]: value } } }));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Filters</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2">
+          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">Columns</h4>
+          {columns.map(({ key, label }) => (
+            <DimensionFilter
+              key={key}
+              label={label}
+              values={valuesByColumn[key] || []}
+              filter={draft.dimensions[key]}
+              onChange={(value) => setDimension(key, value)}
+            />
+          ))}
+        </div>
+        <div>
+          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Measure ranges (per row)</h4>
+          <table className="text-sm">
+            <tbody>
+              {metrics.map((m) => (
+                <tr key={m}>
+                  <td className="pr-3 py-1 text-gray-700">{m}</td>
+                  <td className="py-1">
+                    <input
+                      type="number"
+                      value={draft.ranges[m]?.min ?? ''}
+                      onChange={(e) => setRange(m, 'min', e.target.value)}
+                      placeholder="min"
+                      className={`${inputClass} w-24 mr-2`}
+                    />
+                    <input
+                      type="number"
+                      value={draft.ranges[m]?.max ?? ''}
+                      onChange={(e) => setRange(m, 'max', e.target.value)}
+                      placeholder="max"
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-2 mt-4">
+        <button onClick={() => setDraft(EMPTY_FILTERS)} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          Clear all
+        </button>
+        <button onClick={() => onApply(draft)} className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterPanel;
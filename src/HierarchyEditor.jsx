@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, X, Plus } from 'lucide-react';
+import { levelLabel } from './hierarchy.js';
+
+// Pick which columns make up the drill levels and in what order.
+// Edits are kept in a draft until "Apply" so the chart doesn't reset on every click.
+const HierarchyEditor = ({ hierarchy, columns, onApply, onClose }) => {
+  const [draft, setDraft] = useState(hierarchy);
+  const [toAdd, setToAdd] = useState('');
+
+  const unused = columns.filter((c) => !draft.includes(c));
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const remove = (index) => setDraft(draft.filter((_, i) => i !== index));
+
+  const add = () => {
+    const col = toAdd || unused[0];
+    if (!col) return;
+    setDraft([...draft, col]);
+    setToAdd('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Drill hierarchy</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <ol className="space-y-2 mb-3">
+        {draft.map((col, i) => (
+          <li key={col} className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-1">
+            <span className="text-sm text-gray-800">
+              <span className="text-gray-400 mr-2">{i + 1}.</span>
+              {levelLabel(col)}
+              {levelLabel(col) !== col && <span className="text-xs text-gray-400 ml-2">{col}</span>}
+            </span>
+            <span className="flex items-center space-x-1">
+              <button onClick={() => move(i, -1)} disabled={i === 0} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move up">
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => move(i, 1)} disabled={i === draft.length - 1} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move down">
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button onClick={() => remove(i)} className="p-1 text-gray-400 hover:text-red-600" title="Remove level">
+                <X className="w-4 h-4" />
+              </button>
+            </span>
+          </li>
+        ))}
+        {draft.length === 0 && <li className="text-sm text-gray-500">Add at least one level.</li>}
+      </ol>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <select
+            value={toAdd}
+            onChange={(e) => setToAdd(e.target.value)}
+            disabled={unused.length === 0}
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {unused.length === 0 && <option value="">No more columns</option>}
+            {unused.map((c) => (
+              <option key={c} value={c}>
+                {levelLabel(c)}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={add}
+            disabled={unused.length === 0}
+            className="flex items-center px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add level
+          </button>
+        </div>
+        <button
+          onClick={() => onApply(draft)}
+          disabled={draft.length === 0}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HierarchyEditor;
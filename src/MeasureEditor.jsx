@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { X, Pencil, Trash2 } from 'lucide-react';
+import { MEASURE_FORMATS, AGGREGATE_OPTIONS, validateMeasure } from './measures.js';
+
+const EMPTY_DRAFT = { name: '', formula: '', aggregate: 'before', format: 'number' };
+
+const inputClass =
+  'border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Define calculated measures from the dataset's measures. A measure may use the
+// ones listed above it; the list is saved with the dataset.
+const MeasureEditor = ({ measures, baseMetrics, onChange, onClose }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(-1); // index being edited, -1 for a new measure
+
+  const usable = (index) => [...baseMetrics, ...measures.slice(0, index < 0 ? measures.length : index).map((m) => m.name)];
+  const taken = (index) => [...baseMetrics, ...measures.filter((_, i) => i !== index).map((m) => m.name)];
+
+  const problem = draft.name || draft.formula ? validateMeasure(draft, usable(editing), taken(editing)) : null;
+
+  const save = () => {
+    if (problem || !draft.name) return;
+    const next = { ...draft, name: draft.name.trim(), formula: draft.formula.trim() };
+    onChange(editing < 0 ? [...measures, next] : measures.map((m, i) => (i === editing ? next : m)));
+    setDraft(EMPTY_DRAFT);
+    setEditing(-1);
+  };
+
+  const edit = (index) => {
+    setDraft(measures[index]);
+    setEditing(index);
+  };
+
+  const remove = (index) => {
+    onChange(measures.filter((_, i) => i !== index));
+    if (editing === index) {
+      setDraft(EMPTY_DRAFT);
+      setEditing(-1);
+    }
+  };
+
+  // quote names that aren't plain identifiers
+  const insert = (name) => {
+    const token = /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name}"`;
+    setDraft((d) => ({ ...d, formula: d.formula ? `${d.formula.trimEnd()} ${token}` : token }));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Calculated measures</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {measures.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {measures.map((m, i) => {
+            const invalid = validateMeasure(m, usable(i), taken(i));
+            return (
+              <li key={m.name} className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-2">
+                <div>
+                  <div className="text-sm font-medium text-gray-800">
+                    {m.name}
+                    <span className="ml-2 text-xs font-normal text-gray-500">
+                      {MEASURE_FORMATS.find((f) => f.id === m.format)?.label} ·{' '}
+                      {AGGREGATE_OPTIONS.find((a) => a.id === m.aggregate)?.label}
+                    </span>
+                  </div>
+                  <code className="text-xs text-gray-600">{m.formula}</code>
+                  {invalid && <div className="text-xs text-red-600">{invalid}</div>}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => edit(i)} className="p-1 text-gray-400 hover:text-blue-600" title="Edit">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => remove(i)} className="p-1 text-gray-400 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="space-y-3">
+        <div className="flex items-center space-x-3">
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            placeholder="Name, e.g. Revenue per transaction"
+            className={`${inputClass} w-64`}
+          />
+          <select
+            value={draft.format}
+            onChange={(e) => setDraft((d) => ({ ...d, format: e.target.value }))}
+            className={inputClass}
+          >
+            {MEASURE_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={draft.aggregate}
+            onChange={(e) => setDraft((d) => ({ ...d, aggregate: e.target.value }))}
+            className={inputClass}
+          >
+            {AGGREGATE_OPTIONS.map((a) => (
+              <option key={a.id} value={a.id}>
+                {a.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <input
+          value={draft.formula}
+          onChange={(e) => setDraft((d) => ({ ...d, formula: e.target.value }))}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder='Formula, e.g. revenue / "no of transactions"'
+          className={`${inputClass} w-full font-mono`}
+        />
+        <div className="flex flex-wrap gap-1">
+          {usable(editing).map((name) => (
+            <button
+              key={name}
+              onClick={() => insert(name)}
+              className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700 hover:bg-gray-200"
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          Percent shows the result × 100, so cost / revenue reads as a percentage.
+        </p>
+        {problem && <p className="text-sm text-red-600">{problem}</p>}
+        <div className="flex justify-end space-x-2">
+          {editing >= 0 && (
+            <button
+              onClick={() => {
+                setDraft(EMPTY_DRAFT);
+                setEditing(-1);
+              }}
+              className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={save}
+            disabled={Boolean(problem) || !draft.name}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {editing >= 0 ? 'Save measure' : 'Add measure'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MeasureEditor;
@@ -0,0 +1,183 @@
+import React from 'react';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { abcSummary } from './pareto.js';
+
+export const ABC_COLORS = { A: '#5b21b6', B: '#a78bfa', C: '#ddd6fe' };
+const TAIL_COLOR = '#dc2626';
+const MAX_BARS = 200;
+
+const inputClass =
+  'border border-gray-300 rounded-md px-2 py-1 text-sm w-16 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Ranked bars with a cumulative-share line, A/B/C threshold lines, a class summary
+ * and the tail SKUs (low volume, negative margin).
+ * ranked: rankPareto/skuPareto output; scope: 'level' | 'sku'.
+ */
+const ParetoView = ({
+  ranked,
+  scope,
+  onScopeChange,
+  levelName,
+  metric,
+  thresholds,
+  onThresholdsChange,
+  tailPercentile,
+  onTailPercentileChange,
+  volumeMetric,
+  formatValue,
+  onItemClick,
+  chartRef,
+}) => {
+  const shown = ranked.slice(0, MAX_BARS);
+  const summary = abcSummary(ranked);
+  const tail = scope === 'sku' ? ranked.filter((it) => it.tail) : [];
+
+  const setThreshold = (key, value) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 100) return;
+    onThresholdsChange({ ...thresholds, [key]: n });
+  };
+
+  const ParetoTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const it = payload[0].payload;
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg shadow px-3 py-2 text-sm">
+        <div className="font-semibold">
+          #{it.rank} {it.name}
+          {it.description ? ` · ${it.description}` : ''}
+        </div>
+        <div className="text-gray-600">
+          {metric}: {formatValue(it.value)}
+        </div>
+        <div className="text-gray-600">
+          Share {it.share.toFixed(1)}% · cumulative {it.cumShare.toFixed(1)}%
+        </div>
+        <div className="text-gray-600">
+          Class {it.abc}
+          {it.tail && <span className="text-red-600"> · tail SKU</span>}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+        <label className="font-medium">Rank:</label>
+        <select
+          value={scope}
+          onChange={(e) => onScopeChange(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="level">{levelName}</option>
+          <option value="sku">SKUs</option>
+        </select>
+        <label className="font-medium">A up to</label>
+        <input type="number" value={thresholds.a} onChange={(e) => setThreshold('a', e.target.value)} className={inputClass} />
+        <span>%, B next</span>
+        <input type="number" value={thresholds.b} onChange={(e) => setThreshold('b', e.target.value)} className={inputClass} />
+        <span>%, C the rest ({Math.max(0, 100 - thresholds.a - thresholds.b)}%)</span>
+        {scope === 'sku' && volumeMetric && (
+          <>
+            <label className="font-medium">Tail: bottom</label>
+            <input
+              type="number"
+              value={tailPercentile}
+              onChange={(e) => {
+                const n = Number(e.target.value);
+                if (Number.isFinite(n) && n >= 0 && n <= 100) onTailPercentileChange(n);
+              }}
+              className={inputClass}
+            />
+            <span>% by {volumeMetric} with negative margin</span>
+          </>
+        )}
+      </div>
+
+      <div className="flex space-x-4 mb-3 text-sm">
+        {['A', 'B', 'C'].map((c) => (
+          <div key={c} className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ background: ABC_COLORS[c] }} />
+            <span className="font-medium mr-1">{c}</span>
+            <span className="text-gray-600">
+              {summary[c].count} · {summary[c].share.toFixed(1)}% of {metric}
+            </span>
+          </div>
+        ))}
+        {scope === 'sku' && (
+          <div className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ background: TAIL_COLOR }} />
+            <span className="text-gray-600">{tail.length} tail SKU(s)</span>
+          </div>
+        )}
+      </div>
+
+      <div ref={chartRef} className="h-96">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={shown} margin={{ top: 20, right: 30, left: 20, bottom: 70 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis dataKey="name" tick={{ fontSize: 11 }} angle={-45} textAnchor="end" height={90} interval={shown.length > 40 ? 'preserveStartEnd' : 0} />
+            <YAxis yAxisId="value" tick={{ fontSize: 12 }} tickFormatter={formatValue} />
+            <YAxis yAxisId="share" orientation="right" domain={[0, 100]} tick={{ fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+            <Tooltip content={<ParetoTooltip />} />
+            <ReferenceLine yAxisId="share" y={thresholds.a} stroke="#6b7280" strokeDasharray="4 4" />
+            <ReferenceLine yAxisId="share" y={Math.min(100, thresholds.a + thresholds.b)} stroke="#9ca3af" strokeDasharray="4 4" />
+            <Bar
+              yAxisId="value"
+              dataKey="value"
+              cursor={onItemClick ? 'pointer' : undefined}
+              onClick={(d) => onItemClick?.(d)}
+            >
+              {shown.map((it) => (
+                <Cell key={it.name} fill={it.tail ? TAIL_COLOR : ABC_COLORS[it.abc]} />
+              ))}
+            </Bar>
+            <Line yAxisId="share" type="monotone" dataKey="cumShare" stroke="#ea580c" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      {ranked.length > MAX_BARS && (
+        <p className="text-xs text-gray-500 mt-1">
+          Showing the top {MAX_BARS} of {ranked.length}; classes and shares use all of them.
+        </p>
+      )}
+
+      {tail.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Tail SKUs (delisting candidates)</h3>
+          <div className="max-h-48 overflow-auto border border-gray-200 rounded-md">
+            <table className="min-w-full text-sm">
+              <tbody className="divide-y divide-gray-100">
+                {tail.map((it) => (
+                  <tr key={it.name}>
+                    <td className="px-3 py-1 font-medium text-gray-900">{it.name}</td>
+                    <td className="px-3 py-1 text-gray-600">{it.description}</td>
+                    <td className="px-3 py-1 text-gray-600">
+                      {volumeMetric}: {it.volume}
+                    </td>
+                    <td className="px-3 py-1 text-red-600">Margin {formatValue(it.margin)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParetoView;
@@ -0,0 +1,303 @@
+import React, { useMemo, useState } from 'react';
+import { X, ChevronRight, ChevronDown } from 'lucide-react';
+import { TOTAL_COLUMN, visibleRows, groupKeys } from './pivotTable.js';
+
+const MAX_ROWS = 2000;
+const ZONES = [
+  { id: 'rows', label: 'Rows', kind: 'dim' },
+  { id: 'cols', label: 'Columns', kind: 'dim' },
+  { id: 'values', label: 'Values', kind: 'measure' },
+];
+
+// t in [0, 1] from the lowest to the highest value of a range: pale to strong blue
+const heatColor = (t) => `rgba(37, 99, 235, ${(0.06 + 0.5 * t).toFixed(3)})`;
+
+const Chip = ({ label, drag, onRemove }) => (
+  <span
+    draggable
+    onDragStart={(e) => {
+      e.dataTransfer.setData('text/plain', JSON.stringify(drag));
+      e.dataTransfer.effectAllowed = 'move';
+    }}
+    className="inline-flex items-center bg-white border border-gray-300 rounded-md px-2 py-0.5 text-sm text-gray-700 cursor-move"
+  >
+    {label}
+    {onRemove && (
+      <button onClick={onRemove} className="ml-1 text-gray-400 hover:text-gray-600" title="Remove">
+        <X className="w-3 h-3" />
+      </button>
+    )}
+  </span>
+);
+
+/**
+ * Pivot of the rows under the current node (pivotTable.js). Dimensions are dragged to
+ * rows or columns and measures to values; row groups expand and collapse, and each
+ * measure can be shaded as a heat map within its row level.
+ * layout: { rows: [column], cols: [column], values: [measure] }
+ * expanded: Set of the keys of the open row groups
+ * dimensions: [{ key, label }]
+ */
+const PivotTableView = ({ pivot, layout, onLayoutChange, expanded, onExpandedChange, dimensions, metrics, formatValue }) => {
+  const [heatMap, setHeatMap] = useState(true);
+  const [dropZone, setDropZone] = useState(null);
+
+  const labelOf = (key) => dimensions.find((d) => d.key === key)?.label || key;
+  const used = new Set([...layout.rows, ...layout.cols]);
+
+  const drop = (zone) => (e) => {
+    e.preventDefault();
+    setDropZone(null);
+    let item;
+    try {
+      item = JSON.parse(e.dataTransfer.getData('text/plain'));
+    } catch {
+      return;
+    }
+    if (!item || item.kind !== ZONES.find((z) => z.id === zone).kind || item.from === zone) return;
+    const next = { ...layout };
+    if (item.from) next[item.from] = next[item.from].filter((f) => f !== item.field);
+    next[zone] = [...next[zone], item.field];
+    onLayoutChange(next);
+  };
+
+  const remove = (zone, field) => onLayoutChange({ ...layout, [zone]: layout[zone].filter((f) => f !== field) });
+
+  const columns = !pivot
+    ? []
+    : layout.cols.length
+    ? [...pivot.columns, { key: TOTAL_COLUMN, values: ['Total'] }]
+    : [{ key: TOTAL_COLUMN, values: [] }];
+
+  const shown = useMemo(() => (pivot ? visibleRows(pivot.root, expanded) : []), [pivot, expanded]);
+
+  // heat-map range per measure and row level, over the non-total columns (or the total
+  // column when there are no column dimensions)
+  const ranges = useMemo(() => {
+    if (!pivot || !heatMap) return null;
+    const cols = layout.cols.length ? pivot.columns : [{ key: TOTAL_COLUMN }];
+    const out = {};
+    shown.forEach((node) =>
+      cols.forEach((c) => {
+        const cell = pivot.cell(node.key, c.key);
+        layout.values.forEach((m) => {
+          const v = cell?.[m];
+          if (!Number.isFinite(v)) return;
+          const id = `${m}\u0000${node.depth}`;
+          const r = out[id] || (out[id] = { min: v, max: v });
+          r.min = Math.min(r.min, v);
+          r.max = Math.max(r.max, v);
+        });
+      })
+    );
+    return out;
+  }, [pivot, heatMap, shown, layout.cols.length, layout.values]);
+
+  const shade = (m, depth, colKey, v) => {
+    if (!ranges || !Number.isFinite(v) || (colKey === TOTAL_COLUMN && layout.cols.length)) return undefined;
+    const r = ranges[`${m}\u0000${depth}`];
+    if (!r || r.max === r.min) return undefined;
+    return { backgroundColor: heatColor((v - r.min) / (r.max - r.min)) };
+  };
+
+  const toggle = (key) => {
+    const next = new Set(expanded);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    onExpandedChange(next);
+  };
+
+  // header rows: one per column dimension with merged runs of equal values, then the measures
+  const headerRows = layout.cols.map((_, level) => {
+    const cells = [];
+    pivot?.columns.forEach((c) => {
+      const last = cells[cells.length - 1];
+      const prefix = c.values.slice(0, level + 1).join('\u0000');
+      if (last && last.prefix === prefix) last.span += layout.values.length;
+      else cells.push({ prefix, label: c.values[level], span: layout.values.length });
+    });
+    return cells;
+  });
+
+  const zoneItems = (zone) => layout[zone];
+  const cellClass = 'px-3 py-1 text-right whitespace-nowrap';
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4 text-sm">
+        <div
+          className="border border-dashed border-gray-300 rounded-md p-2"
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            let item;
+            try {
+              item = JSON.parse(e.dataTransfer.getData('text/plain'));
+            } catch {
+              return;
+            }
+            if (item?.from) remove(item.from, item.field);
+          }}
+        >
+          <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Fields</div>
+          <div className="flex flex-wrap gap-1 mb-2">
+            {dimensions
+              .filter((d) => !used.has(d.key))
+              .map((d) => (
+                <Chip key={d.key} label={d.label} drag={{ field: d.key, kind: 'dim', from: null }} />
+              ))}
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {metrics
+              .filter((m) => !layout.values.includes(m))
+              .map((m) => (
+                <Chip key={m} label={m} drag={{ field: m, kind: 'measure', from: null }} />
+              ))}
+          </div>
+        </div>
+        {ZONES.map((z) => (
+          <div
+            key={z.id}
+            className={`border border-dashed rounded-md p-2 ${dropZone === z.id ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropZone(z.id);
+            }}
+            onDragLeave={() => setDropZone(null)}
+            onDrop={drop(z.id)}
+          >
+            <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">{z.label}</div>
+            <div className="flex flex-wrap gap-1">
+              {zoneItems(z.id).map((f) => (
+                <Chip
+                  key={f}
+                  label={z.kind === 'dim' ? labelOf(f) : f}
+                  drag={{ field: f, kind: z.kind, from: z.id }}
+                  onRemove={() => remove(z.id, f)}
+                />
+              ))}
+              {zoneItems(z.id).length === 0 && (
+                <span className="text-xs text-gray-400">Drag {z.kind === 'dim' ? 'dimensions' : 'measures'} here</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+        <button
+          onClick={() => onExpandedChange(new Set(pivot ? groupKeys(pivot.root) : []))}
+          disabled={layout.rows.length < 2}
+          className="text-blue-600 hover:text-blue-800 disabled:opacity-40"
+        >
+          Expand all
+        </button>
+        <button
+          onClick={() => onExpandedChange(new Set())}
+          disabled={layout.rows.length < 2}
+          className="text-blue-600 hover:text-blue-800 disabled:opacity-40"
+        >
+          Collapse all
+        </button>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={heatMap} onChange={(e) => setHeatMap(e.target.checked)} />
+          <span>Heat map</span>
+        </label>
+        {pivot?.truncated && (
+          <span className="text-xs text-amber-700">Only the first {pivot.columns.length} column combinations are shown.</span>
+        )}
+      </div>
+
+      {!pivot || layout.values.length === 0 ? (
+        <p className="text-gray-500 text-sm">Drag at least one measure to Values.</p>
+      ) : (
+        <div className="overflow-auto max-h-[36rem] border border-gray-200 rounded-md">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              {headerRows.map((cells, level) => (
+                <tr key={level} className="text-xs text-gray-500">
+                  {level === 0 && (
+                    <th rowSpan={headerRows.length} className="px-3 py-1 text-left font-medium">
+                      {layout.cols.map(labelOf).join(' / ')}
+                    </th>
+                  )}
+                  {cells.map((c) => (
+                    <th key={c.prefix} colSpan={c.span} className="px-3 py-1 text-center font-medium border-l border-gray-200 whitespace-nowrap">
+                      {c.label}
+                    </th>
+                  ))}
+                  {level === 0 && (
+                    <th rowSpan={headerRows.length} colSpan={layout.values.length} className="px-3 py-1 text-center font-semibold border-l border-gray-200">
+                      Total
+                    </th>
+                  )}
+                </tr>
+              ))}
+              <tr className="text-xs text-gray-500">
+                <th className="px-3 py-1 text-left font-medium">{layout.rows.map(labelOf).join(' › ') || 'Total'}</th>
+                {columns.flatMap((c) =>
+                  layout.values.map((m, i) => (
+                    <th key={`${c.key}\u0000${m}`} className={`${cellClass} font-medium ${i === 0 ? 'border-l border-gray-200' : ''}`}>
+                      {m}
+                    </th>
+                  ))
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {shown.slice(0, MAX_ROWS).map((node) => {
+                const isGroup = node.children.length > 0;
+                return (
+                  <tr key={node.key} className={isGroup && expanded.has(node.key) ? 'bg-gray-50 font-medium' : ''}>
+                    <td className="px-3 py-1 whitespace-nowrap text-gray-800" style={{ paddingLeft: `${0.75 + (node.depth - 1) * 1.25}rem` }}>
+                      {isGroup ? (
+                        <button onClick={() => toggle(node.key)} className="inline-flex items-center hover:text-blue-600">
+                          {expanded.has(node.key) ? <ChevronDown className="w-4 h-4 mr-1" /> : <ChevronRight className="w-4 h-4 mr-1" />}
+                          {node.label}
+                        </button>
+                      ) : (
+                        <span className={layout.rows.length > 1 ? 'ml-5' : ''}>{node.label}</span>
+                      )}
+                    </td>
+                    {columns.flatMap((c) => {
+                      const cell = pivot.cell(node.key, c.key);
+                      return layout.values.map((m, i) => (
+                        <td
+                          key={`${c.key}\u0000${m}`}
+                          className={`${cellClass} text-gray-800 ${i === 0 ? 'border-l border-gray-200' : ''} ${
+                            c.key === TOTAL_COLUMN && layout.cols.length ? 'font-medium' : ''
+                          }`}
+                          style={shade(m, node.depth, c.key, cell?.[m])}
+                        >
+                          {formatValue(m, cell?.[m])}
+                        </td>
+                      ));
+                    })}
+                  </tr>
+                );
+              })}
+              <tr className="bg-gray-100 font-semibold">
+                <td className="px-3 py-1 text-gray-800">Grand total</td>
+                {columns.flatMap((c) => {
+                  const cell = pivot.cell(pivot.root.key, c.key);
+                  return layout.values.map((m, i) => (
+                    <td key={`${c.key}\u0000${m}`} className={`${cellClass} text-gray-800 ${i === 0 ? 'border-l border-gray-200' : ''}`}>
+                      {formatValue(m, cell?.[m])}
+                    </td>
+                  ));
+                })}
+              </tr>
+            </tbody>
+          </table>
+          {shown.length > MAX_ROWS && (
+            <p className="text-xs text-gray-500 px-3 py-2">
+              Showing the first {MAX_ROWS} of {shown.length} rows; collapse groups or export to see the rest.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PivotTableView;
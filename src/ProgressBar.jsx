@@ -0,0 +1,31 @@
+import React from 'react';
+
+const PHASE_LABELS = {
+  download: 'Downloading',
+  parse: 'Parsing',
+  normalize: 'Normalizing',
+  aggregate: 'Aggregating',
+  store: 'Saving',
+};
+
+// fraction null = indeterminate (phase without a measurable size)
+const ProgressBar = ({ phase, fraction }) => {
+  const known = Number.isFinite(fraction);
+  const pct = known ? Math.round(Math.max(0, Math.min(1, fraction)) * 100) : 100;
+  return (
+    <div className="w-full">
+      <div className="flex justify-between text-xs text-gray-600 mb-1">
+        <span>{PHASE_LABELS[phase] || 'Loading'}...</span>
+        {known && <span>{pct}%</span>}
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-2 bg-blue-600 rounded-full transition-all ${known ? '' : 'animate-pulse'}`}
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressBar;
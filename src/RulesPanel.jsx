@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { X, Trash2, ArrowUp, Plus } from 'lucide-react';
+import { RULE_OPS, RULE_ACTIONS, loadRuleSets, saveRuleSet, deleteRuleSet } from './alertRules.js';
+
+const inputClass =
+  'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Edit the conditional formatting rules (alertRules.js), which apply as they are changed,
+ * and save or load them as named rule sets.
+ */
+const RulesPanel = ({ rules, onChange, metrics, onClose }) => {
+  const [sets, setSets] = useState(loadRuleSets);
+  const [setName, setSetName] = useState('');
+
+  const update = (i, patch) => onChange(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const move = (i) => onChange(rules.map((r, j) => (j === i - 1 ? rules[i] : j === i ? rules[i - 1] : r)));
+  const add = () =>
+    onChange([...rules, { metric: metrics.includes('Margin %') ? 'Margin %' : metrics[0], op: '<', by: 'value', value: 0, action: 'red' }]);
+
+  const save = () => {
+    const name = setName.trim();
+    if (!name) return;
+    saveRuleSet(name, rules);
+    setSets(loadRuleSets());
+  };
+
+  const remove = (name) => {
+    deleteRuleSet(name);
+    setSets(loadRuleSets());
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Formatting rules</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-3">
+        Rules colour bars, table cells and tooltip values, and badges on the chart count the SKUs breaking each rule.
+        Where several colour rules match, the first wins. Percentiles are taken over the bars shown, or over every SKU
+        for table cells and badges.
+      </p>
+
+      {rules.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {rules.map((r, i) => (
+            <li key={i} className="flex flex-wrap items-center gap-2 text-sm">
+              <select value={r.metric} onChange={(e) => update(i, { metric: e.target.value })} className={inputClass}>
+                {!metrics.includes(r.metric) && <option value={r.metric}>{r.metric} (not in this data)</option>}
+                {metrics.map((m) => (
+                  <option key={m} value={m}>
+                    {m}
+                  </option>
+                ))}
+              </select>
+              <select value={r.op} onChange={(e) => update(i, { op: e.target.value })} className={inputClass}>
+                {RULE_OPS.map((op) => (
+                  <option key={op} value={op}>
+                    {op}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={r.value}
+                onChange={(e) => update(i, { value: e.target.value })}
+                className={`${inputClass} w-24`}
+              />
+              <select value={r.by} onChange={(e) => update(i, { by: e.target.value })} className={inputClass}>
+                <option value="value">value</option>
+                <option value="percentile">th percentile</option>
+              </select>
+              <span className="text-gray-500">→</span>
+              <select value={r.action} onChange={(e) => update(i, { action: e.target.value })} className={inputClass}>
+                {RULE_ACTIONS.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.label}
+                  </option>
+                ))}
+              </select>
+              <span
+                className="inline-block w-3 h-3 rounded-full"
+                style={{ backgroundColor: RULE_ACTIONS.find((a) => a.id === r.action)?.color }}
+              />
+              {i > 0 && (
+                <button onClick={() => move(i)} className="p-1 text-gray-400 hover:text-blue-600" title="Move up">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => onChange(rules.filter((_, j) => j !== i))}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-500 mb-3">No rules: bars use the default colours.</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <button onClick={add} className="flex items-center text-blue-600 hover:text-blue-800">
+          <Plus className="w-4 h-4 mr-1" />
+          Add rule
+        </button>
+        {rules.length > 0 && (
+          <button onClick={() => onChange([])} className="text-blue-600 hover:text-blue-800">
+            Clear all
+          </button>
+        )}
+        <span className="flex items-center gap-2 ml-auto">
+          <input
+            value={setName}
+            onChange={(e) => setSetName(e.target.value)}
+            placeholder="Rule set name"
+            className={`${inputClass} w-40`}
+          />
+          <button
+            onClick={save}
+            disabled={!setName.trim() || rules.length === 0}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-40"
+          >
+            Save set
+          </button>
+        </span>
+      </div>
+
+      {sets.length > 0 && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-medium text-gray-700">Saved sets:</span>
+          {sets.map((s) => (
+            <span key={s.name} className="inline-flex items-center border border-gray-200 rounded-md">
+              <button
+                onClick={() => {
+                  onChange(s.rules);
+                  setSetName(s.name);
+                }}
+                className="px-2 py-0.5 text-blue-600 hover:text-blue-800"
+                title={`Load ${s.rules.length} rules`}
+              >
+                {s.name}
+              </button>
+              <button onClick={() => remove(s.name)} className="px-1 text-gray-400 hover:text-red-600" title="Delete set">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulesPanel;
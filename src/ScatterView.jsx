@@ -0,0 +1,306 @@
+import React, { useRef, useState } from 'react';
+import { ResponsiveContainer } from 'recharts';
+import { SERIES_COLORS } from './TrendChart.jsx';
+import { niceTicks, median, pointInPolygon } from './scatter.js';
+
+const MARGIN = { top: 16, right: 24, bottom: 48, left: 72 };
+const MIN_R = 4;
+const MAX_R = 18;
+
+const selectClass =
+  'border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// The plot itself; drag a threshold line to move it, drag anywhere else to lasso points.
+const ScatterPlot = ({
+  width,
+  height,
+  points,
+  x,
+  y,
+  size,
+  colorOf,
+  thresholds,
+  onThresholdsChange,
+  selectedIds,
+  onSelect,
+  formatX,
+  formatY,
+  renderTooltip,
+}) => {
+  const [drag, setDrag] = useState(null); // { kind: 'x' | 'y' } or { kind: 'lasso', path }
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  if (!width || !height) return null;
+
+  const plotted = points.filter((p) => Number.isFinite(p.__metrics[x]) && Number.isFinite(p.__metrics[y]));
+  const xs = plotted.map((p) => p.__metrics[x]);
+  const ys = plotted.map((p) => p.__metrics[y]);
+  const xAxis = niceTicks(Math.min(...xs), Math.max(...xs));
+  const yAxis = niceTicks(Math.min(...ys), Math.max(...ys));
+  const innerW = width - MARGIN.left - MARGIN.right;
+  const innerH = height - MARGIN.top - MARGIN.bottom;
+  const sx = (v) => MARGIN.left + ((v - xAxis.min) / (xAxis.max - xAxis.min)) * innerW;
+  const sy = (v) => MARGIN.top + innerH - ((v - yAxis.min) / (yAxis.max - yAxis.min)) * innerH;
+  const fromX = (px) => xAxis.min + ((px - MARGIN.left) / innerW) * (xAxis.max - xAxis.min);
+  const fromY = (py) => yAxis.min + ((MARGIN.top + innerH - py) / innerH) * (yAxis.max - yAxis.min);
+  const clampX = (px) => Math.max(MARGIN.left, Math.min(MARGIN.left + innerW, px));
+  const clampY = (py) => Math.max(MARGIN.top, Math.min(MARGIN.top + innerH, py));
+
+  const tx = thresholds.x ?? median(xs);
+  const ty = thresholds.y ?? median(ys);
+
+  const maxSize = size ? Math.max(0, ...plotted.map((p) => Number(p.__metrics[size]) || 0)) : 0;
+  const radius = (p) => {
+    if (!size || !(maxSize > 0)) return 6;
+    const v = Math.max(0, Number(p.__metrics[size]) || 0);
+    return MIN_R + (MAX_R - MIN_R) * Math.sqrt(v / maxSize);
+  };
+
+  const quadrants = { tl: 0, tr: 0, bl: 0, br: 0 };
+  plotted.forEach((p) => {
+    const key = `${p.__metrics[y] >= ty ? 't' : 'b'}${p.__metrics[x] >= tx ? 'r' : 'l'}`;
+    quadrants[key] += 1;
+  });
+
+  const local = (e) => {
+    const box = svgRef.current.getBoundingClientRect();
+    return [e.clientX - box.left, e.clientY - box.top];
+  };
+
+  const startDrag = (kind) => (e) => {
+    e.stopPropagation();
+    svgRef.current.setPointerCapture(e.pointerId);
+    setHover(null);
+    setDrag(kind === 'lasso' ? { kind, path: [local(e)] } : { kind });
+  };
+
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const [px, py] = local(e);
+    if (drag.kind === 'x') onThresholdsChange({ x: fromX(clampX(px)), y: ty });
+    else if (drag.kind === 'y') onThresholdsChange({ x: tx, y: fromY(clampY(py)) });
+    else setDrag({ ...drag, path: [...drag.path, [px, py]] });
+  };
+
+  const onPointerUp = () => {
+    if (drag?.kind === 'lasso') {
+      // a click rather than a drag clears the selection
+      if (drag.path.length < 3) onSelect(null);
+      else {
+        const ids = plotted
+          .filter((p) => pointInPolygon([sx(p.__metrics[x]), sy(p.__metrics[y])], drag.path))
+          .map((p) => p.id);
+        onSelect(ids.length ? ids : null);
+      }
+    }
+    setDrag(null);
+  };
+
+  const selected = selectedIds ? new Set(selectedIds) : null;
+
+  return (
+    <div className="relative" style={{ width, height }} onMouseLeave={() => setHover(null)}>
+      <svg
+        ref={svgRef}
+        width={width}
+        height={height}
+        xmlns="http://www.w3.org/2000/svg"
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        style={{ touchAction: 'none', userSelect: 'none' }}
+      >
+        <rect
+          x={MARGIN.left}
+          y={MARGIN.top}
+          width={innerW}
+          height={innerH}
+          fill="#ffffff"
+          stroke="#e5e7eb"
+          cursor="crosshair"
+          onPointerDown={startDrag('lasso')}
+        />
+        {xAxis.ticks.map((t) => (
+          <g key={`x${t}`}>
+            <line x1={sx(t)} x2={sx(t)} y1={MARGIN.top} y2={MARGIN.top + innerH} stroke="#f0f0f0" pointerEvents="none" />
+            <text x={sx(t)} y={MARGIN.top + innerH + 16} textAnchor="middle" fontSize={12} fill="#6b7280">
+              {formatX(t)}
+            </text>
+          </g>
+        ))}
+        {yAxis.ticks.map((t) => (
+          <g key={`y${t}`}>
+            <line x1={MARGIN.left} x2={MARGIN.left + innerW} y1={sy(t)} y2={sy(t)} stroke="#f0f0f0" pointerEvents="none" />
+            <text x={MARGIN.left - 8} y={sy(t) + 4} textAnchor="end" fontSize={12} fill="#6b7280">
+              {formatY(t)}
+            </text>
+          </g>
+        ))}
+        <text x={MARGIN.left + innerW / 2} y={height - 8} textAnchor="middle" fontSize={12} fill="#374151">
+          {x}
+        </text>
+        <text
+          x={14}
+          y={MARGIN.top + innerH / 2}
+          textAnchor="middle"
+          fontSize={12}
+          fill="#374151"
+          transform={`rotate(-90 14 ${MARGIN.top + innerH / 2})`}
+        >
+          {y}
+        </text>
+
+        {/* quadrant counts */}
+        <g fontSize={11} fill="#9ca3af" pointerEvents="none">
+          <text x={MARGIN.left + 6} y={MARGIN.top + 14}>{quadrants.tl}</text>
+          <text x={MARGIN.left + innerW - 6} y={MARGIN.top + 14} textAnchor="end">{quadrants.tr}</text>
+          <text x={MARGIN.left + 6} y={MARGIN.top + innerH - 6}>{quadrants.bl}</text>
+          <text x={MARGIN.left + innerW - 6} y={MARGIN.top + innerH - 6} textAnchor="end">{quadrants.br}</text>
+        </g>
+
+        {plotted.map((p) => (
+          <circle
+            key={p.id}
+            cx={sx(p.__metrics[x])}
+            cy={sy(p.__metrics[y])}
+            r={radius(p)}
+            fill={colorOf(p)}
+            fillOpacity={selected && !selected.has(p.id) ? 0.2 : 0.7}
+            stroke={selected?.has(p.id) ? '#111827' : '#ffffff'}
+            strokeWidth={1}
+            onPointerDown={startDrag('lasso')}
+            onMouseMove={(e) => !drag && setHover({ point: p, at: local(e) })}
+          />
+        ))}
+
+        {/* thresholds, with a wide invisible line to grab */}
+        {[
+          { kind: 'x', x1: sx(tx), x2: sx(tx), y1: MARGIN.top, y2: MARGIN.top + innerH, cursor: 'ew-resize' },
+          { kind: 'y', x1: MARGIN.left, x2: MARGIN.left + innerW, y1: sy(ty), y2: sy(ty), cursor: 'ns-resize' },
+        ].map(({ kind, cursor, ...line }) => (
+          <g key={kind} cursor={cursor} onPointerDown={startDrag(kind)}>
+            <line {...line} stroke="#6b7280" strokeDasharray="6 4" strokeWidth={1.5} />
+            <line {...line} stroke="transparent" strokeWidth={12} />
+          </g>
+        ))}
+        <text x={sx(tx) + 4} y={MARGIN.top + 28} fontSize={11} fill="#4b5563" pointerEvents="none">
+          {formatX(tx)}
+        </text>
+        <text x={MARGIN.left + innerW - 6} y={sy(ty) - 4} textAnchor="end" fontSize={11} fill="#4b5563" pointerEvents="none">
+          {formatY(ty)}
+        </text>
+
+        {drag?.kind === 'lasso' && drag.path.length > 1 && (
+          <polygon
+            points={drag.path.map((pt) => pt.join(',')).join(' ')}
+            fill="rgba(37, 99, 235, 0.08)"
+            stroke="#2563eb"
+            strokeDasharray="4 3"
+            pointerEvents="none"
+          />
+        )}
+      </svg>
+      {hover && (
+        <div
+          className="absolute pointer-events-none z-10"
+          style={{ left: Math.min(hover.at[0] + 12, width - 270), top: Math.min(hover.at[1] + 12, height - 40) }}
+        >
+          {renderTooltip(hover.point)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * SKU scatter: X, Y and bubble-size measures, one colour per OpCo, draggable quadrant
+ * thresholds (medians until moved) and lasso selection.
+ * selectedIds: point ids (scatter.pointId) or null; onSelect(ids | null).
+ */
+const ScatterView = ({
+  points,
+  metrics,
+  sizeMetrics,
+  axes,
+  onAxesChange,
+  opcos,
+  thresholds,
+  onThresholdsChange,
+  selectedIds,
+  onSelect,
+  formatFor,
+  renderTooltip,
+  chartRef,
+}) => {
+  const colorOf = (p) => SERIES_COLORS[Math.max(0, opcos.indexOf(p.opco)) % SERIES_COLORS.length];
+  const pick = (key) => (
+    <select value={axes[key] || ''} onChange={(e) => onAxesChange({ ...axes, [key]: e.target.value })} className={selectClass}>
+      {key === 'size' && <option value="">None</option>}
+      {(key === 'size' ? sizeMetrics : metrics).map((m) => (
+        <option key={m} value={m}>
+          {m}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+        <label className="font-medium">X:</label>
+        {pick('x')}
+        <label className="font-medium">Y:</label>
+        {pick('y')}
+        <label className="font-medium">Bubble size:</label>
+        {pick('size')}
+        {selectedIds && (
+          <span className="text-blue-700">
+            {selectedIds.length} selected ·{' '}
+            <button onClick={() => onSelect(null)} className="text-blue-600 hover:text-blue-800 underline">
+              clear
+            </button>
+          </span>
+        )}
+      </div>
+      {opcos.length > 0 && (
+        <div className="flex flex-wrap gap-3 mb-2 text-xs text-gray-600">
+          {opcos.map((op) => (
+            <span key={op} className="flex items-center">
+              <span
+                className="inline-block w-3 h-3 rounded-full mr-1"
+                style={{ background: SERIES_COLORS[opcos.indexOf(op) % SERIES_COLORS.length] }}
+              />
+              {op}
+            </span>
+          ))}
+        </div>
+      )}
+      <div ref={chartRef} className="h-96">
+        {points.length === 0 ? (
+          <p className="text-sm text-gray-500">No SKUs to plot.</p>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <ScatterPlot
+              points={points}
+              x={axes.x}
+              y={axes.y}
+              size={axes.size}
+              colorOf={colorOf}
+              thresholds={thresholds}
+              onThresholdsChange={onThresholdsChange}
+              selectedIds={selectedIds}
+              onSelect={onSelect}
+              formatX={(v) => formatFor(axes.x, v)}
+              formatY={(v) => formatFor(axes.y, v)}
+              renderTooltip={renderTooltip}
+            />
+          </ResponsiveContainer>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Drag the dashed lines to move the quadrant thresholds; drag around points to select them.
+      </p>
+    </div>
+  );
+};
+
+export default ScatterView;
@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { X, Trash2, Copy, Plus } from 'lucide-react';
+import { LEVERS, changeLabel } from './scenarios.js';
+
+const inputClass =
+  'border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const EMPTY_CHANGE = { scope: 'node', skus: '', lever: 'price', mode: 'pct', amount: '' };
+
+/**
+ * Named what-if scenarios (scenarios.js): pick the one shown next to the actuals, edit
+ * scenarios and compare their totals for the current node. Edits are kept in a draft
+ * until "Save scenarios"; the scenario shown changes straight away.
+ * comparison: [{ name, totals }] with the actuals first (name null).
+ */
+const ScenarioPanel = ({
+  scenarios,
+  active,
+  onActiveChange,
+  onSave,
+  drillPath,
+  levelLabelAt,
+  hasVolume,
+  comparison,
+  metrics,
+  formatValue,
+  formatChange,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState(scenarios);
+  const [editing, setEditing] = useState(active || scenarios[0]?.name || '');
+  const [change, setChange] = useState(EMPTY_CHANGE);
+  const [newName, setNewName] = useState('');
+
+  const current = draft.find((s) => s.name === editing);
+  const nodeLabel = drillPath.length ? drillPath.join(' › ') : 'Everything';
+  const dirty = JSON.stringify(draft) !== JSON.stringify(scenarios);
+
+  const updateCurrent = (fn) => setDraft((list) => list.map((s) => (s.name === editing ? fn(s) : s)));
+
+  const addScenario = (base) => {
+    const name = newName.trim();
+    if (!name || draft.some((s) => s.name === name)) return;
+    setDraft((list) => [...list, { name, changes: base ? base.changes.map((c) => ({ ...c })) : [] }]);
+    setEditing(name);
+    setNewName('');
+  };
+
+  const removeScenario = () => {
+    setDraft((list) => list.filter((s) => s.name !== editing));
+    setEditing(draft.find((s) => s.name !== editing)?.name || '');
+  };
+
+  const skuList = change.skus
+    .split(/[\s,;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const canAdd =
+    Boolean(current) && Number.isFinite(Number(change.amount)) && change.amount !== '' && (change.scope === 'node' || skuList.length > 0);
+
+  const addChange = () => {
+    if (!canAdd) return;
+    const scope = change.scope === 'node' ? { path: [...drillPath] } : { skus: skuList };
+    updateCurrent((s) => ({
+      ...s,
+      changes: [...s.changes, { ...scope, lever: change.lever, mode: change.mode, amount: Number(change.amount) }],
+    }));
+    setChange((c) => ({ ...c, amount: '' }));
+  };
+
+  const baseline = comparison[0]?.totals;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">What-if scenarios</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <label className="font-medium text-gray-700">Show next to actuals:</label>
+        <select value={active} onChange={(e) => onActiveChange(e.target.value)} className={inputClass}>
+          <option value="">No scenario</option>
+          {scenarios.map((s) => (
+            <option key={s.name} value={s.name}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <select value={editing} onChange={(e) => setEditing(e.target.value)} className={inputClass}>
+              {draft.length === 0 && <option value="">No scenarios yet</option>}
+              {draft.map((s) => (
+                <option key={s.name} value={s.name}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            {current && (
+              <button onClick={removeScenario} className="p-1 text-gray-400 hover:text-red-600" title="Delete scenario">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New scenario name"
+              className={`${inputClass} w-44`}
+            />
+            <button onClick={() => addScenario(null)} className="p-1 text-gray-400 hover:text-blue-600" title="New scenario">
+              <Plus className="w-4 h-4" />
+            </button>
+            {current && (
+              <button onClick={() => addScenario(current)} className="p-1 text-gray-400 hover:text-blue-600" title="Copy as new scenario">
+                <Copy className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          {current && (
+            <>
+              {current.changes.length > 0 ? (
+                <ul className="space-y-1 mb-3">
+                  {current.changes.map((c, i) => (
+                    <li key={i} className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-1 text-sm">
+                      <span className="text-gray-800">{changeLabel(c, { levelLabel: levelLabelAt })}</span>
+                      <button
+                        onClick={() => updateCurrent((s) => ({ ...s, changes: s.changes.filter((_, j) => j !== i) }))}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Remove"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-gray-500 mb-3">No changes yet.</p>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <select value={change.scope} onChange={(e) => setChange({ ...change, scope: e.target.value })} className={inputClass}>
+                  <option value="node">{nodeLabel}</option>
+                  <option value="skus">SKU codes…</option>
+                </select>
+                {change.scope === 'skus' && (
+                  <input
+                    value={change.skus}
+                    onChange={(e) => setChange({ ...change, skus: e.target.value })}
+                    placeholder="e.g. 10023, 10024"
+                    className={`${inputClass} w-40`}
+                  />
+                )}
+                <select value={change.lever} onChange={(e) => setChange({ ...change, lever: e.target.value })} className={inputClass}>
+                  {LEVERS.map((l) => (
+                    <option key={l.id} value={l.id}>
+                      {l.label}
+                    </option>
+                  ))}
+                </select>
+                <select value={change.mode} onChange={(e) => setChange({ ...change, mode: e.target.value })} className={inputClass}>
+                  <option value="pct">%</option>
+                  <option value="abs" disabled={!hasVolume}>
+                    {change.lever === 'volume' ? 'units' : 'per unit'}
+                  </option>
+                </select>
+                <input
+                  type="number"
+                  value={change.amount}
+                  onChange={(e) => setChange({ ...change, amount: e.target.value })}
+                  placeholder="amount"
+                  className={`${inputClass} w-24`}
+                />
+                <button
+                  onClick={addChange}
+                  disabled={!canAdd}
+                  className="px-3 py-1 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-40"
+                >
+                  Add change
+                </button>
+              </div>
+              {!hasVolume && (
+                <p className="text-xs text-gray-500 mt-2">No volume column: only percentage changes are available.</p>
+              )}
+            </>
+          )}
+
+          <div className="flex justify-end space-x-2 mt-4">
+            {dirty && (
+              <button onClick={() => setDraft(scenarios)} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+                Discard changes
+              </button>
+            )}
+            <button
+              onClick={() => onSave(draft)}
+              disabled={!dirty}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-40"
+            >
+              Save scenarios
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Compared for {nodeLabel}</h4>
+          {comparison.length > 1 ? (
+            <div className="overflow-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="pr-4 py-1 font-medium">Scenario</th>
+                    {metrics.map((m) => (
+                      <th key={m} className="pr-4 py-1 font-medium whitespace-nowrap">
+                        {m}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {comparison.map(({ name, totals }) => (
+                    <tr key={name || '__actual'} className={name === active && name ? 'bg-amber-50' : ''}>
+                      <td className="pr-4 py-1 text-gray-800 whitespace-nowrap">{name || 'Actual'}</td>
+                      {metrics.map((m) => (
+                        <td key={m} className="pr-4 py-1 whitespace-nowrap">
+                          <div className="text-gray-800">{formatValue(m, totals[m])}</div>
+                          {name && (
+                            <div className="text-xs text-gray-500">{formatChange(m, totals[m] - baseline[m], 'change')}</div>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">Save a scenario to compare it with the actuals.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
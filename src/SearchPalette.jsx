@@ -0,0 +1,77 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search } from 'lucide-react';
+import { searchEntries, kindLabel } from './search.js';
+
+/**
+ * Command-palette search over the hierarchy and SKUs (search.js entries). Arrow keys move
+ * through the results, Enter picks one and Escape or a click outside closes it.
+ */
+const SearchPalette = ({ entries, onChoose, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => searchEntries(entries, query), [entries, query]);
+
+  useEffect(() => setActive(0), [results]);
+
+  useEffect(() => {
+    listRef.current?.children[active]?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive((i) => Math.min(results.length - 1, i + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((i) => Math.max(0, i - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) onChoose(results[active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 flex items-start justify-center pt-24" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center border-b border-gray-200 px-3">
+          <Search className="w-4 h-4 text-gray-400" />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder="Search SKUs, items, sub categories and categories"
+            className="flex-1 px-3 py-3 text-sm focus:outline-none"
+          />
+          <kbd className="text-xs text-gray-400">Esc</kbd>
+        </div>
+        <ul ref={listRef} className="max-h-96 overflow-auto py-1">
+          {results.map((entry, i) => (
+            <li
+              key={entry.id}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => onChoose(entry)}
+              className={`px-4 py-2 cursor-pointer flex items-center justify-between ${i === active ? 'bg-blue-50' : ''}`}
+            >
+              <div className="min-w-0">
+                <div className="text-sm text-gray-900 truncate">{entry.label}</div>
+                {entry.detail && <div className="text-xs text-gray-500 truncate">{entry.detail}</div>}
+              </div>
+              <span className="ml-3 shrink-0 text-xs text-gray-500">{kindLabel(entry.kind)}</span>
+            </li>
+          ))}
+          {query.trim() && results.length === 0 && (
+            <li className="px-4 py-6 text-center text-sm text-gray-500">No matches</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPalette;
@@ -0,0 +1,304 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search, ChevronLeft, ChevronRight, Filter } from 'lucide-react';
+import { rowValue, hasTableFilters, EMPTY_TABLE_FILTERS } from './tableRows.js';
+import { FLAG } from './alertRules.js';
+
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 560;
+const OVERSCAN = 10;
+const PAGE_SIZES = [0, 100, 500, 1000]; // 0 = all rows (virtualized)
+
+const thClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const inputClass =
+  'border border-gray-300 rounded-md px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const parseBound = (v) => (v === '' || v === null || v === undefined ? undefined : Number(v));
+
+// Multi-select over the distinct values of a text column
+const ValuesFilter = ({ options, selected, onChange }) => {
+  const active = selected.length > 0;
+  return (
+    <details className="relative">
+      <summary className={`list-none cursor-pointer flex items-center text-xs ${active ? 'text-blue-700' : 'text-gray-400'}`}>
+        <Filter className="w-3 h-3 mr-1" />
+        {active ? `${selected.length} selected` : 'All'}
+      </summary>
+      <div className="absolute z-20 mt-1 w-56 max-h-64 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg p-2 normal-case font-normal">
+        <button onClick={() => onChange([])} className="text-xs text-blue-600 hover:text-blue-800 mb-1">
+          Clear
+        </button>
+        {options.map((v) => (
+          <label key={v} className="flex items-center space-x-2 text-xs text-gray-700 py-0.5">
+            <input
+              type="checkbox"
+              checked={selected.includes(v)}
+              onChange={(e) => onChange(e.target.checked ? [...selected, v] : selected.filter((x) => x !== v))}
+            />
+            <span className="truncate">{v || '(blank)'}</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+/**
+ * Leaf-level SKU table: virtualized rows, optional pages, search, per-column filters,
+ * multi-column sort (shift-click adds a column) and a sticky header with totals.
+ * rows arrive already filtered and sorted by the parent; a text column may bring
+ * its own render(row). highlightSku marks that SKU's rows and scrolls to the first.
+ * cellMark(row, metric) may return { color, tint, flagged } to shade or flag a cell.
+ */
+const SkuTable = ({
+  rows,
+  totalCount,
+  totals,
+  textColumns,
+  metrics,
+  sortKeys,
+  onSort,
+  filters,
+  onFiltersChange,
+  filterOptions,
+  formatValue,
+  highlightSku,
+  cellMark,
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [pageSize, setPageSize] = useState(0);
+  const [page, setPage] = useState(0);
+  const scrollRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+
+  const pageCount = pageSize ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+  const pageRows = useMemo(
+    () => (pageSize ? rows.slice(page * pageSize, (page + 1) * pageSize) : rows),
+    [rows, page, pageSize]
+  );
+
+  // back to the top whenever the row set changes, or to the highlighted SKU's page with
+  // it a few rows down from the top
+  useEffect(() => {
+    const idx = highlightSku ? rows.findIndex((r) => r.sku_code === highlightSku) : -1;
+    const target = idx >= 0 && pageSize ? Math.floor(idx / pageSize) : 0;
+    const top = idx >= 0 ? Math.max(0, ((pageSize ? idx % pageSize : idx) - 3) * ROW_HEIGHT) : 0;
+    pendingScrollRef.current = { page: target, top };
+    setPage(target);
+    setScrollTop(top);
+    if (scrollRef.current) scrollRef.current.scrollTop = top;
+    if (idx >= 0) scrollRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [rows, pageSize, highlightSku]);
+
+  useEffect(() => {
+    const pending = pendingScrollRef.current;
+    pendingScrollRef.current = null;
+    const top = pending && pending.page === page ? pending.top : 0;
+    setScrollTop(top);
+    if (scrollRef.current) scrollRef.current.scrollTop = top;
+  }, [page]);
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visible = pageRows.slice(start, end);
+
+  const sortIndicator = (key) => {
+    const idx = sortKeys.findIndex((s) => s.key === key);
+    if (idx < 0) return null;
+    return (
+      <span className="ml-1">
+        {sortKeys[idx].direction === 'asc' ? '↑' : '↓'}
+        {sortKeys.length > 1 && <sup>{idx + 1}</sup>}
+      </span>
+    );
+  };
+
+  const setRange = (metric, bound, value) => {
+    const current = filters.ranges[metric] || {};
+    onFiltersChange({
+      ...filters,
+      ranges: { ...filters.ranges, [metric]: { ...current, [bound]: parseBound(value) } },
+    });
+  };
+
+  const columnCount = textColumns.length + metrics.length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-3">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+            <input
+              value={filters.search}
+              onChange={(e) => onFiltersChange({ ...filters, search: e.target.value })}
+              placeholder="Search SKU code or description"
+              className="border border-gray-300 rounded-md pl-8 pr-3 py-1 text-sm w-72 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          {hasTableFilters(filters) && (
+            <button onClick={() => onFiltersChange(EMPTY_TABLE_FILTERS)} className="text-sm text-blue-600 hover:text-blue-800">
+              Clear filters
+            </button>
+          )}
+          <span className="text-sm text-gray-500">
+            {rows.length === totalCount ? `${totalCount} SKUs` : `${rows.length} of ${totalCount} SKUs`}
+          </span>
+        </div>
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <label>Rows per page:</label>
+          <select value={pageSize} onChange={(e) => setPageSize(Number(e.target.value))} className={inputClass}>
+            {PAGE_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n || 'All'}
+              </option>
+            ))}
+          </select>
+          {pageSize > 0 && (
+            <>
+              <button
+                onClick={() => setPage((p) => Math.max(0, p - 1))}
+                disabled={page === 0}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>
+                {page + 1} / {pageCount}
+              </span>
+              <button
+                onClick={() => setPage((p) => Math.min(pageCount - 1, p + 1))}
+                disabled={page >= pageCount - 1}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="overflow-auto border border-gray-200 rounded-md"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0 z-10">
+            <tr>
+              {textColumns.map((col) => (
+                <th
+                  key={col.key}
+                  className={`${thClass} cursor-pointer hover:bg-gray-100 whitespace-nowrap`}
+                  onClick={(e) => onSort(col.key, e.shiftKey)}
+                  title="Click to sort, shift-click to add a sort column"
+                >
+                  {col.label}
+                  {sortIndicator(col.key)}
+                </th>
+              ))}
+              {metrics.map((metric) => (
+                <th
+                  key={metric}
+                  className={`${thClass} cursor-pointer hover:bg-gray-100 whitespace-nowrap`}
+                  onClick={(e) => onSort(metric, e.shiftKey)}
+                  title="Click to sort, shift-click to add a sort column"
+                >
+                  {metric}
+                  {sortIndicator(metric)}
+                </th>
+              ))}
+            </tr>
+            <tr className="bg-white">
+              {textColumns.map((col) => (
+                <th key={col.key} className="px-4 py-1 text-left">
+                  {filterOptions[col.key] && (
+                    <ValuesFilter
+                      options={filterOptions[col.key]}
+                      selected={filters.values[col.key] || []}
+                      onChange={(selected) => onFiltersChange({ ...filters, values: { ...filters.values, [col.key]: selected } })}
+                    />
+                  )}
+                </th>
+              ))}
+              {metrics.map((metric) => (
+                <th key={metric} className="px-4 py-1 text-left">
+                  <div className="flex space-x-1">
+                    <input
+                      type="number"
+                      placeholder="min"
+                      value={filters.ranges[metric]?.min ?? ''}
+                      onChange={(e) => setRange(metric, 'min', e.target.value)}
+                      className={`${inputClass} w-16 font-normal`}
+                    />
+                    <input
+                      type="number"
+                      placeholder="max"
+                      value={filters.ranges[metric]?.max ?? ''}
+                      onChange={(e) => setRange(metric, 'max', e.target.value)}
+                      className={`${inputClass} w-16 font-normal`}
+                    />
+                  </div>
+                </th>
+              ))}
+            </tr>
+            <tr className="bg-blue-50">
+              {textColumns.map((col, i) => (
+                <th key={col.key} className="px-4 py-2 text-left text-xs font-semibold text-gray-700">
+                  {i === 0 ? 'Total' : ''}
+                </th>
+              ))}
+              {metrics.map((metric) => (
+                <th key={metric} className="px-4 py-2 text-left text-xs font-semibold text-gray-700 whitespace-nowrap">
+                  {formatValue(metric, totals[metric])}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+            {visible.map((row, i) => (
+              <tr
+                key={start + i}
+                className={highlightSku && row.sku_code === highlightSku ? 'bg-yellow-50' : 'hover:bg-gray-50'}
+                style={{ height: ROW_HEIGHT }}
+              >
+                {textColumns.map((col, ci) => (
+                  <td
+                    key={col.key}
+                    className={`px-4 py-2 whitespace-nowrap text-sm ${ci === 0 ? 'font-medium text-gray-900' : 'text-gray-500'}`}
+                  >
+                    {col.render ? col.render(row) : row[col.key] || '-'}
+                  </td>
+                ))}
+                {metrics.map((metric) => {
+                  const mark = cellMark?.(row, metric);
+                  return (
+                    <td
+                      key={metric}
+                      className="px-4 py-2 whitespace-nowrap text-sm text-gray-500"
+                      style={mark ? { color: mark.color || undefined, backgroundColor: mark.tint || undefined } : undefined}
+                    >
+                      {mark?.flagged && <span className="mr-1 text-gray-700">{FLAG}</span>}
+                      {formatValue(metric, rowValue(row, metric))}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {end < pageRows.length && <tr style={{ height: (pageRows.length - end) * ROW_HEIGHT }} />}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={columnCount} className="px-4 py-6 text-center text-sm text-gray-500">
+                  No SKUs match the current filters
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SkuTable;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer } from 'recharts';
+import { sunburstArcs, arcPath } from './treeLayout.js';
+
+const HOLE = 0.22; // centre radius as a share of the outer radius
+
+// Rings of the hierarchy below the current node: the innermost ring is the current level.
+// Clicking a segment drills to it; clicking the centre goes up a level.
+const SunburstSvg = ({ width, height, nodes, centerLabel, colorOf, onNodeClick, onCenterClick, renderTooltip }) => {
+  const [hover, setHover] = useState(null);
+  if (!width || !height) return null;
+
+  const arcs = sunburstArcs(nodes);
+  const rings = arcs.reduce((m, a) => Math.max(m, a.depth + 1), 1);
+  const cx = width / 2;
+  const cy = height / 2;
+  const outer = Math.min(width, height) / 2 - 4;
+  const hole = outer * HOLE;
+  const ring = (outer - hole) / rings;
+
+  const track = (node) => (e) => {
+    const box = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    setHover({ node, x: e.clientX - box.left, y: e.clientY - box.top });
+  };
+
+  return (
+    <div className="relative" style={{ width, height }} onMouseLeave={() => setHover(null)}>
+      <svg width={width} height={height} xmlns="http://www.w3.org/2000/svg">
+        <circle cx={cx} cy={cy} r={hole - 2} fill="#f9fafb" cursor={onCenterClick ? 'pointer' : undefined} onClick={onCenterClick} />
+        <text x={cx} y={cy + 4} textAnchor="middle" fontSize={12} fontWeight={600} fill="#374151" pointerEvents="none">
+          {centerLabel.length > 18 ? `${centerLabel.slice(0, 17)}…` : centerLabel}
+        </text>
+        {arcs.map(({ node, depth, a0, a1 }) => {
+          const r0 = hole + depth * ring;
+          const r1 = r0 + ring - 1;
+          const mid = (a0 + a1) / 2;
+          const rm = (r0 + r1) / 2;
+          const room = (a1 - a0) * rm; // arc length at the middle of the ring
+          const chars = Math.floor(Math.min(room, ring) / 6.5);
+          return (
+            <g key={node.path.join('\u0000')} cursor="pointer" onClick={() => onNodeClick(node)} onMouseMove={track(node)}>
+              <path d={arcPath(cx, cy, r0, r1, a0, a1)} fill={colorOf(node)} stroke="#ffffff" strokeWidth={1} />
+              {chars >= 3 && (
+                <text
+                  x={cx + rm * Math.sin(mid)}
+                  y={cy - rm * Math.cos(mid) + 4}
+                  textAnchor="middle"
+                  fontSize={11}
+                  fill="#111827"
+                  pointerEvents="none"
+                >
+                  {node.name.length > chars ? `${node.name.slice(0, chars - 1)}…` : node.name}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {hover && (
+        <div
+          className="absolute pointer-events-none z-10"
+          style={{ left: Math.min(hover.x + 12, width - 270), top: Math.min(hover.y + 12, height - 40) }}
+        >
+          {renderTooltip(hover.node)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SunburstView = (props) => (
+  <ResponsiveContainer width="100%" height="100%">
+    <SunburstSvg {...props} />
+  </ResponsiveContainer>
+);
+
+export default SunburstView;
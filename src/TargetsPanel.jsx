@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { X, Upload } from 'lucide-react';
+import { readTargetsFile } from './targets.js';
+import { levelLabel } from './hierarchy.js';
+
+export const TARGET_STYLES = [
+  { key: 'ghost', label: 'Ghost bars' },
+  { key: 'marker', label: 'Markers' },
+];
+
+/**
+ * Load a targets file and choose how targets are drawn. targets: the loaded
+ * { fileName, records } or null; parsed: parseTargets output for the current hierarchy.
+ */
+const TargetsPanel = ({ targets, parsed, hierarchy, metrics, style, onStyleChange, onLoad, onClear, onClose }) => {
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const upload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setLoading(true);
+    try {
+      const result = await readTargetsFile(file);
+      if (!result.data.length) throw new Error('The file has no rows');
+      onLoad({ fileName: file.name, records: result.data });
+    } catch (err) {
+      setError(`Could not read targets: ${err?.message || err}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Targets</h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-3">
+        One row per target: the leading hierarchy columns ({hierarchy.map(levelLabel).join(', ')}) down to the level the
+        target is for, optionally an OpCo column, and a column per measure ({metrics.join(', ')}), with or without a
+        "Target" prefix. Targets for higher levels are allocated down in proportion to revenue.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center cursor-pointer text-blue-600 hover:text-blue-800">
+          <Upload className="w-4 h-4 mr-1" />
+          {targets ? 'Replace targets file' : 'Upload targets file'}
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.xlsx,.xls,.json,.ndjson,.jsonl"
+            onChange={upload}
+            className="hidden"
+          />
+        </label>
+        {loading && <span className="text-gray-500">Reading…</span>}
+        {targets && (
+          <>
+            <span className="text-gray-700">
+              {targets.fileName}: {parsed?.targets.length || 0} targets
+              {parsed?.measures.length ? ` for ${parsed.measures.join(', ')}` : ''}
+            </span>
+            <button onClick={onClear} className="text-blue-600 hover:text-blue-800">
+              Remove
+            </button>
+          </>
+        )}
+        <span className="flex items-center space-x-3 text-gray-700">
+          <span className="font-medium">Show as:</span>
+          {TARGET_STYLES.map((s) => (
+            <label key={s.key} className="flex items-center space-x-1">
+              <input type="radio" checked={style === s.key} onChange={() => onStyleChange(s.key)} />
+              <span>{s.label}</span>
+            </label>
+          ))}
+        </span>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {parsed?.issues.length > 0 && (
+        <ul className="text-xs text-amber-700 mt-2 list-disc pl-5 max-h-32 overflow-auto">
+          {parsed.issues.slice(0, 50).map((issue) => (
+            <li key={issue}>{issue}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TargetsPanel;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer } from 'recharts';
+import { squarify } from './treeLayout.js';
+
+const HEADER = 18; // room for a group's name above its children
+const GAP = 2;
+
+// Nested rectangles sized by one measure and coloured by another.
+// nodes: hierarchyTree output; colorOf(node) -> fill; onNodeClick(node) drills to it.
+const TreemapSvg = ({ width, height, nodes, colorOf, onNodeClick, renderTooltip }) => {
+  const [hover, setHover] = useState(null);
+  if (!width || !height) return null;
+
+  const tiles = [];
+  const layout = (list, rect, depth) => {
+    squarify(list, rect).forEach((tile) => {
+      tiles.push({ ...tile, depth });
+      const { node, x, y, w, h } = tile;
+      if (node.children && w > 4 * GAP && h > HEADER + 2 * GAP) {
+        layout(node.children, { x: x + GAP, y: y + HEADER, w: w - 2 * GAP, h: h - HEADER - GAP }, depth + 1);
+      }
+    });
+  };
+  layout(nodes, { x: 0, y: 0, w: width, h: height }, 0);
+
+  const track = (node) => (e) => {
+    const box = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    setHover({ node, x: e.clientX - box.left, y: e.clientY - box.top });
+  };
+
+  return (
+    <div className="relative" style={{ width, height }} onMouseLeave={() => setHover(null)}>
+      <svg width={width} height={height} xmlns="http://www.w3.org/2000/svg">
+        {tiles.map(({ node, x, y, w, h, depth }) => {
+          const isGroup = Boolean(node.children);
+          const label = w > 40 && h > 14 ? node.name : '';
+          return (
+            <g key={node.path.join('\u0000')} cursor="pointer" onClick={() => onNodeClick(node)} onMouseMove={track(node)}>
+              <rect
+                x={x}
+                y={y}
+                width={Math.max(0, w)}
+                height={Math.max(0, h)}
+                fill={isGroup ? '#f3f4f6' : colorOf(node)}
+                stroke="#ffffff"
+                strokeWidth={depth === 0 ? 2 : 1}
+              />
+              {label && (
+                <text
+                  x={x + 4}
+                  y={y + 13}
+                  fontSize={isGroup ? 12 : 11}
+                  fontWeight={isGroup ? 600 : 400}
+                  fill={isGroup ? '#374151' : '#111827'}
+                  pointerEvents="none"
+                >
+                  {label.length * 6.5 > w - 8 ? `${label.slice(0, Math.max(1, Math.floor((w - 8) / 6.5) - 1))}…` : label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {hover && (
+        <div
+          className="absolute pointer-events-none z-10"
+          style={{ left: Math.min(hover.x + 12, width - 270), top: Math.min(hover.y + 12, height - 40) }}
+        >
+          {renderTooltip(hover.node)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TreemapView = (props) => (
+  <ResponsiveContainer width="100%" height="100%">
+    <TreemapSvg {...props} />
+  </ResponsiveContainer>
+);
+
+export default TreemapView;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+export const SERIES_COLORS = ['#5b21b6', '#0891b2', '#ea580c', '#16a34a', '#db2777', '#ca8a04', '#4b5563', '#2563eb'];
+
+// Line chart of a measure over time; one line per series (OpCo) or a single 'value' line
+const TrendChart = ({ points, series, formatValue, formatTick }) => {
+  if (points.length === 0) {
+    return <p className="text-sm text-gray-500">No dated rows for this selection.</p>;
+  }
+
+  return (
+    <div className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={points} margin={{ top: 10, right: 30, left: 20, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+          <YAxis tick={{ fontSize: 12 }} tickFormatter={formatTick} />
+          <Tooltip formatter={(v) => formatValue(v)} />
+          {series.length > 1 && <Legend />}
+          {series.map((key, i) => (
+            <Line
+              key={key}
+              type="monotone"
+              dataKey={key}
+              name={key === 'value' ? 'Total' : key}
+              stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+              strokeWidth={2}
+              dot={points.length <= 60}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,180 @@
+import { toNumber, getNum } from './numbers.js';
+import { inDateRange } from './dates.js';
+import { rowFilter } from './filters.js';
+
+// Pre-computed rollups for every level of the drill hierarchy, built in one pass:
+//   rollups[pathKey(drillPath)][childName][opcoKey] = { sums, marginSum, revenueSum }
+// opcoKey is the row's OpCo ('Unknown' when blank) plus '__all__' for the total,
+// so drilling, switching measure and switching OpCo are all lookups.
+// Calculated measures (measures.js) are summed per row ('after') or stored per bucket
+// in agg.calc once all rows are in ('before').
+
+export const ALL_OPCOS = '__all__';
+
+export const pathKey = (path) => path.join('\u0000');
+
+export const newBucket = () => ({ sums: {}, marginSum: 0, revenueSum: 0 });
+
+// rowCalc: the row's values for calculated measures that are summed after calculating
+export const addRow = (bucket, row, sumMetrics, rowCalc) => {
+  sumMetrics.forEach((m) => {
+    const v = toNumber(row[m]);
+    bucket.sums[m] = (bucket.sums[m] || 0) + (Number.isFinite(v) ? v : 0);
+  });
+  if (rowCalc) {
+    Object.entries(rowCalc).forEach(([m, v]) => {
+      bucket.sums[m] = (bucket.sums[m] || 0) + (Number.isFinite(v) ? v : 0);
+    });
+  }
+  bucket.marginSum += getNum(row, ['Margin', 'margin']);
+  bucket.revenueSum += getNum(row, ['Revenue', 'revenue']);
+};
+
+// Per-row values of the 'after' measures, or null when there are none
+export const rowCalcFor = (row, measures) => {
+  if (!measures?.perRow.length) return null;
+  const all = measures.evaluateRow(row);
+  const out = {};
+  measures.perRow.forEach((m) => { out[m] = all[m]; });
+  return out;
+};
+
+// Fill in the 'before' measures once a bucket has all its rows
+export const finishBucket = (agg, measures) => {
+  if (measures?.names.length) agg.calc = measures.evaluateBucket(bucketMetrics(agg));
+  return agg;
+};
+
+// (row, index) -> whether the row is in the selection buildRollups describes
+const rowSelector = ({ excluded, where, range, filters, measures }) => {
+  const inRange = range ? inDateRange(range.column, range) : null;
+  const passes = rowFilter(filters, measures);
+  return (row, i) =>
+    !(excluded && excluded.has(i)) &&
+    !(where && String(row[where.column] ?? '') !== where.value) &&
+    !(inRange && !inRange(row)) &&
+    !(passes && !passes(row));
+};
+
+// The rows buildRollups aggregates for the same excluded, where, range and filters
+export const selectRows = (rows, selection) => {
+  const keep = rowSelector(selection);
+  return rows.filter(keep);
+};
+
+/**
+ * rows: normalized rows; excluded: optional Set of row indices to skip;
+ * where: optional { column, value } keeping only rows whose column equals the (string) value,
+ * e.g. one period; range: optional { column, from, to } date range (see dates.js rangeBounds);
+ * filters: optional global filters (filters.js);
+ * measures: optional compiled calculated measures (compileMeasures).
+ * onProgress(fraction) is called every few thousand rows.
+ */
+export const buildRollups = (rows, { hierarchy, metrics, excluded, where, range, filters, measures, onProgress }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const keep = rowSelector({ excluded, where, range, filters, measures });
+  const rollups = {};
+  const step = 20000;
+
+  for (let i = 0; i < rows.length; i++) {
+    if (onProgress && i % step === 0) onProgress(i / rows.length);
+    const row = rows[i];
+    if (!keep(row, i)) continue;
+    if (!hierarchy.every((col) => row[col])) continue;
+    const opco = row.opco || 'Unknown';
+    const rowCalc = rowCalcFor(row, measures);
+
+    let key = '';
+    for (let d = 0; d < hierarchy.length; d++) {
+      const child = row[hierarchy[d]];
+      const node = rollups[key] || (rollups[key] = {});
+      const groups = node[child] || (node[child] = {});
+      addRow(groups[ALL_OPCOS] || (groups[ALL_OPCOS] = newBucket()), row, sumMetrics, rowCalc);
+      addRow(groups[opco] || (groups[opco] = newBucket()), row, sumMetrics, rowCalc);
+      key = d === 0 ? child : `${key}\u0000${child}`;
+    }
+  }
+  if (measures?.names.length) {
+    Object.values(rollups).forEach((node) =>
+      Object.values(node).forEach((groups) => Object.values(groups).forEach((agg) => finishBucket(agg, measures)))
+    );
+  }
+  if (onProgress) onProgress(1);
+  return rollups;
+};
+
+// Rows under one drill node (and OpCo); rows without a value at every level are left out
+export const rowsAtPath = (rows, { hierarchy, drillPath, selectedOpCo }) => {
+  let filtered = rows.filter((r) => hierarchy.every((col) => r[col]));
+  if (selectedOpCo !== 'All') filtered = filtered.filter((r) => r.opco === selectedOpCo);
+  drillPath.forEach((value, depth) => {
+    const col = hierarchy[depth];
+    if (col) filtered = filtered.filter((r) => r[col] === value);
+  });
+  return filtered;
+};
+
+// Sums plus the ratio-of-sums Margin % and any calculated measures
+export const bucketMetrics = (agg) => {
+  const metricsMap = { ...agg.sums };
+  metricsMap['Margin %'] = agg.revenueSum > 0 ? (agg.marginSum / agg.revenueSum) * 100 : NaN;
+  if (agg.calc) Object.assign(metricsMap, agg.calc);
+  return metricsMap;
+};
+
+/**
+ * Chart rows for one node of the rollups.
+ * Grouped by OpCo: { name, [opco]: value, __byOpCo: { [opco]: metricsMap } }
+ * Otherwise:       { name, value, __metrics: metricsMap, __byOpCo: {} }
+ */
+export const chartRowsFromNode = (node, { selectedMetric, groupByOpCo, selectedOpCo }) =>
+  Object.entries(node || {})
+    .map(([dim, groups]) => {
+      const obj = { name: dim, __byOpCo: {} };
+      if (groupByOpCo) {
+        Object.entries(groups).forEach(([opcoKey, agg]) => {
+          if (opcoKey === ALL_OPCOS) return;
+          const metricsMap = bucketMetrics(agg);
+          obj[opcoKey] = metricsMap[selectedMetric];
+          obj.__byOpCo[opcoKey] = metricsMap;
+        });
+        return obj;
+      }
+      const agg = selectedOpCo === 'All' ? groups[ALL_OPCOS] : groups[selectedOpCo];
+      if (!agg) return null;
+      const metricsMap = bucketMetrics(agg);
+      obj.value = metricsMap[selectedMetric];
+      obj.__metrics = metricsMap;
+      return obj;
+    })
+    .filter(Boolean);
+
+/**
+ * The hierarchy below drillPath as a tree, `depth` levels deep, for the treemap and sunburst.
+ * Node: { name, path (relative to drillPath), size, __metrics, __byOpCo: {}, children? }
+ * size is sizeMetric at the deepest level shown and the sum of the children above it, so
+ * areas nest; nodes with nothing positive to show are left out. Largest first.
+ */
+export const hierarchyTree = (rollups, { hierarchy, drillPath, depth, sizeMetric, selectedOpCo }) => {
+  const levels = Math.min(depth, hierarchy.length - drillPath.length);
+  const build = (relPath) => {
+    const node = rollups?.[pathKey([...drillPath, ...relPath])];
+    return Object.entries(node || {})
+      .map(([name, groups]) => {
+        const agg = selectedOpCo === 'All' ? groups[ALL_OPCOS] : groups[selectedOpCo];
+        if (!agg) return null;
+        const metricsMap = bucketMetrics(agg);
+        const path = [...relPath, name];
+        const children = path.length < levels ? build(path) : [];
+        const own = Number(metricsMap[sizeMetric]);
+        const size = children.length ? children.reduce((acc, c) => acc + c.size, 0) : own > 0 ? own : 0;
+        if (!(size > 0)) return null;
+        const out = { name, path, size, __metrics: metricsMap, __byOpCo: {} };
+        if (children.length) out.children = children;
+        return out;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.size - a.size);
+  };
+  return levels > 0 ? build([]) : [];
+};
@@ -0,0 +1,125 @@
+// Conditional formatting / alert rules, e.g. "Margin % < 10 → amber" or
+// "Transactions < 10th percentile → flag".
+//   rule: { metric, op: '<' | '<=' | '>' | '>=', by: 'value' | 'percentile', value, action }
+// A percentile rule's threshold comes from the values it is checked against (the bars on
+// the chart, or every SKU in view), so resolveRules turns rules into thresholds for
+// one population first. Where several colour rules match, the first in the list wins;
+// flag rules only mark values and never change a colour.
+
+const RULE_SETS_KEY = 'skuApp.ruleSets';
+
+export const RULE_OPS = ['<', '<=', '>', '>='];
+
+export const RULE_ACTIONS = [
+  { id: 'red', label: 'Red', color: '#dc2626', tint: '#fee2e2' },
+  { id: 'amber', label: 'Amber', color: '#d97706', tint: '#fef3c7' },
+  { id: 'green', label: 'Green', color: '#16a34a', tint: '#dcfce7' },
+  { id: 'flag', label: 'Flag', color: '#374151', tint: null },
+];
+
+export const FLAG = '⚑';
+
+const actionOf = (rule) => RULE_ACTIONS.find((a) => a.id === rule.action) || RULE_ACTIONS[0];
+
+export const ruleLabel = (rule) =>
+  `${rule.metric} ${rule.op} ${rule.by === 'percentile' ? `${rule.value}th percentile` : rule.value}`;
+
+// Nearest-rank percentile, as for the Pareto tail
+const percentileOf = (values, p) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return NaN;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((sorted.length * p) / 100) - 1))];
+};
+
+/**
+ * Rules with the threshold each is checked against: its value, or for percentile rules
+ * that percentile of valuesOf(metric). Rules for measures not in metrics are dropped.
+ */
+export const resolveRules = (rules, { metrics, valuesOf }) =>
+  rules
+    .filter((r) => metrics.includes(r.metric) && Number.isFinite(Number(r.value)))
+    .map((r) => ({
+      ...r,
+      threshold: r.by === 'percentile' ? percentileOf(valuesOf(r.metric), Number(r.value)) : Number(r.value),
+    }));
+
+export const breaksRule = (rule, v) => {
+  if (!Number.isFinite(v) || !Number.isFinite(rule.threshold)) return false;
+  if (rule.op === '<') return v < rule.threshold;
+  if (rule.op === '<=') return v <= rule.threshold;
+  if (rule.op === '>') return v > rule.threshold;
+  return v >= rule.threshold;
+};
+
+/**
+ * How one measure's value is marked: { color, tint, flagged } from the resolved rules on
+ * that measure, or null when none applies.
+ */
+export const valueMark = (rules, metric, v) => {
+  const hits = rules.filter((r) => r.metric === metric && breaksRule(r, v));
+  if (!hits.length) return null;
+  const colour = hits.find((r) => r.action !== 'flag');
+  return {
+    color: colour ? actionOf(colour).color : null,
+    tint: colour ? actionOf(colour).tint : null,
+    flagged: hits.some((r) => r.action === 'flag'),
+  };
+};
+
+/**
+ * How a bar is marked from the measures of its node (any rule's measure, not only the one
+ * the bar shows): { color, flagged } or null.
+ */
+export const barMark = (rules, metricsMap) => {
+  const hits = rules.filter((r) => breaksRule(r, metricsMap?.[r.metric]));
+  if (!hits.length) return null;
+  const colour = hits.find((r) => r.action !== 'flag');
+  return { color: colour ? actionOf(colour).color : null, flagged: hits.some((r) => r.action === 'flag') };
+};
+
+export const ruleColor = (rule) => actionOf(rule).color;
+
+/**
+ * SKUs breaking each rule per group of groupCol: { group: [count per rule] }. points are
+ * scatter.skuPoints (one per SKU and OpCo, rows of several periods summed) carrying
+ * groupCol; a SKU counts once per rule when any of its OpCos breaks it.
+ */
+export const ruleCounts = (points, rules, { groupCol }) => {
+  const seen = {};
+  points.forEach((point) => {
+    const group = point[groupCol];
+    if (group == null || group === '') return;
+    const sets = seen[group] || (seen[group] = rules.map(() => new Set()));
+    rules.forEach((rule, i) => {
+      if (breaksRule(rule, point.__metrics?.[rule.metric])) sets[i].add(String(point.sku_code ?? ''));
+    });
+  });
+  return Object.fromEntries(Object.entries(seen).map(([group, sets]) => [group, sets.map((s) => s.size)]));
+};
+
+// ---------- saved rule sets ----------
+export const loadRuleSets = () => {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(RULE_SETS_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeRuleSets = (list) => {
+  try {
+    window.localStorage.setItem(RULE_SETS_KEY, JSON.stringify(list));
+  } catch {
+    // best-effort
+  }
+};
+
+// A set with the same name is replaced
+export const saveRuleSet = (name, rules) => {
+  const set = { name, rules, savedAt: Date.now() };
+  storeRuleSets([set, ...loadRuleSets().filter((s) => s.name !== name)]);
+  return set;
+};
+
+export const deleteRuleSet = (name) => storeRuleSets(loadRuleSets().filter((s) => s.name !== name));
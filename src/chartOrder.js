@@ -0,0 +1,94 @@
+import { ALL_OPCOS, newBucket, finishBucket, bucketMetrics } from './aggregate.js';
+
+// Order and Top N for the drill chart. Groups past the top N are rolled up into one
+// "Others (n)" group whose buckets are the sums of theirs, so ratios stay ratios of sums.
+
+export const TOP_N_OPTIONS = [0, 5, 10, 20, 50]; // 0 = all
+export const NAME_SORT = '__name';
+
+// One bucket holding the sums of several
+const mergeBuckets = (buckets, measures) => {
+  const out = newBucket();
+  buckets.forEach((b) => {
+    Object.entries(b.sums).forEach(([m, v]) => {
+      out.sums[m] = (out.sums[m] || 0) + v;
+    });
+    out.marginSum += b.marginSum;
+    out.revenueSum += b.revenueSum;
+  });
+  return finishBucket(out, measures);
+};
+
+// { opcoKey: bucket } for several groups of a rollup node, merged per OpCo
+const mergeGroups = (groupsList, measures) => {
+  const byOpCo = {};
+  groupsList.forEach((groups) =>
+    Object.entries(groups).forEach(([opcoKey, agg]) => {
+      (byOpCo[opcoKey] || (byOpCo[opcoKey] = [])).push(agg);
+    })
+  );
+  return Object.fromEntries(Object.entries(byOpCo).map(([k, list]) => [k, mergeBuckets(list, measures)]));
+};
+
+/**
+ * Group names of a rollup node in display order.
+ * sortKey: NAME_SORT or a measure, read from the selected OpCo's bucket (the all-OpCo
+ * total when it is 'All'); groups without a value go last.
+ */
+export const orderedGroups = (node, { sortKey, direction, selectedOpCo }) => {
+  const names = Object.keys(node || {});
+  const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  const sign = direction === 'desc' ? -1 : 1;
+  if (sortKey === NAME_SORT) return names.sort((a, b) => sign * byName(a, b));
+  const valueOf = (name) => {
+    const agg = node[name][selectedOpCo === 'All' ? ALL_OPCOS : selectedOpCo];
+    const v = agg ? bucketMetrics(agg)[sortKey] : NaN;
+    return Number.isFinite(v) ? v : null;
+  };
+  const values = new Map(names.map((n) => [n, valueOf(n)]));
+  return names.sort((a, b) => {
+    const va = values.get(a);
+    const vb = values.get(b);
+    if (va === null || vb === null) return va === vb ? byName(a, b) : va === null ? 1 : -1;
+    return sign * (va - vb) || byName(a, b);
+  });
+};
+
+/**
+ * The node cut down to the `keep` groups plus one merged group for the rest.
+ * Returns { node, othersName }; othersName is null when nothing is left over.
+ * name: the merged group's name, to match a baseline node to the current one.
+ */
+export const withOthers = (node, keep, measures, name = null) => {
+  if (!node) return { node, othersName: null };
+  const keepSet = new Set(keep);
+  const rest = Object.keys(node).filter((n) => !keepSet.has(n));
+  const out = {};
+  keep.forEach((n) => {
+    if (node[n]) out[n] = node[n];
+  });
+  if (rest.length === 0) return { node: out, othersName: null };
+  const othersName = name || `Others (${rest.length})`;
+  out[othersName] = mergeGroups(rest.map((n) => node[n]), measures);
+  return { node: out, othersName };
+};
+
+/**
+ * The groups of one drill node in display order and the node to chart: cut down to the
+ * top N plus "Others" unless topN is 0 or the rest is expanded.
+ * Returns { order, cut, node, othersName }.
+ */
+export const drillGroups = (node, { sortKey, direction, selectedOpCo, topN, othersExpanded, measures }) => {
+  const order = orderedGroups(node, { sortKey, direction, selectedOpCo });
+  const cut = topN > 0 && order.length > topN && !othersExpanded;
+  const current = cut ? withOthers(node, order.slice(0, topN), measures) : { node, othersName: null };
+  return { order, cut, ...current };
+};
+
+// Chart rows sorted into the groups' order: groups not in it (only in a baseline) after
+// those, "Others" (__others) last
+export const placeRows = (rows, order) => {
+  const rank = new Map(order.map((name, i) => [name, i]));
+  const place = (r) => (r.__others ? Infinity : rank.has(r.name) ? rank.get(r.name) : order.length);
+  return rows.sort((a, b) => place(a) - place(b) || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+};
@@ -0,0 +1,154 @@
+import { toNumber, isNumeric } from './numbers.js';
+import { DEFAULT_HIERARCHY } from './hierarchy.js';
+
+// A mapping tells the normalizer what each source header is:
+//   { [header]: { role: 'dimension' | 'measure' | 'ignore', target: string } }
+// `target` is the field name rows get in `data` (e.g. "Dept" -> dimension "category").
+
+const PROFILES_KEY = 'skuApp.mappingProfiles';
+
+export const normHeader = (x) => String(x || '').toLowerCase().replace(/[\s_-]+/g, '');
+
+export const STANDARD_DIMENSIONS = [
+  { target: 'category', label: 'Category', aliases: ['category'] },
+  { target: 'sub_category', label: 'Sub Category', aliases: ['subcategory'] },
+  { target: 'item', label: 'Item', aliases: ['item'] },
+  { target: 'sku_code', label: 'SKU Code', aliases: ['skucode'] },
+  { target: 'sku_description', label: 'SKU Description', aliases: ['skudescription'] },
+  { target: 'opco', label: 'OpCo', aliases: ['opco'] },
+];
+
+// Measures keep their header as field name (that is what shows in the Measure dropdown);
+// mapping a differently named column to one of these renames it.
+export const STANDARD_MEASURES = [
+  { target: 'revenue', aliases: ['revenue'] },
+  { target: 'margin', aliases: ['margin'] },
+  { target: 'cost', aliases: ['cost'] },
+  { target: 'no of transactions', aliases: ['nooftransactions', 'nooftrans', 'transactions'] },
+];
+
+// Date and period headers (dates.js looks for date columns among these). Their values are
+// often numeric (202401, Excel serials), but they are never summed.
+export const DATE_NAMES = [
+  'date', 'day', 'week', 'month', 'quarter', 'period', 'yearmonth', 'yyyymm',
+  'fiscalperiod', 'fiscalmonth', 'fiscalweek', 'orderdate', 'invoicedate', 'transactiondate',
+];
+
+const sampleValues = (rows, header, n = 20) =>
+  rows
+    .slice(0, 200)
+    .map((r) => r[header])
+    .filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+    .slice(0, n);
+
+// Best guess for a single header: standard names first, then text vs numeric values
+export const guessColumn = (header, rows) => {
+  const nh = normHeader(header);
+  const dim = STANDARD_DIMENSIONS.find((d) => d.aliases.includes(nh));
+  if (dim) return { role: 'dimension', target: dim.target };
+  const measure = STANDARD_MEASURES.find((m) => m.aliases.includes(nh));
+  if (measure) return { role: 'measure', target: header };
+  if (DATE_NAMES.includes(nh)) return { role: 'dimension', target: header };
+
+  const samples = sampleValues(rows, header);
+  const numeric = samples.length > 0 && samples.every(isNumeric);
+  return { role: numeric ? 'measure' : 'dimension', target: header };
+};
+
+// complete when the drill levels and revenue were found; extra columns (e.g. region) are
+// passed through as guessed without asking
+export const autoMapping = (headers, rows) => {
+  const mapping = {};
+  headers.forEach((h) => {
+    if (h === '' || h == null) return;
+    mapping[h] = guessColumn(h, rows);
+  });
+  const mapped = Object.values(mapping);
+  const complete =
+    DEFAULT_HIERARCHY.every((level) => mapped.some((m) => m.role === 'dimension' && m.target === level)) &&
+    mapped.some((m) => m.role === 'measure' && normHeader(m.target) === 'revenue');
+  return { mapping, complete };
+};
+
+// Identifies "the same export" regardless of column order or header casing
+export const headerSignature = (headers) =>
+  [...headers]
+    .filter((h) => h !== '' && h != null)
+    .map(normHeader)
+    .sort()
+    .join('|');
+
+// Problems that would make the mapped rows unusable
+export const validateMapping = (mapping) => {
+  const problems = [];
+  const entries = Object.entries(mapping).filter(([, m]) => m.role !== 'ignore');
+  if (!entries.some(([, m]) => m.role === 'dimension')) problems.push('Map at least one column to a dimension');
+  const seen = {};
+  entries.forEach(([h, m]) => {
+    const key = String(m.target || '').trim();
+    if (!key) problems.push(`"${h}" needs a field name`);
+    else if (seen[key]) problems.push(`"${seen[key]}" and "${h}" both map to "${key}"`);
+    else seen[key] = h;
+  });
+  return problems;
+};
+
+export const applyMapping = (rows, mapping) => {
+  const entries = Object.entries(mapping).filter(([, m]) => m.role !== 'ignore');
+  return rows.map((r) => {
+    const out = {};
+    entries.forEach(([header, { role, target }]) => {
+      const val = r[header];
+      if (role === 'measure') out[target] = toNumber(val);
+      else if (target === 'sku_code') out[target] = String(val ?? '').trim();
+      else out[target] = val;
+    });
+    return out;
+  });
+};
+
+// ---------- saved profiles ----------
+export const loadProfiles = () => {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(PROFILES_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeProfiles = (list) => {
+  try {
+    window.localStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+  } catch {
+    // best-effort
+  }
+};
+
+export const findProfile = (headers) => {
+  const signature = headerSignature(headers);
+  return loadProfiles().find((p) => p.signature === signature) || null;
+};
+
+// Profiles are matched by normalized headers, so re-key them to this file's exact headers
+export const mappingForHeaders = (mapping, headers) => {
+  const byNorm = {};
+  Object.entries(mapping).forEach(([h, m]) => { byNorm[normHeader(h)] = m; });
+  const out = {};
+  headers.forEach((h) => {
+    if (h === '' || h == null) return;
+    out[h] = byNorm[normHeader(h)] || { role: 'ignore', target: h };
+  });
+  return out;
+};
+
+export const saveProfile = (name, headers, mapping) => {
+  const signature = headerSignature(headers);
+  const profile = { name: name || signature, signature, mapping, savedAt: Date.now() };
+  storeProfiles([profile, ...loadProfiles().filter((p) => p.signature !== signature)]);
+  return profile;
+};
+
+export const deleteProfile = (signature) => {
+  storeProfiles(loadProfiles().filter((p) => p.signature !== signature));
+};
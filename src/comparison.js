@@ -0,0 +1,165 @@
+import { normHeader } from './columnMapping.js';
+import { ALL_OPCOS, bucketMetrics } from './aggregate.js';
+import { toNumber } from './numbers.js';
+
+// Period-over-period comparison: a baseline (a second saved dataset, or one period of a
+// period/month column) against the current data, at every level of the drill hierarchy.
+//
+// Comparison config:
+//   { mode: 'dataset', datasetId, name }
+//   { mode: 'period', column, baseline, current }
+
+// What the bars show while comparing
+export const COMPARE_VIEWS = [
+  { id: 'current', label: 'Value' },
+  { id: 'change', label: 'Change' },
+  { id: 'pctChange', label: '% change' },
+];
+
+const PERIOD_NAMES = ['period', 'month', 'yearmonth', 'fiscalperiod', 'fiscalmonth', 'yyyymm'];
+
+// Period columns are often numeric (202401), so look at names rather than values; the
+// column mapping keeps these headers as dimensions (DATE_NAMES), so they aren't metrics
+export const periodColumns = (rows, metrics = []) =>
+  Object.keys(rows[0] || {}).filter((col) => !metrics.includes(col) && PERIOD_NAMES.includes(normHeader(col)));
+
+// Distinct values as strings, in natural order (2024-2 before 2024-10)
+export const periodValues = (rows, column) =>
+  [...new Set(rows.map((r) => String(r[column] ?? '')).filter(Boolean))].sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true })
+  );
+
+export const inPeriod = (column, value) => (row) => String(row[column] ?? '') === value;
+
+export const comparisonLabel = (comparison) => {
+  if (!comparison) return '';
+  if (comparison.mode === 'period') return `${comparison.current} vs ${comparison.baseline}`;
+  return `vs ${comparison.name}`;
+};
+
+// A missing bucket counts as zero for summed measures; ratios (Margin %, calculated
+// measures that sum their inputs first) have no value there
+const metricValue = (metricsMap, metric, ratio) => {
+  if (ratio) return metricsMap ? metricsMap[metric] : NaN;
+  const v = metricsMap?.[metric];
+  return Number.isFinite(v) ? v : 0;
+};
+
+// change is absolute (points for Margin %); pctChange is relative to the baseline's magnitude
+export const compareValues = (current, baseline) => {
+  const change = Number.isFinite(current) && Number.isFinite(baseline) ? current - baseline : NaN;
+  const pctChange = Number.isFinite(change) && baseline !== 0 ? (change / Math.abs(baseline)) * 100 : NaN;
+  return { current, baseline, change, pctChange };
+};
+
+/**
+ * Chart rows for one drill node with its baseline counterpart. Same shapes as
+ * chartRowsFromNode, with the bar value replaced by the chosen view and
+ * __compare[dataKey] = { current, baseline, change, pctChange } for the selected measure.
+ * Groups that exist only in the baseline are kept so discontinued branches stay visible.
+ * ratio: the selected measure is a ratio rather than a sum (defaults to Margin % only).
+ */
+export const comparisonChartRows = (
+  node,
+  baselineNode,
+  { selectedMetric, groupByOpCo, selectedOpCo, opcos, view, ratio = selectedMetric === 'Margin %' }
+) => {
+  const names = [...new Set([...Object.keys(node || {}), ...Object.keys(baselineNode || {})])];
+
+  const cell = (groups, baseGroups, opcoKey) => {
+    const cur = groups?.[opcoKey] ? bucketMetrics(groups[opcoKey]) : null;
+    const prev = baseGroups?.[opcoKey] ? bucketMetrics(baseGroups[opcoKey]) : null;
+    if (!cur && !prev) return null;
+    return {
+      metrics: cur || {},
+      cmp: compareValues(metricValue(cur, selectedMetric, ratio), metricValue(prev, selectedMetric, ratio)),
+    };
+  };
+
+  return names
+    .map((name) => {
+      const groups = node?.[name];
+      const baseGroups = baselineNode?.[name];
+      const row = { name, __byOpCo: {}, __compare: {} };
+      if (groupByOpCo) {
+        opcos.forEach((opco) => {
+          const c = cell(groups, baseGroups, opco);
+          if (!c) return;
+          row[opco] = c.cmp[view];
+          row.__byOpCo[opco] = c.metrics;
+          row.__compare[opco] = c.cmp;
+        });
+        return row;
+      }
+      const c = cell(groups, baseGroups, selectedOpCo === 'All' ? ALL_OPCOS : selectedOpCo);
+      if (!c) return null;
+      row.value = c.cmp[view];
+      row.__metrics = c.metrics;
+      row.__compare.value = c.cmp;
+      return row;
+    })
+    .filter(Boolean);
+};
+
+// ---------- SKU status ----------
+
+export const SKU_STATUS = {
+  new: 'New',
+  discontinued: 'Discontinued',
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+};
+
+const skuTotals = (rows, metrics) => {
+  const out = new Map();
+  rows.forEach((row) => {
+    const code = row.sku_code;
+    if (!code) return;
+    const totals = out.get(code) || {};
+    metrics.forEach((m) => {
+      const v = toNumber(row[m]);
+      totals[m] = (totals[m] || 0) + (Number.isFinite(v) ? v : 0);
+    });
+    out.set(code, totals);
+  });
+  return out;
+};
+
+/**
+ * Flags leaf rows by sku_code against the baseline rows of the same node:
+ * New (not in the baseline), Changed (any summed measure moved), Unchanged, and
+ * Discontinued rows taken from the baseline. Returns copies with __status set.
+ */
+export const flagSkuChanges = (currentRows, baselineRows, metrics) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %');
+  const cur = skuTotals(currentRows, sumMetrics);
+  const prev = skuTotals(baselineRows, sumMetrics);
+
+  const statusOf = (code) => {
+    if (!prev.has(code)) return SKU_STATUS.new;
+    const a = cur.get(code);
+    const b = prev.get(code);
+    const moved = sumMetrics.some((m) => Math.abs((a[m] || 0) - (b[m] || 0)) > 1e-9 * Math.max(1, Math.abs(b[m] || 0)));
+    return moved ? SKU_STATUS.changed : SKU_STATUS.unchanged;
+  };
+
+  const flagged = currentRows.map((row) => ({
+    ...row,
+    __status: row.sku_code ? statusOf(row.sku_code) : SKU_STATUS.new,
+  }));
+  baselineRows.forEach((row) => {
+    if (row.sku_code && !cur.has(row.sku_code)) flagged.push({ ...row, __status: SKU_STATUS.discontinued });
+  });
+  return flagged;
+};
+
+// -1..1 -> red..grey..green, for change bars
+export const divergingShade = (t) => {
+  const clamp = (x) => Math.max(-1, Math.min(1, x));
+  const p = Number.isFinite(t) ? clamp(t) : 0;
+  const grey = { r: 229, g: 231, b: 235 };
+  const to = p >= 0 ? { r: 21, g: 128, b: 61 } : { r: 185, g: 28, b: 28 };
+  const a = Math.abs(p);
+  const lerp = (x, y) => Math.round(x + (y - x) * (0.25 + 0.75 * a));
+  return `rgb(${lerp(grey.r, to.r)}, ${lerp(grey.g, to.g)}, ${lerp(grey.b, to.b)})`;
+};
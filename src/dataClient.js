@@ -0,0 +1,60 @@
+// Main-thread side of dataWorker.js: promise-based requests with progress callbacks.
+// onProgress receives { phase, fraction } where fraction is 0..1 or null when unknown.
+
+let worker = null;
+let seq = 0;
+const pending = new Map();
+
+const failAll = (message) => {
+  pending.forEach(({ reject }) => reject(new Error(message)));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => {
+    const { id, type, ...msg } = event.data || {};
+    const req = pending.get(id);
+    if (!req) return;
+    if (type === 'progress') {
+      req.onProgress?.({ phase: msg.phase, fraction: msg.fraction });
+    } else if (type === 'result') {
+      pending.delete(id);
+      req.resolve(msg.result);
+    } else if (type === 'error') {
+      pending.delete(id);
+      req.reject(new Error(msg.message));
+    }
+  };
+  worker.onerror = (event) => {
+    failAll(event.message || 'Data worker crashed');
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+const request = (type, payload, onProgress) =>
+  new Promise((resolve, reject) => {
+    const id = ++seq;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, type, ...payload });
+  });
+
+// input: { file } or { url }, plus the detected format
+export const parseInput = (input, onProgress) => request('parse', input, onProgress);
+
+export const pickSheet = (sheet, onProgress) => request('pickSheet', { sheet }, onProgress);
+
+export const normalizeParsed = (mapping, onProgress) => request('normalize', { mapping }, onProgress);
+
+// set: 'current' (default) or 'baseline'
+export const setWorkerRows = (rows, set) => request('setRows', { rows, set });
+
+export const computeRollups = ({ hierarchy, metrics, measures, excluded, where, range, filters, set }, onProgress) =>
+  request('rollup', { hierarchy, metrics, measures, excluded, where, range, filters, set }, onProgress);
+
+// scope: the rollup request (without set) plus drillPath and selectedOpCo; view and
+// options as in nodeViews.js
+export const computeNodeView = (scope, view, options) => request('nodeView', { scope, view, options });
@@ -0,0 +1,172 @@
+import Papa from 'papaparse';
+import { isNumeric } from './numbers.js';
+import { normHeader } from './columnMapping.js';
+import { levelLabel } from './hierarchy.js';
+
+// Data-quality checks run after every load. Row references are indices into the
+// normalized rows, which line up 1:1 with the parsed source rows.
+
+// Cells in measure columns that toNumber had to turn into 0. Needs the raw rows, so it is
+// computed once at load time and stored with the dataset.
+export const findNonNumericCells = (rawRows, mapping) => {
+  const measures = Object.entries(mapping).filter(([, m]) => m.role === 'measure');
+  const cells = [];
+  rawRows.forEach((r, i) => {
+    measures.forEach(([header, { target }]) => {
+      const v = r[header];
+      if (v === undefined || v === null || String(v).trim() === '') return;
+      if (!isNumeric(v)) cells.push({ row: i, column: target, value: String(v) });
+    });
+  });
+  return cells;
+};
+
+// Parse errors that point at a specific row (e.g. too few fields)
+export const parseErrorRows = (errors) =>
+  (errors || [])
+    .filter((e) => Number.isInteger(e.row))
+    .map((e) => ({ row: e.row, message: e.message }));
+
+const findMeasure = (rows, name) => {
+  const sample = rows[0] || {};
+  return Object.keys(sample).find((k) => typeof sample[k] === 'number' && normHeader(k) === name) || null;
+};
+
+/**
+ * Build the report for the rows on screen.
+ * loadIssues: { nonNumeric: [{ row, column, value }], parseErrors: [{ row, message }] }
+ * Returns { totalRows, dropped: { count, rows, byLevel }, checks: [{ id, label, description, rows, details }] }
+ */
+export const buildQualityReport = ({ rows, hierarchy, loadIssues }) => {
+  // rows the drill hierarchy can't place
+  const byLevel = {};
+  const droppedRows = [];
+  rows.forEach((r, i) => {
+    const missing = hierarchy.find((col) => !r[col]);
+    if (missing) {
+      byLevel[missing] = (byLevel[missing] || 0) + 1;
+      droppedRows.push(i);
+    }
+  });
+
+  const checks = [];
+  const details = {};
+  const addDetail = (id, row, text) => {
+    if (!details[id]) details[id] = {};
+    details[id][row] = details[id][row] ? `${details[id][row]}; ${text}` : text;
+  };
+
+  // duplicate SKU codes (per OpCo when the file has one); the first occurrence is kept
+  const seen = new Map();
+  const dupRows = [];
+  const dupCodes = new Set();
+  rows.forEach((r, i) => {
+    if (!r.sku_code) return;
+    const key = r.opco ? `${r.opco}\u0000${r.sku_code}` : r.sku_code;
+    if (seen.has(key)) {
+      dupRows.push(i);
+      dupCodes.add(r.sku_code);
+      addDetail('duplicates', i, `duplicate of row ${seen.get(key) + 1}`);
+    } else {
+      seen.set(key, i);
+    }
+  });
+  checks.push({
+    id: 'duplicates',
+    label: 'Duplicate SKU codes',
+    description: `${dupCodes.size} SKU code(s) appear more than once${rows.some((r) => r.opco) ? ' within an OpCo' : ''}`,
+    rows: dupRows,
+  });
+
+  const nonNumeric = loadIssues?.nonNumeric || [];
+  nonNumeric.forEach((c) => addDetail('nonNumeric', c.row, `${c.column}: "${c.value}"`));
+  checks.push({
+    id: 'nonNumeric',
+    label: 'Non-numeric measure values',
+    description: `${nonNumeric.length} cell(s) could not be read as numbers and were counted as 0`,
+    rows: [...new Set(nonNumeric.map((c) => c.row))],
+  });
+
+  const revenueKey = findMeasure(rows, 'revenue');
+  const costKey = findMeasure(rows, 'cost');
+  const marginKey = findMeasure(rows, 'margin');
+
+  const negRows = [];
+  if (revenueKey || costKey) {
+    rows.forEach((r, i) => {
+      const parts = [];
+      if (revenueKey && r[revenueKey] < 0) parts.push(`${revenueKey} ${r[revenueKey]}`);
+      if (costKey && r[costKey] < 0) parts.push(`${costKey} ${r[costKey]}`);
+      if (parts.length) {
+        negRows.push(i);
+        addDetail('negative', i, `negative ${parts.join(', ')}`);
+      }
+    });
+    checks.push({
+      id: 'negative',
+      label: 'Negative revenue or cost',
+      description: `${negRows.length} row(s) have a negative ${[revenueKey, costKey].filter(Boolean).join(' or ')}`,
+      rows: negRows,
+    });
+  }
+
+  if (revenueKey && costKey && marginKey) {
+    const mismatch = [];
+    rows.forEach((r, i) => {
+      const expected = r[revenueKey] - r[costKey];
+      const tolerance = Math.max(0.01, Math.abs(r[revenueKey]) * 0.005);
+      if (Math.abs(r[marginKey] - expected) > tolerance) {
+        mismatch.push(i);
+        addDetail('marginMismatch', i, `${marginKey} ${r[marginKey]} vs ${revenueKey} - ${costKey} = ${expected}`);
+      }
+    });
+    checks.push({
+      id: 'marginMismatch',
+      label: 'Margin ≠ revenue − cost',
+      description: `${mismatch.length} row(s) where ${marginKey} differs from ${revenueKey} minus ${costKey}`,
+      rows: mismatch,
+    });
+  }
+
+  const parseErrors = loadIssues?.parseErrors || [];
+  if (parseErrors.length) {
+    parseErrors.forEach((e) => addDetail('parseErrors', e.row, e.message));
+    checks.push({
+      id: 'parseErrors',
+      label: 'Malformed lines',
+      description: `${parseErrors.length} line(s) did not parse cleanly`,
+      rows: [...new Set(parseErrors.map((e) => e.row))].filter((i) => i < rows.length),
+    });
+  }
+
+  return {
+    totalRows: rows.length,
+    dropped: {
+      count: droppedRows.length,
+      rows: droppedRows,
+      byLevel: Object.entries(byLevel).map(([level, count]) => ({ level, label: levelLabel(level), count })),
+    },
+    checks: checks.map((c) => ({ ...c, details: details[c.id] || {} })),
+  };
+};
+
+// Row indices removed by the checks the user chose to exclude
+export const excludedRowSet = (report, excludedChecks) => {
+  const out = new Set();
+  report.checks
+    .filter((c) => excludedChecks.includes(c.id))
+    .forEach((c) => c.rows.forEach((i) => out.add(i)));
+  return out;
+};
+
+// CSV of the offending rows with an extra column saying what's wrong
+export const offendingRowsCsv = (rows, indices, details, issueLabel) =>
+  Papa.unparse(
+    indices.map((i) => ({
+      row: i + 1,
+      issue: details?.[i] || issueLabel,
+      ...rows[i],
+    })),
+    // the rows are the malformed, untrusted ones: keep =, +, - and @ cells as text in Excel
+    { escapeFormulae: true }
+  );
@@ -0,0 +1,54 @@
+// Where a dataset can come from:
+//   { type: 'bundled', id, name }  -> a file listed in public/data/manifest.json
+//   { type: 'url', url, name }     -> any CSV reachable with fetch (CORS permitting)
+//   { type: 'file', name, size, lastModified }
+//                                  -> a local upload (cannot be reopened automatically)
+// Workbook sources also carry the chosen `sheet`.
+
+const LAST_SOURCE_KEY = 'skuApp.lastSource';
+
+const dataUrl = (file) => `${import.meta.env.BASE_URL}data/${file}`;
+
+export const fetchManifest = async () => {
+  const res = await fetch(dataUrl('manifest.json'));
+  if (!res.ok) throw new Error(`Could not load dataset manifest (${res.status})`);
+  const json = await res.json();
+  return Array.isArray(json?.datasets) ? json.datasets : [];
+};
+
+export const bundledDatasetUrl = (dataset) => dataUrl(dataset.file);
+
+export const sourceLabel = (source) => {
+  if (!source) return '';
+  const base = source.type === 'url' ? source.name || source.url : source.name || source.id || '';
+  return source.sheet ? `${base} (${source.sheet})` : base;
+};
+
+// ?src=<csv url> or ?dataset=<manifest id>
+export const readSourceFromQuery = () => {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get('src');
+  if (url) return { type: 'url', url, name: url.split('/').pop() || url };
+  const id = params.get('dataset');
+  if (id) return { type: 'bundled', id };
+  return null;
+};
+
+// Sources that can be reloaded without user interaction
+export const isReloadable = (source) => source?.type === 'bundled' || source?.type === 'url';
+
+export const loadLastSource = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(LAST_SOURCE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const saveLastSource = (source) => {
+  try {
+    window.localStorage.setItem(LAST_SOURCE_KEY, JSON.stringify(source));
+  } catch {
+    // storage full or disabled: remembering the source is best-effort
+  }
+};
@@ -0,0 +1,188 @@
+import Papa from 'papaparse';
+import { PARSE_OPTIONS, MAPPING_SAMPLE_SIZE, normalizeRows } from './normalize.js';
+import { buildRollups } from './aggregate.js';
+import { nodeRows, nodeView } from './nodeViews.js';
+import { compileMeasures } from './measures.js';
+import { readWorkbook, sheetToResult, parseJsonText, parseNdjsonText } from './fileParsers.js';
+
+// Off-main-thread parsing, normalization, rollups and the views of a node's rows.
+// The worker keeps the last parse (for the mapping step) and the normalized rows
+// (for rollups) so big arrays cross the thread boundary as rarely as possible.
+//
+// Requests:  { id, type, ...payload }
+// Replies:   { id, type: 'progress', phase, fraction } | { id, type: 'result', result } | { id, type: 'error', message }
+
+let parsed = null; // { data, errors, meta } of the last parse
+let workbook = null; // kept while the user picks a sheet
+// Normalized rows by set: 'current' is the dashboard's dataset, 'baseline' the one it is compared with
+const rowSets = { current: [], baseline: [] };
+// { key, rows, measures } of the last node a view was asked for, so other views of it skip the filtering
+let nodeCache = null;
+
+const reply = (id, msg) => self.postMessage({ id, ...msg });
+const progress = (id, phase, fraction = null) => reply(id, { type: 'progress', phase, fraction });
+
+const fetchBytes = async (id, url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`request failed (${res.status})`);
+  const total = Number(res.headers.get('content-length')) || 0;
+  if (!res.body || !total) {
+    progress(id, 'download');
+    return new Uint8Array(await res.arrayBuffer());
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    progress(id, 'download', Math.min(1, received / total));
+  }
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach((c) => {
+    bytes.set(c, offset);
+    offset += c.length;
+  });
+  return bytes;
+};
+
+// input: a File or a string; total: its size for the progress fraction
+const parseCsv = (id, input, total) =>
+  new Promise((resolve, reject) => {
+    const data = [];
+    const errors = [];
+    let fields = null;
+    Papa.parse(input, {
+      ...PARSE_OPTIONS,
+      chunkSize: 1024 * 1024,
+      chunk: (res) => {
+        for (let i = 0; i < res.data.length; i++) data.push(res.data[i]);
+        res.errors.forEach((e) => errors.push(e));
+        if (!fields) fields = res.meta.fields;
+        progress(id, 'parse', total ? Math.min(1, res.meta.cursor / total) : null);
+      },
+      complete: () => resolve({ data, errors, meta: { fields: fields || [] } }),
+      error: (e) => reject(e),
+    });
+  });
+
+// What the main thread needs for the mapping step
+const summary = (result) => ({
+  headers: (result.meta?.fields || Object.keys(result.data?.[0] || {})).filter(Boolean),
+  sample: result.data.slice(0, MAPPING_SAMPLE_SIZE),
+  rowCount: result.data.length,
+  errors: result.errors.slice(0, 50),
+});
+
+const handlers = {
+  // { file?, url?, format } -> { headers, sample, rowCount, errors } or { sheets } for multi-sheet workbooks
+  async parse(id, { file, url, format }) {
+    parsed = null;
+    workbook = null;
+    const bytes = url ? await fetchBytes(id, url) : null;
+
+    if (format === 'xlsx') {
+      progress(id, 'parse');
+      const book = await readWorkbook(bytes ? bytes.buffer : await file.arrayBuffer());
+      if (book.sheets.length === 0) throw new Error('Workbook has no sheets');
+      if (book.sheets.length > 1) {
+        workbook = book.workbook;
+        return { sheets: book.sheets };
+      }
+      parsed = await sheetToResult(book.workbook, book.sheets[0].name);
+      return summary(parsed);
+    }
+
+    if (format === 'json' || format === 'ndjson') {
+      progress(id, 'parse');
+      const text = bytes ? new TextDecoder().decode(bytes) : await file.text();
+      parsed = format === 'ndjson' ? parseNdjsonText(text) : parseJsonText(text);
+      return summary(parsed);
+    }
+
+    if (bytes) {
+      const text = new TextDecoder().decode(bytes);
+      parsed = await parseCsv(id, text, text.length);
+    } else {
+      parsed = await parseCsv(id, file, file.size);
+    }
+    return summary(parsed);
+  },
+
+  async pickSheet(id, { sheet }) {
+    if (!workbook) throw new Error('No workbook open');
+    progress(id, 'parse');
+    parsed = await sheetToResult(workbook, sheet);
+    workbook = null;
+    return summary(parsed);
+  },
+
+  // { mapping } -> { rows, metrics, opcos, loadIssues, warning }
+  normalize(id, { mapping }) {
+    if (!parsed) throw new Error('Nothing parsed yet');
+    progress(id, 'normalize');
+    const dataset = normalizeRows(parsed, mapping);
+    rowSets.current = dataset.rows;
+    nodeCache = null;
+    return dataset;
+  },
+
+  // Datasets restored from storage (or opened as a comparison baseline) skip parsing
+  // but still need rollups here
+  setRows(id, { rows: next, set = 'current' }) {
+    rowSets[set] = next || [];
+    if (set === 'current') nodeCache = null;
+    return { rowCount: rowSets[set].length };
+  },
+
+  // { hierarchy, metrics, measures, excluded: [rowIndex], where, range, filters, set } -> rollups
+  // metrics are the dataset's own measures; measures are calculated measure definitions
+  rollup(id, { hierarchy, metrics, measures, excluded, where, range, filters, set = 'current' }) {
+    return buildRollups(rowSets[set] || [], {
+      hierarchy,
+      metrics,
+      excluded: excluded?.length ? new Set(excluded) : null,
+      where,
+      range,
+      filters,
+      measures: measures?.length ? compileMeasures(measures, metrics) : null,
+      onProgress: (f) => progress(id, 'aggregate', f),
+    });
+  },
+
+  // { scope, view, options } -> one of nodeViews.js's views of the current rows under a node.
+  // scope: the rollup request's hierarchy, metrics, measures, excluded, where, range and
+  // filters, plus drillPath and selectedOpCo
+  nodeView(id, { scope, view, options }) {
+    const key = JSON.stringify(scope);
+    if (nodeCache?.key !== key) {
+      const { metrics, measures, excluded, ...rest } = scope;
+      const compiled = measures?.length ? compileMeasures(measures, metrics) : null;
+      const rows = nodeRows(rowSets.current, {
+        ...rest,
+        excluded: excluded?.length ? new Set(excluded) : null,
+        measures: compiled,
+      });
+      nodeCache = { key, rows, measures: compiled };
+    }
+    return nodeView(nodeCache.rows, view, { ...options, metrics: scope.metrics, measures: nodeCache.measures });
+  },
+};
+
+self.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data || {};
+  const handler = handlers[type];
+  if (!handler) {
+    reply(id, { type: 'error', message: `Unknown request "${type}"` });
+    return;
+  }
+  try {
+    const result = await handler(id, payload);
+    reply(id, { type: 'result', result });
+  } catch (err) {
+    reply(id, { type: 'error', message: err?.message || String(err) });
+  }
+};
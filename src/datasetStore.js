@@ -0,0 +1,149 @@
+// IndexedDB persistence for parsed datasets.
+// Metadata and rows live in separate stores so listing recent datasets stays cheap.
+//   datasets: { id, name, source, loadedAt, rowCount, metrics, opcos, view, measures, scenarios }
+//   rows:     { id, rows, loadIssues }
+
+const DB_NAME = 'sku-dashboard';
+const DB_VERSION = 1;
+const LAST_DATASET_KEY = 'skuApp.lastDatasetId';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('datasets')) db.createObjectStore('datasets', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('rows')) db.createObjectStore('rows', { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const requestToPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const txDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+
+// Reloading the same source replaces its entry instead of piling up copies
+export const datasetKey = (source) => {
+  if (!source) return `file:${Date.now()}`;
+  const sheet = source.sheet ? `#${source.sheet}` : '';
+  if (source.type === 'bundled') return `bundled:${source.id}${sheet}`;
+  if (source.type === 'url') return `url:${source.url}${sheet}`;
+  // uploads are told apart by size and modification time, not only by name
+  const stamp = source.size != null ? `:${source.size}:${source.lastModified ?? ''}` : '';
+  return `file:${source.name}${stamp}${sheet}`;
+};
+
+// Reloading a source keeps the view, calculated measures and scenarios saved with it
+export const saveDataset = async ({ source, name, rows, metrics, opcos, loadIssues, view }) => {
+  const db = await openDb();
+  const id = datasetKey(source);
+  const previous = await requestToPromise(db.transaction('datasets').objectStore('datasets').get(id));
+  const meta = {
+    id,
+    name,
+    source,
+    loadedAt: Date.now(),
+    rowCount: rows.length,
+    metrics,
+    opcos,
+    view: view || previous?.view || null,
+    measures: previous?.measures || [],
+    scenarios: previous?.scenarios || [],
+  };
+  const tx = db.transaction(['datasets', 'rows'], 'readwrite');
+  tx.objectStore('datasets').put(meta);
+  tx.objectStore('rows').put({ id, rows, loadIssues: loadIssues || null });
+  await txDone(tx);
+  return meta;
+};
+
+// Most recently loaded first
+export const listDatasets = async () => {
+  const db = await openDb();
+  const all = await requestToPromise(db.transaction('datasets').objectStore('datasets').getAll());
+  return all.sort((a, b) => b.loadedAt - a.loadedAt);
+};
+
+export const getDataset = async (id) => {
+  const db = await openDb();
+  const tx = db.transaction(['datasets', 'rows']);
+  const [meta, rowsEntry] = await Promise.all([
+    requestToPromise(tx.objectStore('datasets').get(id)),
+    requestToPromise(tx.objectStore('rows').get(id)),
+  ]);
+  if (!meta || !rowsEntry) return null;
+  return { ...meta, rows: rowsEntry.rows, loadIssues: rowsEntry.loadIssues || null };
+};
+
+export const deleteDataset = async (id) => {
+  const db = await openDb();
+  const tx = db.transaction(['datasets', 'rows'], 'readwrite');
+  tx.objectStore('datasets').delete(id);
+  tx.objectStore('rows').delete(id);
+  await txDone(tx);
+  if (loadLastDatasetId() === id) saveLastDatasetId(null);
+};
+
+export const updateDatasetView = async (id, view) => {
+  const db = await openDb();
+  const tx = db.transaction('datasets', 'readwrite');
+  const store = tx.objectStore('datasets');
+  const meta = await requestToPromise(store.get(id));
+  if (meta) store.put({ ...meta, view });
+  await txDone(tx);
+};
+
+export const updateDatasetMeasures = async (id, measures) => {
+  const db = await openDb();
+  const tx = db.transaction('datasets', 'readwrite');
+  const store = tx.objectStore('datasets');
+  const meta = await requestToPromise(store.get(id));
+  if (meta) store.put({ ...meta, measures });
+  await txDone(tx);
+};
+
+export const updateDatasetScenarios = async (id, scenarios) => {
+  const db = await openDb();
+  const tx = db.transaction('datasets', 'readwrite');
+  const store = tx.objectStore('datasets');
+  const meta = await requestToPromise(store.get(id));
+  if (meta) store.put({ ...meta, scenarios });
+  await txDone(tx);
+};
+
+export const loadLastDatasetId = () => {
+  try {
+    return window.localStorage.getItem(LAST_DATASET_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const saveLastDatasetId = (id) => {
+  try {
+    if (id) window.localStorage.setItem(LAST_DATASET_KEY, id);
+    else window.localStorage.removeItem(LAST_DATASET_KEY);
+  } catch {
+    // best-effort, like the last-source hint
+  }
+};
@@ -0,0 +1,143 @@
+import { normHeader, DATE_NAMES } from './columnMapping.js';
+
+// Date/period columns: lenient parsing of the formats SKU extracts use, bucketing by
+// time grain, and date-range predicates. Dates are handled as UTC milliseconds so
+// buckets don't shift with the viewer's time zone.
+
+const DAY = 86400000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const utc = (y, m, d = 1) => {
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const t = Date.UTC(y, m - 1, d);
+  // Date.UTC rolls 2024-02-31 over into March
+  return new Date(t).getUTCDate() === d ? t : null;
+};
+
+// Monday of ISO week w in ISO year y
+const isoWeekStart = (y, w) => {
+  if (w < 1 || w > 53) return null;
+  const jan4 = Date.UTC(y, 0, 4);
+  const jan4Day = (new Date(jan4).getUTCDay() + 6) % 7; // Monday = 0
+  return jan4 - jan4Day * DAY + (w - 1) * 7 * DAY;
+};
+
+/**
+ * Start of the day/week/month/quarter a value refers to, or null.
+ * Accepts 2024-03-15, 2024-03, 202403, 20240315, 2024-W11, 2024-Q1, Q1 2024,
+ * Mar 2024, 15/03/2024 (day first) and Excel serial day numbers.
+ */
+export const parseDateValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const s = String(value).trim();
+  let m;
+
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    if (s.length === 6) return utc(Number(s.slice(0, 4)), Number(s.slice(4, 6)));
+    if (s.length === 8) return utc(Number(s.slice(0, 4)), Number(s.slice(4, 6)), Number(s.slice(6, 8)));
+    const n = Number(s);
+    // Excel serials between 1954 and 2119
+    if (n > 20000 && n < 80000) return Date.UTC(1899, 11, 30) + Math.floor(n) * DAY;
+    return null;
+  }
+  if ((m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) return utc(+m[1], +m[2], +m[3]);
+  if ((m = s.match(/^(\d{4})[-/.](\d{1,2})$/))) return utc(+m[1], +m[2]);
+  if ((m = s.match(/^(\d{4})[-\s]?W(\d{1,2})$/i))) return isoWeekStart(+m[1], +m[2]);
+  if ((m = s.match(/^(\d{4})[-\s]?Q([1-4])$/i))) return utc(+m[1], (+m[2] - 1) * 3 + 1);
+  if ((m = s.match(/^Q([1-4])[-\s]?(\d{4})$/i))) return utc(+m[2], (+m[1] - 1) * 3 + 1);
+  if ((m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) return utc(+m[3], +m[2], +m[1]);
+  if ((m = s.match(/^([a-z]{3})[a-z]*[-\s]+(\d{4})$/i))) {
+    const month = MONTHS.indexOf(m[1].toLowerCase());
+    return month < 0 ? null : utc(+m[2], month + 1);
+  }
+  return null;
+};
+
+/**
+ * Columns that look like dates: named like one and parseable in most sampled rows.
+ * Best candidate first.
+ */
+export const dateColumns = (rows, metrics = []) => {
+  const sample = rows.slice(0, 500);
+  if (sample.length === 0) return [];
+  return Object.keys(rows[0] || {})
+    .filter((col) => !metrics.includes(col) && DATE_NAMES.includes(normHeader(col)))
+    .map((col) => {
+      const filled = sample.filter((r) => r[col] !== '' && r[col] !== null && r[col] !== undefined);
+      const parsed = filled.filter((r) => parseDateValue(r[col]) !== null).length;
+      return { col, share: filled.length ? parsed / filled.length : 0 };
+    })
+    .filter((c) => c.share >= 0.9)
+    .sort((a, b) => b.share - a.share || DATE_NAMES.indexOf(normHeader(a.col)) - DATE_NAMES.indexOf(normHeader(b.col)))
+    .map((c) => c.col);
+};
+
+// ---------- grains ----------
+
+export const TIME_GRAINS = [
+  { id: 'day', label: 'Day' },
+  { id: 'week', label: 'Week' },
+  { id: 'month', label: 'Month' },
+  { id: 'quarter', label: 'Quarter' },
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const isoDate = (ms) => {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+// Sortable bucket key for a timestamp: 2024-03-15, 2024-03-11 (week's Monday), 2024-03, 2024-Q1
+export const bucketKey = (ms, grain) => {
+  const d = new Date(ms);
+  const y = d.getUTCFullYear();
+  const mo = d.getUTCMonth();
+  if (grain === 'day') return isoDate(ms);
+  if (grain === 'week') return isoDate(ms - ((d.getUTCDay() + 6) % 7) * DAY);
+  if (grain === 'quarter') return `${y}-Q${Math.floor(mo / 3) + 1}`;
+  return `${y}-${pad(mo + 1)}`;
+};
+
+export const bucketLabel = (key, grain) => {
+  if (grain === 'week') return `Wk of ${key}`;
+  if (grain === 'month') {
+    const [y, mo] = key.split('-');
+    return `${MONTHS[Number(mo) - 1].replace(/^./, (c) => c.toUpperCase())} ${y}`;
+  }
+  return key;
+};
+
+// ---------- ranges ----------
+
+// { from: 'YYYY-MM-DD' | '', to } -> { from: ms | null, to: ms | null }, to inclusive of its day
+export const rangeBounds = ({ from, to } = {}) => {
+  const start = from ? parseDateValue(from) : null;
+  const end = to ? parseDateValue(to) : null;
+  return { from: start, to: end === null ? null : end + DAY - 1 };
+};
+
+export const hasDateRange = (range) => Boolean(range?.from || range?.to);
+
+// Row predicate for a date column and rangeBounds(); rows with unparseable dates drop out
+export const inDateRange = (column, { from, to }) => (row) => {
+  const t = parseDateValue(row[column]);
+  if (t === null) return false;
+  if (from !== null && t < from) return false;
+  if (to !== null && t > to) return false;
+  return true;
+};
+
+// Earliest and latest date in a column, as YYYY-MM-DD (for the range inputs)
+export const dateExtent = (rows, column) => {
+  let min = Infinity;
+  let max = -Infinity;
+  rows.forEach((r) => {
+    const t = parseDateValue(r[column]);
+    if (t === null) return;
+    if (t < min) min = t;
+    if (t > max) max = t;
+  });
+  return Number.isFinite(min) ? { min: isoDate(min), max: isoDate(max) } : null;
+};
@@ -0,0 +1,24 @@
+// Trigger a browser download for generated content
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, filename, type = 'text/csv;charset=utf-8') =>
+  downloadBlob(new Blob([text], { type }), filename);
+
+// "Pantry & Staples / Nuts" -> "pantry-staples-nuts"
+export const safeFilename = (...parts) =>
+  parts
+    .filter(Boolean)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9%]+/g, '-')
+    .replace(/%/g, 'pct')
+    .replace(/^-+|-+$/g, '') || 'export';
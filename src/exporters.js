@@ -0,0 +1,229 @@
+import Papa from 'papaparse';
+import { rowValue } from './tableRows.js';
+import { downloadBlob, downloadText } from './download.js';
+import { targetColumns, targetVariance } from './targets.js';
+import { TOTAL_COLUMN, visibleRows } from './pivotTable.js';
+
+// Export helpers for the chart and leaf-table views.
+// Tabular exports are built as { columns, rows } (rows keyed by column) so CSV and
+// XLSX share one code path; chart images are produced from the rendered recharts SVG.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT = 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+/**
+ * Aggregated chart rows as a flat table. When grouped by OpCo there is one line per
+ * bar group and OpCo (from __byOpCo); otherwise one line per bar.
+ * compareMetric adds baseline/change columns from a comparison's __compare, variance the
+ * reference/variance columns of an OpCo comparison (__variance), targetMetric the
+ * target/variance columns for that measure (__target) and scenario a column with the
+ * scenario's value of its metric (__sim).
+ */
+export const chartExportTable = (
+  chartData,
+  { levelName, metrics, opcos, groupByOpCo, selectedOpCo, compareMetric, variance, targetMetric, scenario }
+) => {
+  const compareColumns = compareMetric
+    ? [`Baseline ${compareMetric}`, `Change ${compareMetric}`, `% change ${compareMetric}`]
+    : [];
+  const varianceColumns = variance
+    ? [`${variance.reference} ${variance.metric}`, `Variance ${variance.metric}`, `% variance ${variance.metric}`]
+    : [];
+  const addCompare = (out, cmp) => {
+    if (!compareMetric) return;
+    const [baseline, change, pctChange] = compareColumns;
+    out[baseline] = cmp?.baseline;
+    out[change] = cmp?.change;
+    out[pctChange] = cmp?.pctChange;
+  };
+  const targetCols = targetMetric ? targetColumns(targetMetric) : [];
+  const scenarioCols = scenario ? [`${scenario.name} ${scenario.metric}`] : [];
+  const addTarget = (out, actual, target) => {
+    if (!targetMetric) return;
+    const v = targetVariance(Number(actual), target);
+    const [targetCol, diffCol, pctCol] = targetCols;
+    out[targetCol] = v?.target;
+    out[diffCol] = v?.diff;
+    out[pctCol] = v?.pctDiff;
+  };
+
+  if (groupByOpCo) {
+    const rows = [];
+    chartData.forEach((row) => {
+      opcos.forEach((opco) => {
+        const metricsMap = row.__byOpCo?.[opco];
+        if (!metricsMap) return;
+        const out = { [levelName]: row.name, OpCo: opco };
+        metrics.forEach((m) => { out[m] = metricsMap[m]; });
+        addCompare(out, row.__compare?.[opco]);
+        if (variance) {
+          const v = row.__variance?.[opco];
+          const [reference, diff, pctDiff] = varianceColumns;
+          out[reference] = v?.reference;
+          out[diff] = v?.diff;
+          out[pctDiff] = v?.pctDiff;
+        }
+        addTarget(out, metricsMap[targetMetric], row.__target?.[opco]);
+        if (scenario) out[scenarioCols[0]] = row.__sim?.[opco];
+        rows.push(out);
+      });
+    });
+    return { columns: [levelName, 'OpCo', ...metrics, ...compareColumns, ...varianceColumns, ...targetCols, ...scenarioCols], rows };
+  }
+
+  const withOpCo = opcos.length > 0;
+  const rows = chartData.map((row) => {
+    const out = { [levelName]: row.name };
+    if (withOpCo) out.OpCo = selectedOpCo;
+    metrics.forEach((m) => { out[m] = row.__metrics?.[m]; });
+    addCompare(out, row.__compare?.value);
+    addTarget(out, row.__metrics?.[targetMetric], row.__target?.value);
+    if (scenario) out[scenarioCols[0]] = row.__sim?.value;
+    return out;
+  });
+  return { columns: [levelName, ...(withOpCo ? ['OpCo'] : []), ...metrics, ...compareColumns, ...targetCols, ...scenarioCols], rows };
+};
+
+// Leaf rows in their current order, with Margin % computed per row
+export const leafExportTable = (rows, { textColumns, metrics }) => ({
+  columns: [...textColumns.map((c) => c.label), ...metrics],
+  rows: rows.map((row) => {
+    const out = {};
+    textColumns.forEach((c) => { out[c.label] = row[c.key] ?? ''; });
+    metrics.forEach((m) => { out[m] = rowValue(row, m); });
+    return out;
+  }),
+});
+
+/**
+ * The pivot as it is shown: expanded row groups, then the grand total. Row dimensions
+ * become columns, left blank below a group on its subtotal line, and there is a column
+ * per column combination and measure.
+ */
+export const pivotExportTable = (pivot, { rowDims, colDims, values, expanded, labelOf }) => {
+  const dimColumns = rowDims.map(labelOf);
+  const cols = colDims.length ? [...pivot.columns, { key: TOTAL_COLUMN, values: ['Total'] }] : [{ key: TOTAL_COLUMN, values: [] }];
+  const valueColumns = cols.flatMap((c) => values.map((m) => ({ col: c.key, m, name: [...c.values, m].join(' · ') })));
+  const line = (node, labels) => {
+    const out = {};
+    dimColumns.forEach((d, i) => { out[d] = labels[i] ?? ''; });
+    valueColumns.forEach(({ col, m, name }) => { out[name] = pivot.cell(node.key, col)?.[m]; });
+    return out;
+  };
+  return {
+    columns: [...dimColumns, ...valueColumns.map((v) => v.name)],
+    rows: [...visibleRows(pivot.root, expanded).map((node) => line(node, node.path)), line(pivot.root, ['Total'])],
+  };
+};
+
+// Non-finite numbers (Margin % with no revenue) export as blanks
+const cleanValue = (v) => (typeof v === 'number' && !Number.isFinite(v) ? '' : v ?? '');
+
+const cleanRows = ({ columns, rows }) =>
+  rows.map((row) => columns.map((c) => cleanValue(row[c])));
+
+// escapeFormulae: text cells from uploaded data starting with =, +, - or @ get a leading '
+// so they stay text in Excel (on for the dashboard's downloads, opt-in for sku-rollup)
+export const tableCsv = (table, { escapeFormulae = true } = {}) =>
+  Papa.unparse({ fields: table.columns, data: cleanRows(table) }, { escapeFormulae });
+
+export const downloadTableCsv = (table, filename) => downloadText(tableCsv(table), filename);
+
+// SheetJS is loaded on demand, as for workbook imports
+export const downloadTableXlsx = async (table, filename, sheetName = 'Data') => {
+  const XLSX = await import('xlsx');
+  const sheet = XLSX.utils.aoa_to_sheet([table.columns, ...cleanRows(table)]);
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Data');
+  const bytes = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+  downloadBlob(
+    new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    filename
+  );
+};
+
+// ---------- chart images ----------
+
+const HEADER_HEIGHT = 56;
+
+/**
+ * Standalone SVG markup for a rendered chart with a title and breadcrumb on top.
+ * container: the element holding the recharts <svg>.
+ */
+export const chartSvgMarkup = (container, { title, subtitle }) => {
+  const source = container?.querySelector('svg.recharts-surface') || container?.querySelector('svg');
+  if (!source) throw new Error('No chart to export');
+  const width = Math.ceil(source.getBoundingClientRect().width || Number(source.getAttribute('width')) || 800);
+  const height = Math.ceil(source.getBoundingClientRect().height || Number(source.getAttribute('height')) || 400);
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height + HEADER_HEIGHT);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height + HEADER_HEIGHT}`);
+  svg.setAttribute('font-family', FONT);
+
+  const bg = document.createElementNS(SVG_NS, 'rect');
+  bg.setAttribute('width', '100%');
+  bg.setAttribute('height', '100%');
+  bg.setAttribute('fill', '#ffffff');
+  svg.appendChild(bg);
+
+  const addText = (text, y, size, weight, fill) => {
+    const el = document.createElementNS(SVG_NS, 'text');
+    el.setAttribute('x', 16);
+    el.setAttribute('y', y);
+    el.setAttribute('font-size', size);
+    el.setAttribute('font-weight', weight);
+    el.setAttribute('fill', fill);
+    el.textContent = text;
+    svg.appendChild(el);
+  };
+  addText(title, 24, 18, 600, '#1f2937');
+  if (subtitle) addText(subtitle, 44, 12, 400, '#6b7280');
+
+  const chart = source.cloneNode(true);
+  chart.setAttribute('x', 0);
+  chart.setAttribute('y', HEADER_HEIGHT);
+  chart.setAttribute('width', width);
+  chart.setAttribute('height', height);
+  chart.removeAttribute('style');
+  svg.appendChild(chart);
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height: height + HEADER_HEIGHT };
+};
+
+export const downloadChartSvg = (container, header, filename) => {
+  const { markup } = chartSvgMarkup(container, header);
+  downloadText(markup, filename, 'image/svg+xml;charset=utf-8');
+};
+
+// Rasterize through an <img>; scale 2 keeps text sharp on high-DPI screens
+export const downloadChartPng = (container, header, filename, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const { markup, width, height } = chartSvgMarkup(container, header);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('Could not render PNG'));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render PNG'));
+    };
+    img.src = url;
+  });
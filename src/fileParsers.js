@@ -0,0 +1,97 @@
+// Non-CSV inputs (.xlsx/.xls, .json, .ndjson) converted to the same shape Papa.parse
+// produces: { data: [{ header: 'string value' }], errors: [], meta: { fields } }.
+// Values become trimmed strings so the normalizer treats every source alike.
+
+export const detectFormat = (name) => {
+  const ext = String(name || '')
+    .split(/[?#]/)[0]
+    .split('.')
+    .pop()
+    .toLowerCase();
+  if (ext === 'xlsx' || ext === 'xls' || ext === 'xlsm') return 'xlsx';
+  if (ext === 'json') return 'json';
+  if (ext === 'ndjson' || ext === 'jsonl') return 'ndjson';
+  return 'csv';
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const cellToString = (v) => {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) return '';
+    return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+  }
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v).trim();
+};
+
+const toResult = (records, errors = []) => {
+  const fields = [];
+  const seen = new Set();
+  records.forEach((r) => {
+    Object.keys(r).forEach((k) => {
+      if (!seen.has(k)) {
+        seen.add(k);
+        fields.push(k);
+      }
+    });
+  });
+  const data = records.map((r) => {
+    const out = {};
+    fields.forEach((f) => { out[f] = cellToString(r[f]); });
+    return out;
+  });
+  return { data, errors, meta: { fields } };
+};
+
+// ---------- Excel ----------
+// SheetJS is loaded on demand; most sessions never open a workbook.
+export const readWorkbook = async (arrayBuffer) => {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
+  const sheets = workbook.SheetNames.map((name) => {
+    const ref = workbook.Sheets[name]?.['!ref'];
+    const rows = ref ? XLSX.utils.decode_range(ref).e.r : 0;
+    return { name, rows };
+  });
+  return { workbook, sheets };
+};
+
+export const sheetToResult = async (workbook, sheetName) => {
+  const XLSX = await import('xlsx');
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new Error(`Sheet "${sheetName}" not found`);
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+  return toResult(records);
+};
+
+// ---------- JSON ----------
+// Accepts an array of objects, or an object wrapping one ({ data: [...] }, { rows: [...] }, ...)
+export const parseJsonText = (text) => {
+  const json = JSON.parse(text);
+  let records = json;
+  if (!Array.isArray(records) && records && typeof records === 'object') {
+    records = Object.values(records).find((v) => Array.isArray(v)) || null;
+  }
+  if (!Array.isArray(records)) throw new Error('JSON must be an array of records');
+  return toResult(records.filter((r) => r && typeof r === 'object' && !Array.isArray(r)));
+};
+
+// One JSON object per line; bad lines are reported like Papa's row errors
+export const parseNdjsonText = (text) => {
+  const records = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      const obj = JSON.parse(trimmed);
+      if (obj && typeof obj === 'object' && !Array.isArray(obj)) records.push(obj);
+      else errors.push({ type: 'FieldMismatch', message: `Line ${i + 1} is not an object` });
+    } catch (err) {
+      errors.push({ type: 'Quotes', message: `Line ${i + 1}: ${err.message}` });
+    }
+  });
+  return toResult(records, errors);
+};
@@ -0,0 +1,94 @@
+import { toNumber, getNum } from './numbers.js';
+
+// Global filters, applied before anything is aggregated so every chart, tooltip and the
+// leaf table see the same rows.
+//   dimensions: { column: { mode: 'include' | 'exclude', values: [string] } }
+//   ranges:     { measure: { min, max } } on the row's own value (either bound optional)
+
+export const EMPTY_FILTERS = { dimensions: {}, ranges: {} };
+
+const hasBound = (v) => v !== undefined && v !== null && v !== '' && Number.isFinite(Number(v));
+
+export const hasFilters = (filters) =>
+  Boolean(filters) &&
+  (Object.values(filters.dimensions || {}).some((d) => d.values.length > 0) ||
+    Object.values(filters.ranges || {}).some((r) => hasBound(r.min) || hasBound(r.max)));
+
+/**
+ * Predicate for rows passing every filter, or null when there are none.
+ * measures: compiled calculated measures, for range filters on them.
+ */
+export const rowFilter = (filters, measures) => {
+  if (!hasFilters(filters)) return null;
+  const dims = Object.entries(filters.dimensions)
+    .filter(([, d]) => d.values.length > 0)
+    .map(([column, d]) => ({ column, include: d.mode !== 'exclude', values: new Set(d.values) }));
+  const ranges = Object.entries(filters.ranges)
+    .filter(([, r]) => hasBound(r.min) || hasBound(r.max))
+    .map(([measure, r]) => ({
+      measure,
+      min: hasBound(r.min) ? Number(r.min) : -Infinity,
+      max: hasBound(r.max) ? Number(r.max) : Infinity,
+    }));
+  const calcNames = measures?.names || [];
+
+  return (row) => {
+    for (const d of dims) {
+      if (d.values.has(String(row[d.column] ?? '')) !== d.include) return false;
+    }
+    let calc = null;
+    for (const r of ranges) {
+      let v;
+      if (r.measure === 'Margin %') {
+        const revenue = getNum(row, ['Revenue', 'revenue']);
+        v = revenue > 0 ? (getNum(row, ['Margin', 'margin']) / revenue) * 100 : NaN;
+      } else if (calcNames.includes(r.measure)) {
+        calc = calc || measures.evaluateRow(row);
+        v = calc[r.measure];
+      } else {
+        v = toNumber(row[r.measure]);
+      }
+      if (!(v >= r.min && v <= r.max)) return false;
+    }
+    return true;
+  };
+};
+
+/**
+ * Chips for the active filters: [{ id, label, remove(filters) -> filters }].
+ * labelOf(column) names a column; formatValue(measure, v) formats a bound.
+ */
+export const filterChips = (filters, { labelOf = (c) => c, formatValue = (_, v) => String(v) } = {}) => {
+  const chips = [];
+  Object.entries(filters.dimensions).forEach(([column, d]) => {
+    if (!d.values.length) return;
+    const shown = d.values.slice(0, 3).map((v) => v || '(blank)').join(', ');
+    const more = d.values.length > 3 ? ` +${d.values.length - 3}` : '';
+    chips.push({
+      id: `dim:${column}`,
+      label: `${labelOf(column)} ${d.mode === 'exclude' ? 'not' : 'is'} ${shown}${more}`,
+      remove: (f) => {
+        const { [column]: _, ...rest } = f.dimensions;
+        return { ...f, dimensions: rest };
+      },
+    });
+  });
+  Object.entries(filters.ranges).forEach(([measure, r]) => {
+    const lo = hasBound(r.min);
+    const hi = hasBound(r.max);
+    if (!lo && !hi) return;
+    let label;
+    if (lo && hi) label = `${formatValue(measure, r.min)} ≤ ${measure} ≤ ${formatValue(measure, r.max)}`;
+    else if (lo) label = `${measure} ≥ ${formatValue(measure, r.min)}`;
+    else label = `${measure} ≤ ${formatValue(measure, r.max)}`;
+    chips.push({
+      id: `range:${measure}`,
+      label,
+      remove: (f) => {
+        const { [measure]: _, ...rest } = f.ranges;
+        return { ...f, ranges: rest };
+      },
+    });
+  });
+  return chips;
+};
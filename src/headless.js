@@ -0,0 +1,126 @@
+import Papa from 'papaparse';
+import { PARSE_OPTIONS, MAPPING_SAMPLE_SIZE, normalizeRows } from './normalize.js';
+import { autoMapping } from './columnMapping.js';
+import { buildRollups, chartRowsFromNode, rowsAtPath, pathKey } from './aggregate.js';
+import { NAME_SORT, drillGroups, placeRows } from './chartOrder.js';
+import { compileMeasures, withRowMeasures } from './measures.js';
+import { sortRows } from './tableRows.js';
+import { defaultHierarchy, isValidHierarchy, levelLabel } from './hierarchy.js';
+import { chartExportTable, leafExportTable } from './exporters.js';
+
+// Headless entry point: parsing, normalization and the drill-down rollups without React
+// or the worker, for scheduled jobs, the command-line tool (bin/sku-rollup.js) and tests.
+// Everything goes through the functions the dashboard itself uses, so a level's rows
+// match its chart and "Data as CSV" export, and the leaf level its SKU table.
+
+export { toNumber, getNum, isNumeric } from './numbers.js';
+export { normHeader, autoMapping } from './columnMapping.js';
+export { PARSE_OPTIONS, normalizeRows } from './normalize.js';
+export { buildRollups, bucketMetrics, chartRowsFromNode, rowsAtPath, pathKey, ALL_OPCOS } from './aggregate.js';
+export { defaultHierarchy, dimensionColumns, levelLabel } from './hierarchy.js';
+export { compileMeasures } from './measures.js';
+export { tableCsv } from './exporters.js';
+
+// CSV text as the worker parses it
+export const parseCsvText = (text) => {
+  const result = Papa.parse(text, PARSE_OPTIONS);
+  return { data: result.data, errors: result.errors, meta: { fields: result.meta.fields || [] } };
+};
+
+/**
+ * CSV text -> the dashboard's dataset ({ rows, metrics, opcos, loadIssues, warning }).
+ * Without a mapping the columns are mapped as the dashboard guesses them.
+ */
+export const loadCsv = (text, { mapping } = {}) => {
+  const parsed = parseCsvText(text);
+  const headers = parsed.meta.fields.filter(Boolean);
+  return normalizeRows(parsed, mapping || autoMapping(headers, parsed.data.slice(0, MAPPING_SAMPLE_SIZE)).mapping);
+};
+
+/**
+ * Chart rows of one drill node, as the drill chart builds them (without comparisons,
+ * targets or scenarios).
+ */
+export const levelRows = (
+  rollups,
+  { drillPath = [], metric, groupByOpCo, selectedOpCo = 'All', sortKey = NAME_SORT, direction = 'asc', topN = 0, measures = null }
+) => {
+  const current = drillGroups(rollups?.[pathKey(drillPath)], {
+    sortKey,
+    direction,
+    selectedOpCo,
+    topN,
+    othersExpanded: false,
+    measures,
+  });
+  const rows = chartRowsFromNode(current.node, { selectedMetric: metric, groupByOpCo, selectedOpCo });
+  rows.forEach((r) => {
+    if (r.name === current.othersName) r.__others = true;
+  });
+  return placeRows(rows, current.order);
+};
+
+/**
+ * The rows of a drill node of a dataset as a { columns, rows } table.
+ * Above the leaf level: one line per group (per group and OpCo when opco is 'All' and
+ * the data has OpCos), as the chart's export. At the leaf level: one line per SKU row,
+ * as the SKU table. measure limits the measure columns to one and sortBy orders the
+ * groups (NAME_SORT or a measure); measures are calculated measure definitions and
+ * sortKeys sort the leaf rows as the table does.
+ * Returns { level, leaf, table }, level being the column grouped by (null at the leaf).
+ */
+export const drillDown = (
+  dataset,
+  { hierarchy, drillPath = [], measure, opco = 'All', measures = [], sortBy, direction, topN, sortKeys = [] } = {}
+) => {
+  const levels = hierarchy?.length ? hierarchy : defaultHierarchy(dataset.rows);
+  if (!isValidHierarchy(levels, dataset.rows)) throw new Error(`Not every level of ${levels.join(', ')} is a text column`);
+  const compiled = measures.length ? compileMeasures(measures, dataset.metrics) : null;
+  const allMetrics = [...dataset.metrics, ...(compiled?.names || [])];
+  // measure names as typed on a command line: any case
+  const measureNamed = (name) => {
+    if (!name || name === NAME_SORT) return name;
+    const found = allMetrics.find((m) => m.toLowerCase() === name.toLowerCase());
+    if (!found) throw new Error(`Unknown measure "${name}"; expected one of ${allMetrics.join(', ')}`);
+    return found;
+  };
+  const metric = measureNamed(measure);
+  const sortKey = measureNamed(sortBy);
+  if (opco !== 'All' && !dataset.opcos.includes(opco)) throw new Error(`Unknown OpCo "${opco}"`);
+  const shown = metric ? [metric] : allMetrics;
+  const groupCol = levels[drillPath.length];
+
+  if (!groupCol) {
+    const rows = sortRows(withRowMeasures(rowsAtPath(dataset.rows, { hierarchy: levels, drillPath, selectedOpCo: opco }), compiled), sortKeys);
+    const textColumns = [
+      { key: 'sku_code', label: 'SKU Code' },
+      { key: 'sku_description', label: 'Description' },
+      ...levels.slice(0, -1).map((col) => ({ key: col, label: levelLabel(col) })),
+    ];
+    if (dataset.opcos.length > 0 && !levels.includes('opco')) textColumns.push({ key: 'opco', label: 'OpCo' });
+    if (!rows.length) throw new Error(`No rows under ${drillPath.join(' › ')}`);
+    return { level: null, leaf: true, table: leafExportTable(rows, { textColumns, metrics: shown }) };
+  }
+
+  const rollups = buildRollups(dataset.rows, { hierarchy: levels, metrics: dataset.metrics, measures: compiled });
+  if (!rollups[pathKey(drillPath)]) throw new Error(`No rows under ${drillPath.join(' › ') || 'the top level'}`);
+  const groupByOpCo = opco === 'All' && dataset.opcos.length > 0 && !levels.includes('opco');
+  const rows = levelRows(rollups, {
+    drillPath,
+    metric: metric || allMetrics[0],
+    groupByOpCo,
+    selectedOpCo: opco,
+    sortKey,
+    direction,
+    topN,
+    measures: compiled,
+  });
+  const table = chartExportTable(rows, {
+    levelName: levelLabel(groupCol),
+    metrics: shown,
+    opcos: dataset.opcos,
+    groupByOpCo,
+    selectedOpCo: opco,
+  });
+  return { level: groupCol, leaf: false, table };
+};
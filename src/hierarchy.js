@@ -0,0 +1,58 @@
+// Drill hierarchy helpers. A hierarchy is an ordered list of column names,
+// e.g. ['category', 'sub_category', 'item'] or ['region', 'opco', 'brand'].
+
+export const DEFAULT_HIERARCHY = ['category', 'sub_category', 'item'];
+
+// Columns that never make sense as a drill level
+const NON_LEVEL_COLUMNS = ['sku_code', 'sku_description'];
+
+// Text columns seen in the first rows (a blank first row shouldn't hide a column)
+export const dimensionColumns = (rows, sampleSize = 200) => {
+  const cols = new Set();
+  const numeric = new Set();
+  rows.slice(0, sampleSize).forEach((r) => {
+    Object.keys(r).forEach((k) => {
+      if (typeof r[k] === 'number') numeric.add(k);
+      else cols.add(k);
+    });
+  });
+  return [...cols].filter((c) => !numeric.has(c) && !NON_LEVEL_COLUMNS.includes(c) && c !== '');
+};
+
+export const defaultHierarchy = (rows) => {
+  const dims = dimensionColumns(rows);
+  if (DEFAULT_HIERARCHY.every((c) => dims.includes(c))) return [...DEFAULT_HIERARCHY];
+  const fallback = dims.filter((c) => c !== 'opco').slice(0, 3);
+  return fallback.length ? fallback : dims.slice(0, 1);
+};
+
+// A saved/linked hierarchy is usable only if all of its columns exist
+export const isValidHierarchy = (hierarchy, rows) => {
+  if (!Array.isArray(hierarchy) || hierarchy.length === 0) return false;
+  const dims = dimensionColumns(rows);
+  return hierarchy.every((c) => dims.includes(c));
+};
+
+const LABELS = {
+  category: 'Category',
+  sub_category: 'Sub Category',
+  item: 'Item',
+  opco: 'OpCo',
+};
+
+export const levelLabel = (col) =>
+  LABELS[col] ||
+  String(col)
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+
+export const levelLabelPlural = (col) => {
+  const label = levelLabel(col);
+  if (/[^aeiou]y$/i.test(label)) return `${label.slice(0, -1)}ies`;
+  if (/(s|x|ch|sh)$/i.test(label)) return `${label}es`;
+  return `${label}s`;
+};
+
+export const sameHierarchy = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((c, i) => c === b[i]);
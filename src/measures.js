@@ -0,0 +1,206 @@
+import { toNumber, getNum } from './numbers.js';
+
+// User-defined calculated measures.
+//
+// Definition: { name, formula, aggregate: 'before' | 'after', format: 'currency' | 'percent' | 'number' }
+//   aggregate 'before': sum the inputs over the group, then calculate (ratio of sums, like Margin %)
+//   aggregate 'after':  calculate per row, then sum the results
+// Formulas use + - * / and parentheses over numbers and measure names; names with
+// spaces are quoted: revenue / "no of transactions". A formula may use the dataset's
+// measures, Margin % and any measure defined before it.
+
+export const MEASURE_FORMATS = [
+  { id: 'number', label: 'Number' },
+  { id: 'currency', label: 'Currency' },
+  { id: 'percent', label: 'Percent' },
+];
+
+export const AGGREGATE_OPTIONS = [
+  { id: 'before', label: 'Sum inputs, then calculate' },
+  { id: 'after', label: 'Calculate per row, then sum' },
+];
+
+// ---------- parsing ----------
+
+const tokenize = (formula) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|"([^"]*)"|'([^']*)'|([-+*/()]))/y;
+  let pos = 0;
+  while (pos < formula.length) {
+    if (/^\s*$/.test(formula.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(formula);
+    if (!m) throw new Error(`Unexpected "${formula.slice(pos).trim()[0]}" at position ${pos + 1}`);
+    pos = re.lastIndex;
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2] });
+    else if (m[3] !== undefined || m[4] !== undefined) tokens.push({ type: 'name', value: m[3] ?? m[4] });
+    else tokens.push({ type: 'op', value: m[5] });
+  }
+  return tokens;
+};
+
+// expr := term (('+' | '-') term)* ; term := factor (('*' | '/') factor)* ;
+// factor := ('-' | '+') factor | number | name | '(' expr ')'
+const parse = (formula) => {
+  const tokens = tokenize(formula);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === 'op' && peek().value === v;
+
+  const factor = () => {
+    const t = tokens[i++];
+    if (!t) throw new Error('Formula ends too early');
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.type === 'name') return { type: 'ref', name: t.value };
+    if (t.value === '-' || t.value === '+') return { type: 'neg', sign: t.value, arg: factor() };
+    if (t.value === '(') {
+      const inner = expr();
+      if (!isOp(')')) throw new Error('Missing ")"');
+      i++;
+      return inner;
+    }
+    throw new Error(`Unexpected "${t.value}"`);
+  };
+  const term = () => {
+    let node = factor();
+    while (isOp('*') || isOp('/')) node = { type: 'bin', op: tokens[i++].value, left: node, right: factor() };
+    return node;
+  };
+  const expr = () => {
+    let node = term();
+    while (isOp('+') || isOp('-')) node = { type: 'bin', op: tokens[i++].value, left: node, right: term() };
+    return node;
+  };
+
+  if (tokens.length === 0) throw new Error('Formula is empty');
+  const ast = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}"`);
+  return ast;
+};
+
+const normName = (x) => String(x || '').toLowerCase().replace(/[\s_]+/g, '');
+
+// Exact name first, then ignoring case, spaces and underscores
+const resolveName = (name, names) =>
+  names.find((n) => n === name) || names.find((n) => normName(n) === normName(name)) || null;
+
+const references = (ast, out = []) => {
+  if (ast.type === 'ref') out.push(ast.name);
+  if (ast.type === 'neg') references(ast.arg, out);
+  if (ast.type === 'bin') {
+    references(ast.left, out);
+    references(ast.right, out);
+  }
+  return out;
+};
+
+// ast -> (lookup(name) => number) => number; names already resolved
+const compileAst = (ast) => {
+  if (ast.type === 'num') return () => ast.value;
+  if (ast.type === 'ref') return (get) => get(ast.name);
+  if (ast.type === 'neg') {
+    const arg = compileAst(ast.arg);
+    return ast.sign === '-' ? (get) => -arg(get) : arg;
+  }
+  const left = compileAst(ast.left);
+  const right = compileAst(ast.right);
+  if (ast.op === '+') return (get) => left(get) + right(get);
+  if (ast.op === '-') return (get) => left(get) - right(get);
+  if (ast.op === '*') return (get) => left(get) * right(get);
+  return (get) => left(get) / right(get);
+};
+
+const resolveRefs = (ast, names) => {
+  if (ast.type === 'ref') {
+    const resolved = resolveName(ast.name, names);
+    if (!resolved) throw new Error(`Unknown measure "${ast.name}"`);
+    return { ...ast, name: resolved };
+  }
+  if (ast.type === 'neg') return { ...ast, arg: resolveRefs(ast.arg, names) };
+  if (ast.type === 'bin') return { ...ast, left: resolveRefs(ast.left, names), right: resolveRefs(ast.right, names) };
+  return ast;
+};
+
+/**
+ * Problem with a definition, or null when it is usable.
+ * names: the measures it may refer to (dataset measures plus earlier definitions).
+ * taken: names it must not reuse.
+ */
+export const validateMeasure = (definition, names, taken = names) => {
+  const name = String(definition.name || '').trim();
+  if (!name) return 'Give the measure a name';
+  if (taken.some((n) => normName(n) === normName(name))) return `"${name}" is already a measure`;
+  try {
+    const ast = resolveRefs(parse(String(definition.formula || '')), names);
+    if (references(ast).length === 0) return 'The formula must use at least one measure';
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+};
+
+// ---------- evaluation ----------
+
+const finite = (v) => (Number.isFinite(v) ? v : NaN);
+
+/**
+ * Compile definitions against the dataset's measures. Invalid definitions are skipped.
+ * Returns {
+ *   names,                        calculated measure names in order
+ *   perRow:  [name],              'after' measures, summed into bucket sums
+ *   evaluateRow(row)    -> { name: value } for every measure (row level)
+ *   evaluateBucket(map) -> { name: value } for 'before' measures, from a bucket's metrics
+ *   formats: { name: format }
+ * }
+ */
+export const compileMeasures = (definitions = [], baseMetrics = []) => {
+  const compiled = [];
+  const known = [...baseMetrics];
+  definitions.forEach((def) => {
+    if (validateMeasure(def, known, known)) return;
+    const ast = resolveRefs(parse(def.formula), known);
+    compiled.push({ ...def, name: def.name.trim(), fn: compileAst(ast) });
+    known.push(def.name.trim());
+  });
+
+  const rowMarginPct = (row) => {
+    const r = getNum(row, ['Revenue', 'revenue']);
+    return r > 0 ? (getNum(row, ['Margin', 'margin']) / r) * 100 : NaN;
+  };
+
+  const evaluateRow = (row) => {
+    const out = {};
+    const get = (name) => {
+      if (name in out) return out[name];
+      if (name === 'Margin %') return rowMarginPct(row);
+      return toNumber(row[name]);
+    };
+    compiled.forEach((m) => { out[m.name] = finite(m.fn(get)); });
+    return out;
+  };
+
+  const evaluateBucket = (metricsMap) => {
+    const out = {};
+    const get = (name) => (name in out ? out[name] : Number(metricsMap[name] ?? 0));
+    compiled.forEach((m) => {
+      if (m.aggregate === 'after') return;
+      out[m.name] = finite(m.fn(get));
+    });
+    return out;
+  };
+
+  return {
+    names: compiled.map((m) => m.name),
+    perRow: compiled.filter((m) => m.aggregate === 'after').map((m) => m.name),
+    evaluateRow,
+    evaluateBucket,
+    formats: Object.fromEntries(compiled.map((m) => [m.name, m.format || 'number'])),
+  };
+};
+
+// Leaf rows with their calculated values filled in, for the table and exports
+export const withRowMeasures = (rows, measures) => {
+  if (!measures?.names.length) return rows;
+  return rows.map((row) => ({ ...row, ...measures.evaluateRow(row) }));
+};
@@ -0,0 +1,45 @@
+import { rowsAtPath, selectRows } from './aggregate.js';
+import { buildTrend } from './timeSeries.js';
+import { skuPoints } from './scatter.js';
+import { skuPareto } from './pareto.js';
+import { buildPivot, pivotData } from './pivotTable.js';
+import { simulateRows, simulatedNode, scenarioTotals } from './scenarios.js';
+
+// Views that need every row under a drill node rather than its rollup, worked out in the
+// data worker so drilling doesn't filter and aggregate the whole dataset on the main thread.
+//   scope: { hierarchy, drillPath, selectedOpCo } plus the rollup's row selection
+//          (excluded Set, where, range, filters, compiled measures)
+// Results are plain data so they survive postMessage.
+
+export const NODE_VIEWS = {
+  // options as buildTrend
+  trend: (rows, options) => buildTrend(rows, options),
+  // options as skuPoints
+  skuPoints: (rows, options) => skuPoints(rows, options),
+  // options as skuPareto
+  skuPareto: (rows, options) => skuPareto(rows, options),
+  // { rowDims, colDims } -> pivotData
+  pivot: (rows, options) => pivotData(buildPivot(rows, options)),
+  // { scenario, hierarchy, fields, groupCol } -> the scenario's rows grouped like a rollup node
+  simNode: (rows, { scenario, hierarchy, fields, ...options }) =>
+    simulatedNode(simulateRows(rows, scenario, { hierarchy, fields }).rows, options),
+  // { scenarios, hierarchy, fields } -> [{ name, totals }], actuals (name null) first
+  scenarioTotals: (rows, { scenarios, hierarchy, fields, ...options }) => [
+    { name: null, totals: scenarioTotals(rows, options) },
+    ...scenarios.map((s) => ({
+      name: s.name,
+      totals: scenarioTotals(simulateRows(rows, s, { hierarchy, fields }).rows, options),
+    })),
+  ],
+};
+
+// The rows a view works on: the rollup's selection, then the drill node and OpCo
+export const nodeRows = (rows, { hierarchy, drillPath, selectedOpCo, ...selection }) =>
+  rowsAtPath(selectRows(rows, selection), { hierarchy, drillPath, selectedOpCo });
+
+// options: the view's settings plus the dataset's metrics and the compiled measures
+export const nodeView = (rows, view, options) => {
+  const build = NODE_VIEWS[view];
+  if (!build) throw new Error(`Unknown view "${view}"`);
+  return build(rows, options);
+};
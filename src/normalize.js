@@ -0,0 +1,56 @@
+import { applyMapping } from './columnMapping.js';
+import { dimensionColumns } from './hierarchy.js';
+import { findNonNumericCells, parseErrorRows } from './dataQuality.js';
+
+// Papa.parse settings shared by every CSV/TSV source
+export const PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: false,
+  delimitersToGuess: ['\t', ',', ';', '|'],
+  transform: (v) => (typeof v === 'string' ? v.trim() : v),
+};
+
+// Rows the column mapping is guessed from
+export const MAPPING_SAMPLE_SIZE = 200;
+
+export const DEFAULT_METRICS = ['Margin', 'Revenue', 'Cost', 'No of Transactions'];
+
+/**
+ * Turn parsed rows into the dashboard's dataset.
+ * Returns { rows, metrics, opcos, loadIssues, warning }.
+ */
+export const normalizeRows = ({ data: rows, errors }, mapping) => {
+  if (!rows || rows.length === 0) throw new Error('No rows found in file');
+
+  const norm = (x) => String(x || '').toLowerCase().replace(/\s+|_/g, '');
+
+  const normalized = applyMapping(rows, mapping);
+
+  // Rows missing a drill level are left out later, once the hierarchy is known
+  if (dimensionColumns(normalized).length === 0) {
+    throw new Error('No text columns to drill by (expected e.g. category/sub-category/item)');
+  }
+
+  const sample = normalized[0];
+  const numericCols = Object.keys(sample).filter((k) => typeof sample[k] === 'number');
+
+  const hasMargin = Object.keys(sample).some((k) => norm(k) === 'margin');
+  const hasRevenue = Object.keys(sample).some((k) => norm(k) === 'revenue');
+
+  const metrics = [...numericCols];
+  if (hasMargin && hasRevenue && !metrics.includes('Margin %')) metrics.push('Margin %');
+
+  const uniqueOpCos = [...new Set(normalized.map((r) => r.opco).filter(Boolean))].sort();
+
+  return {
+    rows: normalized,
+    metrics: metrics.length ? metrics : DEFAULT_METRICS,
+    opcos: uniqueOpCos,
+    loadIssues: {
+      nonNumeric: findNonNumericCells(rows, mapping),
+      parseErrors: parseErrorRows(errors),
+    },
+    warning: errors?.length ? `Parse warning: ${errors[0].message}` : '',
+  };
+};
@@ -0,0 +1,29 @@
+// Lenient numeric parsing for spreadsheet exports: "1,234", "12.5k", "3m", "1b"
+export const toNumber = (v) => {
+  if (v === null || v === undefined) return 0;
+  const s = String(v).trim().toLowerCase().replace(/,/g, '');
+  const m = s.match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!m) return Number(s) || 0;
+  const mult = { k: 1e3, m: 1e6, b: 1e9 }[(m[2] || '').toLowerCase()] || 1;
+  return parseFloat(m[1]) * mult;
+};
+
+// true when toNumber would read a real number rather than fall back to 0
+export const isNumeric = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v);
+  const s = String(v ?? '').trim().toLowerCase().replace(/,/g, '');
+  if (s === '') return false;
+  return /^(-?\d+(?:\.\d+)?)([kmb])?$/i.test(s) || Number.isFinite(Number(s));
+};
+
+// First field whose name matches one of the candidates, ignoring case, spaces and underscores
+export const getNum = (obj, candidates) => {
+  const norm = (x) => x.toLowerCase().replace(/\s+|_/g, '');
+  const keys = Object.keys(obj);
+  for (const key of keys) {
+    if (candidates.some((c) => norm(c) === norm(key))) {
+      return toNumber(obj[key]);
+    }
+  }
+  return 0;
+};
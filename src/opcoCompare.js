@@ -0,0 +1,73 @@
+import { newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+
+// Cross-OpCo comparison: each OpCo against the group average or a benchmark OpCo, and a
+// per-SKU pivot with one column per OpCo to find the same SKU priced or costed differently.
+
+export const GROUP_AVERAGE = '__average__';
+export const SPREAD = 'Spread';
+export const SPREAD_PCT = 'Spread %';
+
+/**
+ * Grouped chart rows -> the same rows with each OpCo's value replaced by its difference from
+ * the reference: the mean over `opcos` that have a value, or the benchmark OpCo's value.
+ * __variance[opco] = { value, reference, diff, pctDiff } keeps the originals for the tooltip.
+ */
+export const opcoVarianceRows = (rows, { opcos, against }) =>
+  rows.map((row) => {
+    const values = opcos.map((op) => Number(row[op])).filter(Number.isFinite);
+    const reference =
+      against === GROUP_AVERAGE
+        ? values.length
+          ? values.reduce((a, v) => a + v, 0) / values.length
+          : NaN
+        : Number(row[against]);
+    const out = { ...row, __variance: {} };
+    opcos.forEach((op) => {
+      const value = Number(row[op]);
+      if (!Number.isFinite(value)) return;
+      const diff = Number.isFinite(reference) ? value - reference : NaN;
+      out[op] = diff;
+      out.__variance[op] = { value, reference, diff, pctDiff: reference ? (diff / Math.abs(reference)) * 100 : NaN };
+    });
+    return out;
+  });
+
+/**
+ * One row per SKU: { sku_code, sku_description, [opco]: value, Spread, Spread % } where the
+ * spread is max - min over the OpCos carrying the SKU, and Spread % is that over the min.
+ * points: scatter.skuPoints output (one per SKU and OpCo).
+ */
+export const opcoPivot = (points, { metric, opcos }) => {
+  const bySku = new Map();
+  points.forEach((p) => {
+    if (!opcos.includes(p.opco)) return;
+    const v = p.__metrics[metric];
+    if (!Number.isFinite(v)) return;
+    let row = bySku.get(p.sku_code);
+    if (!row) {
+      row = { sku_code: p.sku_code, sku_description: p.description };
+      bySku.set(p.sku_code, row);
+    }
+    row[p.opco] = v;
+  });
+  return [...bySku.values()].map((row) => {
+    const values = opcos.map((op) => row[op]).filter(Number.isFinite);
+    const min = Math.min(...values);
+    const spread = values.length > 1 ? Math.max(...values) - min : NaN;
+    return { ...row, [SPREAD]: spread, [SPREAD_PCT]: min ? (spread / Math.abs(min)) * 100 : NaN };
+  });
+};
+
+// Totals row for the pivot: the measure per OpCo over the rows of the SKUs shown
+export const opcoPivotTotals = (rows, skuCodes, { metric, opcos, metrics, measures }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const codes = new Set(skuCodes);
+  const buckets = {};
+  rows.forEach((row) => {
+    if (!codes.has(row.sku_code) || !opcos.includes(row.opco)) return;
+    addRow(buckets[row.opco] || (buckets[row.opco] = newBucket()), row, sumMetrics, rowCalcFor(row, measures));
+  });
+  return Object.fromEntries(
+    Object.entries(buckets).map(([op, agg]) => [op, bucketMetrics(finishBucket(agg, measures))[metric]])
+  );
+};
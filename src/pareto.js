@@ -0,0 +1,91 @@
+import { newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+
+// Pareto / ABC analysis: rank items by a summed measure, accumulate their share of the
+// total, and class them A/B/C at configurable cumulative-share thresholds.
+// Tail SKUs are low-volume and loss-making: delisting candidates.
+
+export const DEFAULT_ABC = { a: 80, b: 15 }; // C is the rest
+export const DEFAULT_TAIL_PERCENTILE = 20;
+
+const VOLUME_NAMES = /transaction|qty|quantity|units|volume/i;
+
+// The measure that stands for volume: a count-like column, else revenue
+export const volumeMetric = (metrics) =>
+  metrics.find((m) => VOLUME_NAMES.test(m)) || metrics.find((m) => /revenue/i.test(m)) || null;
+
+/**
+ * items: [{ name, value, ... }] -> same items ranked by value (largest first) with
+ * rank, share and cumShare (% of the positive total) and abc class.
+ * Items with no positive value contribute nothing and are class C.
+ */
+export const rankPareto = (items, { a, b } = DEFAULT_ABC) => {
+  const ranked = items
+    .filter((it) => Number.isFinite(it.value))
+    .sort((x, y) => y.value - x.value);
+  const total = ranked.reduce((acc, it) => acc + (it.value > 0 ? it.value : 0), 0);
+  let running = 0;
+  return ranked.map((it, i) => {
+    const before = total > 0 ? (running / total) * 100 : 100;
+    const share = total > 0 && it.value > 0 ? (it.value / total) * 100 : 0;
+    running += it.value > 0 ? it.value : 0;
+    let abc = 'C';
+    if (it.value > 0 && before < a) abc = 'A';
+    else if (it.value > 0 && before < a + b) abc = 'B';
+    return { ...it, rank: i + 1, share, cumShare: total > 0 ? (running / total) * 100 : 0, abc };
+  });
+};
+
+/**
+ * Per-SKU totals (by sku_code) with the selected measure's value, ranked and classed.
+ * Returns { ranked, bySku: Map(sku_code -> { abc, rank, cumShare, tail }) }.
+ * tail: volume in the bottom tailPercentile % of SKUs and negative margin.
+ */
+export const skuPareto = (rows, { metric, metrics, measures, thresholds = DEFAULT_ABC, tailPercentile = DEFAULT_TAIL_PERCENTILE }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const skus = new Map();
+  rows.forEach((row) => {
+    const code = row.sku_code;
+    if (!code) return;
+    let entry = skus.get(code);
+    if (!entry) {
+      entry = { name: code, description: row.sku_description || '', bucket: newBucket() };
+      skus.set(code, entry);
+    }
+    addRow(entry.bucket, row, sumMetrics, rowCalcFor(row, measures));
+  });
+
+  const volume = volumeMetric(metrics);
+  const items = [...skus.values()].map((entry) => {
+    const metricsMap = bucketMetrics(finishBucket(entry.bucket, measures));
+    return {
+      name: entry.name,
+      description: entry.description,
+      value: metricsMap[metric],
+      volume: volume ? metricsMap[volume] || 0 : 0,
+      margin: entry.bucket.marginSum,
+      __metrics: metricsMap,
+    };
+  });
+
+  const volumes = items.map((it) => it.volume).sort((x, y) => x - y);
+  const cutoff = volumes.length ? volumes[Math.max(0, Math.ceil((volumes.length * tailPercentile) / 100) - 1)] : 0;
+  const isTail = (it) => Boolean(volume) && it.volume <= cutoff && it.margin < 0;
+
+  const ranked = rankPareto(items, thresholds).map((it) => ({ ...it, tail: isTail(it) }));
+  // items without a usable value (e.g. Margin % with no revenue) still need a class
+  const bySku = new Map(ranked.map((it) => [it.name, it]));
+  items.forEach((it) => {
+    if (!bySku.has(it.name)) bySku.set(it.name, { ...it, abc: 'C', rank: null, cumShare: null, tail: isTail(it) });
+  });
+  return { ranked, bySku, volumeMetric: volume };
+};
+
+// Class counts and their share of the total value
+export const abcSummary = (ranked) => {
+  const out = { A: { count: 0, share: 0 }, B: { count: 0, share: 0 }, C: { count: 0, share: 0 } };
+  ranked.forEach((it) => {
+    out[it.abc].count += 1;
+    out[it.abc].share += it.share;
+  });
+  return out;
+};
@@ -0,0 +1,137 @@
+import { newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+
+// Free-form pivot: any dimension columns on rows and columns, any measures as values.
+// Every row group (and the grand total) is aggregated per column combination and in a
+// total column, with Margin % and calculated measures from the bucket sums as in the
+// rollups, so subtotals are ratios of sums rather than sums of ratios.
+//   node: { key, path, label, depth, children: [node] } where key joins the path's row values
+
+export const TOTAL_COLUMN = '\u0001total';
+export const MAX_PIVOT_COLUMNS = 200;
+
+const BLANK = '(blank)';
+const SEP = '\u0000';
+const collator = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+const valueOf = (row, col) => String(row[col] ?? '') || BLANK;
+const cellId = (rowKey, colKey) => `${rowKey}\u0002${colKey}`;
+
+/**
+ * rows -> { root, columns: [{ key, values }], truncated, cell(rowKey, colKey) -> metrics | null }.
+ * Only the first MAX_PIVOT_COLUMNS column combinations are kept (truncated is then true);
+ * the total column still covers every row.
+ */
+export const buildPivot = (rows, { rowDims, colDims, metrics, measures }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const buckets = new Map();
+  const columns = new Map();
+  const root = { key: '', path: [], label: 'Total', depth: 0, children: new Map() };
+
+  const add = (rowKey, colKey, row, rowCalc) => {
+    const id = cellId(rowKey, colKey);
+    let agg = buckets.get(id);
+    if (!agg) buckets.set(id, (agg = newBucket()));
+    addRow(agg, row, sumMetrics, rowCalc);
+  };
+
+  rows.forEach((row) => {
+    const colValues = colDims.map((c) => valueOf(row, c));
+    const colKey = colValues.join(SEP);
+    if (colDims.length && !columns.has(colKey)) columns.set(colKey, colValues);
+    const rowCalc = rowCalcFor(row, measures);
+
+    let node = root;
+    for (let d = 0; d <= rowDims.length; d++) {
+      if (d > 0) {
+        const v = valueOf(row, rowDims[d - 1]);
+        let child = node.children.get(v);
+        if (!child) {
+          const path = [...node.path, v];
+          child = { key: path.join(SEP), path, label: v, depth: d, children: new Map() };
+          node.children.set(v, child);
+        }
+        node = child;
+      }
+      if (colDims.length) add(node.key, colKey, row, rowCalc);
+      add(node.key, TOTAL_COLUMN, row, rowCalc);
+    }
+  });
+
+  const finish = (node) => ({
+    ...node,
+    children: [...node.children.values()].sort((a, b) => collator(a.label, b.label)).map(finish),
+  });
+
+  const compareValues = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      const c = collator(a[i], b[i]);
+      if (c) return c;
+    }
+    return 0;
+  };
+  const sortedColumns = [...columns.entries()]
+    .map(([key, values]) => ({ key, values }))
+    .sort((a, b) => compareValues(a.values, b.values));
+
+  const done = new Map();
+  const cell = (rowKey, colKey) => {
+    const id = cellId(rowKey, colKey);
+    if (!done.has(id)) {
+      const agg = buckets.get(id);
+      done.set(id, agg ? bucketMetrics(finishBucket(agg, measures)) : null);
+    }
+    return done.get(id);
+  };
+
+  return {
+    root: finish(root),
+    columns: sortedColumns.slice(0, MAX_PIVOT_COLUMNS),
+    truncated: sortedColumns.length > MAX_PIVOT_COLUMNS,
+    cell,
+  };
+};
+
+// The pivot as plain data (every cell worked out) so it can come back from the data worker
+export const pivotData = ({ root, columns, truncated, cell }) => {
+  const colKeys = [...columns.map((c) => c.key), TOTAL_COLUMN];
+  const cells = {};
+  const walk = (node) => {
+    colKeys.forEach((colKey) => {
+      cells[cellId(node.key, colKey)] = cell(node.key, colKey);
+    });
+    node.children.forEach(walk);
+  };
+  walk(root);
+  return { root, columns, truncated, cells };
+};
+
+// pivotData's result with cell() back
+export const pivotFromData = ({ cells, ...pivot }) => ({
+  ...pivot,
+  cell: (rowKey, colKey) => cells[cellId(rowKey, colKey)] ?? null,
+});
+
+// Row nodes in display order: a group is followed by its children while it is expanded
+export const visibleRows = (root, expanded) => {
+  const out = [];
+  const walk = (node) =>
+    node.children.forEach((child) => {
+      out.push(child);
+      if (child.children.length && expanded.has(child.key)) walk(child);
+    });
+  walk(root);
+  return out;
+};
+
+// Keys of every row node with children, for "Expand all"
+export const groupKeys = (root) => {
+  const keys = [];
+  const walk = (node) =>
+    node.children.forEach((child) => {
+      if (child.children.length) {
+        keys.push(child.key);
+        walk(child);
+      }
+    });
+  walk(root);
+  return keys;
+};
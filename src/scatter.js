@@ -0,0 +1,70 @@
+import { newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+
+// SKU points for the scatter view, plus the geometry behind its axes, quadrants and lasso.
+
+// Same key for a point and for the table rows it stands for
+export const pointId = (row) => `${row.opco || ''}\u0000${row.sku_code}`;
+
+/**
+ * One point per SKU and OpCo in rows: { id, sku_code, description, opco, __metrics, __byOpCo: {} }.
+ * Margin % and 'before' calculated measures are ratios of the SKU's sums. levels: columns
+ * (e.g. the drill hierarchy) copied onto each point from the SKU's first row.
+ */
+export const skuPoints = (rows, { metrics, measures, levels = [] }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const points = new Map();
+  rows.forEach((row) => {
+    if (!row.sku_code) return;
+    const id = pointId(row);
+    let entry = points.get(id);
+    if (!entry) {
+      entry = { id, sku_code: row.sku_code, description: row.sku_description || '', opco: row.opco || '', bucket: newBucket() };
+      levels.forEach((col) => {
+        if (!(col in entry)) entry[col] = row[col];
+      });
+      points.set(id, entry);
+    }
+    addRow(entry.bucket, row, sumMetrics, rowCalcFor(row, measures));
+  });
+  return [...points.values()].map(({ bucket, ...point }) => ({
+    ...point,
+    __metrics: bucketMetrics(finishBucket(bucket, measures)),
+    __byOpCo: {},
+  }));
+};
+
+// Round axis bounds and about `count` ticks between them
+export const niceTicks = (min, max, count = 5) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return { min: 0, max: 1, ticks: [0, 1] };
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    min -= pad;
+    max += pad;
+  }
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw) || 10 * mag;
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let t = lo; t <= hi + step / 2; t += step) ticks.push(Number(t.toPrecision(12)));
+  return { min: lo, max: hi, ticks };
+};
+
+export const median = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Ray casting; polygon: [[x, y], ...]
+export const pointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
@@ -0,0 +1,169 @@
+import { buildRollups, newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+import { toNumber } from './numbers.js';
+import { volumeMetric } from './pareto.js';
+
+// What-if scenarios: price, cost and volume changes on hierarchy nodes or SKUs, applied
+// row by row so everything downstream (rollups, calculated measures, tables) just sees
+// different numbers.
+//   scenario: { name, changes: [change] }
+//   change:   { path: [level values] } or { skus: [sku_code] },
+//             plus { lever: 'price' | 'cost' | 'volume', mode: 'pct' | 'abs', amount }
+// With a volume column price and cost are per unit: revenue = price × volume and
+// cost = unit cost × volume, so a volume change moves both. Absolute price and cost
+// changes are per unit; an absolute volume change is spread over the rows it covers in
+// proportion to their volume. Without a volume column only percentage changes apply.
+// Rows with a volume of 0 take only percentage price and cost changes.
+// Changes are applied in list order, so two changes on the same rows compound.
+
+export const LEVERS = [
+  { id: 'price', label: 'Price' },
+  { id: 'cost', label: 'Cost' },
+  { id: 'volume', label: 'Volume' },
+];
+
+export const SIM_PREFIX = 'Sim ';
+
+/**
+ * The columns a scenario works on: { revenue, cost, margin, volume }, each a measure name or
+ * null. Cost falls back to revenue - margin and margin to revenue - cost.
+ */
+export const scenarioFields = (metrics) => {
+  const find = (re) => metrics.find((m) => re.test(m)) || null;
+  const revenue = find(/^revenue$/i);
+  const volume = volumeMetric(metrics);
+  return {
+    revenue,
+    cost: find(/^cost$/i),
+    margin: find(/^margin$/i),
+    volume: volume && volume !== revenue ? volume : null,
+  };
+};
+
+// The measures a scenario changes, in display order: Revenue, Cost, Margin, Margin %
+export const simulatedMetrics = (fields) => [
+  ...[fields.revenue, fields.cost, fields.margin].filter(Boolean),
+  ...(fields.revenue && fields.margin ? ['Margin %'] : []),
+];
+
+export const changeLabel = (change, { levelLabel }) => {
+  const lever = LEVERS.find((l) => l.id === change.lever)?.label || change.lever;
+  const sign = change.amount > 0 ? '+' : '';
+  const unit = change.lever === 'volume' ? ' units' : ' per unit';
+  const amount = `${sign}${change.amount}${change.mode === 'pct' ? '%' : unit}`;
+  const scope = change.skus
+    ? `SKU ${change.skus.join(', ')}`
+    : change.path.length
+    ? `${levelLabel(change.path.length - 1)} ${change.path.join(' › ')}`
+    : 'Everything';
+  return `${lever} ${amount} · ${scope}`;
+};
+
+const matcher = (change, hierarchy) => {
+  if (change.skus) {
+    const codes = new Set(change.skus.map(String));
+    return (row) => codes.has(String(row.sku_code ?? ''));
+  }
+  return (row) => change.path.every((v, i) => row[hierarchy[i]] === v);
+};
+
+/**
+ * Rows with the scenario applied to the revenue, cost, margin and volume columns.
+ * Returns { rows, skipped } where skipped counts changes that could not apply (absolute
+ * changes without a volume column).
+ */
+export const simulateRows = (rows, scenario, { hierarchy, fields }) => {
+  const { revenue, cost, margin, volume } = fields;
+  if (!scenario?.changes.length || !revenue) return { rows, skipped: 0 };
+  const changes = scenario.changes
+    .filter((c) => Number.isFinite(Number(c.amount)) && (c.mode === 'pct' || volume))
+    .map((c) => ({ ...c, amount: Number(c.amount), applies: matcher(c, hierarchy) }));
+  const skipped = scenario.changes.length - changes.length;
+
+  // absolute volume changes are shared out by volume
+  changes
+    .filter((c) => c.lever === 'volume' && c.mode === 'abs')
+    .forEach((c) => {
+      c.totalVolume = rows.reduce((acc, r) => acc + (c.applies(r) ? toNumber(r[volume]) || 0 : 0), 0);
+    });
+
+  const out = rows.map((row) => {
+    const mine = changes.filter((c) => c.applies(row));
+    if (!mine.length) return row;
+    const r = toNumber(row[revenue]) || 0;
+    const m = margin ? toNumber(row[margin]) || 0 : null;
+    const c = cost ? toNumber(row[cost]) || 0 : r - (m ?? r);
+    const v = volume ? toNumber(row[volume]) || 0 : 0;
+
+    let price = v > 0 ? r / v : r; // without volume, "price" and "unit cost" are the totals
+    let unitCost = v > 0 ? c / v : c;
+    let units = v > 0 ? v : 1;
+    // a row that sold nothing has no unit price to change or volume to scale
+    const noUnits = volume && !(v > 0);
+    mine.forEach((ch) => {
+      if (noUnits && (ch.lever === 'volume' || ch.mode === 'abs')) return;
+      const factor = 1 + ch.amount / 100;
+      if (ch.lever === 'price') price = ch.mode === 'pct' ? price * factor : price + ch.amount;
+      else if (ch.lever === 'cost') unitCost = ch.mode === 'pct' ? unitCost * factor : unitCost + ch.amount;
+      else if (ch.mode === 'pct') units *= factor;
+      else if (ch.totalVolume > 0) units += (ch.amount * v) / ch.totalVolume;
+    });
+
+    const next = { ...row, [revenue]: price * units };
+    const nextCost = unitCost * units;
+    if (cost) next[cost] = nextCost;
+    if (margin) next[margin] = next[revenue] - nextCost;
+    if (volume && v > 0) next[volume] = units;
+    return next;
+  });
+  return { rows: out, skipped };
+};
+
+/**
+ * Simulated rows of one drill node grouped like a rollup node:
+ * { child: { opcoKey: bucket } } for the level groupCol.
+ */
+export const simulatedNode = (simRows, { groupCol, metrics, measures }) =>
+  buildRollups(simRows, { hierarchy: [groupCol], metrics, measures })[''] || {};
+
+// Totals of a row set: Revenue, Cost, Margin, Margin % and any calculated measures
+export const scenarioTotals = (rows, { metrics, measures }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const agg = newBucket();
+  rows.forEach((row) => addRow(agg, row, sumMetrics, rowCalcFor(row, measures)));
+  return bucketMetrics(finishBucket(agg, measures));
+};
+
+/**
+ * Leaf rows with "Sim <measure>" columns from the simulated rows (same order) for the
+ * simulated measures.
+ */
+export const withSimColumns = (rows, simRows, { fields, simMetrics }) =>
+  rows.map((row, i) => {
+    const sim = simRows[i];
+    const out = { ...row };
+    simMetrics.forEach((m) => {
+      if (m === 'Margin %') {
+        const r = toNumber(sim[fields.revenue]);
+        out[`${SIM_PREFIX}${m}`] = r > 0 ? (toNumber(sim[fields.margin]) / r) * 100 : NaN;
+      } else {
+        out[`${SIM_PREFIX}${m}`] = toNumber(sim[m]);
+      }
+    });
+    return out;
+  });
+
+// Totals of the "Sim" columns: sums, with Margin % from the simulated sums
+export const simColumnTotals = (rows, { fields, simMetrics }) => {
+  const col = (m) => `${SIM_PREFIX}${m}`;
+  const totals = {};
+  simMetrics
+    .filter((m) => m !== 'Margin %')
+    .forEach((m) => {
+      totals[col(m)] = rows.reduce((acc, r) => acc + (Number.isFinite(r[col(m)]) ? r[col(m)] : 0), 0);
+    });
+  if (simMetrics.includes('Margin %')) {
+    const revenue = totals[col(fields.revenue)];
+    totals[col('Margin %')] = revenue > 0 ? (totals[col(fields.margin)] / revenue) * 100 : NaN;
+  }
+  return totals;
+};
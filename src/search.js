@@ -0,0 +1,106 @@
+import { levelLabel } from './hierarchy.js';
+
+// Jump-to search over the hierarchy nodes (category, sub category, item, ...) and the
+// SKUs under them. Every entry carries the drill path that shows it; SKUs lead to the
+// leaf node holding them.
+//   { id, kind: column | 'sku', label, detail, path, sku_code?, fields: [lowercased text] }
+
+const collator = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Search entries for rows already limited to what can be drilled into (rowsAtPath at the
+ * root), one per distinct hierarchy node and one per SKU and leaf node.
+ */
+export const searchIndex = (rows, hierarchy) => {
+  const entries = new Map();
+  rows.forEach((row) => {
+    const path = [];
+    for (let depth = 0; depth < hierarchy.length; depth++) {
+      const value = String(row[hierarchy[depth]] ?? '');
+      if (!value) return;
+      path.push(value);
+      const id = `${depth}\u0000${path.join('\u0000')}`;
+      if (!entries.has(id)) {
+        entries.set(id, {
+          id,
+          kind: hierarchy[depth],
+          label: value,
+          detail: path.slice(0, -1).join(' › '),
+          path: [...path],
+          fields: [value.toLowerCase()],
+        });
+      }
+    }
+    const code = String(row.sku_code ?? '');
+    if (!code) return;
+    const id = `sku\u0000${code}\u0000${path.join('\u0000')}`;
+    if (entries.has(id)) return;
+    const description = String(row.sku_description ?? '');
+    entries.set(id, {
+      id,
+      kind: 'sku',
+      label: description ? `${code} · ${description}` : code,
+      detail: path.join(' › '),
+      path,
+      sku_code: code,
+      fields: [code.toLowerCase(), description.toLowerCase()],
+    });
+  });
+  return [...entries.values()];
+};
+
+export const kindLabel = (kind) => (kind === 'sku' ? 'SKU' : levelLabel(kind));
+
+const isWordStart = (text, i) => i === 0 || /[\s_\-/.,()]/.test(text[i - 1]);
+
+/**
+ * How well a lowercased token matches text: substrings score highest (more so at the start
+ * or at a word), then in-order subsequences, favouring runs and word starts. -Infinity when
+ * the letters don't all appear in order.
+ */
+export const fuzzyScore = (token, text) => {
+  if (!token) return 0;
+  const at = text.indexOf(token);
+  if (at >= 0) return 100 + (at === 0 ? 50 : isWordStart(text, at) ? 25 : 0) - text.length * 0.1;
+
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (const ch of token) {
+    const i = text.indexOf(ch, ti);
+    if (i < 0) return -Infinity;
+    score += 1 + (i === prev + 1 ? 5 : 0) + (isWordStart(text, i) ? 3 : 0) - Math.min(i - ti, 10) * 0.2;
+    prev = i;
+    ti = i + 1;
+  }
+  return score;
+};
+
+/**
+ * Best entries for a query; every whitespace-separated token has to match one of an
+ * entry's fields. Ties keep higher levels ahead of SKUs, then go alphabetically.
+ */
+export const searchEntries = (entries, query, limit = 50) => {
+  const tokens = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return [];
+  const scored = [];
+  entries.forEach((entry) => {
+    let total = 0;
+    for (const token of tokens) {
+      const best = Math.max(...entry.fields.map((f) => fuzzyScore(token, f)));
+      if (best === -Infinity) return;
+      total += best;
+    }
+    scored.push({ entry, score: total });
+  });
+  return scored
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.entry.kind === 'sku') - (b.entry.kind === 'sku') ||
+        a.entry.path.length - b.entry.path.length ||
+        collator(a.entry.label, b.entry.label)
+    )
+    .slice(0, limit)
+    .map((s) => s.entry);
+};
@@ -0,0 +1,121 @@
+import { getNum } from './numbers.js';
+
+// Filtering, multi-column sorting and totals for the leaf SKU table.
+
+// Per-row value of a column, computing the derived Margin %
+export const rowValue = (row, key) => {
+  if (key === 'Margin %') {
+    const m = getNum(row, ['Margin', 'margin']);
+    const r = getNum(row, ['Revenue', 'revenue']);
+    return r > 0 ? (m / r) * 100 : NaN;
+  }
+  return row[key];
+};
+
+// Numbers before text; non-finite numbers (e.g. Margin % with no revenue) sort first
+const compareValues = (a, b) => {
+  const aNum = typeof a === 'number';
+  const bNum = typeof b === 'number';
+  if (aNum || bNum) {
+    const aOk = aNum && Number.isFinite(a);
+    const bOk = bNum && Number.isFinite(b);
+    if (!aOk && !bOk) return 0;
+    if (!aOk) return -1;
+    if (!bOk) return 1;
+    return a - b;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base', numeric: true });
+};
+
+// sortKeys: [{ key, direction: 'asc' | 'desc' }], first entry wins
+export const sortRows = (rows, sortKeys) => {
+  if (!sortKeys?.length) return rows;
+  return [...rows].sort((x, y) => {
+    for (const { key, direction } of sortKeys) {
+      const c = compareValues(rowValue(x, key), rowValue(y, key));
+      if (c) return direction === 'desc' ? -c : c;
+    }
+    return 0;
+  });
+};
+
+// Plain click sorts by one column (toggling direction); shift-click adds/toggles a secondary key
+export const nextSortKeys = (sortKeys, key, additive) => {
+  const existing = sortKeys.find((s) => s.key === key);
+  if (!additive) {
+    const direction = sortKeys.length === 1 && existing?.direction === 'asc' ? 'desc' : 'asc';
+    return [{ key, direction }];
+  }
+  if (!existing) return [...sortKeys, { key, direction: 'asc' }];
+  if (existing.direction === 'asc') return sortKeys.map((s) => (s.key === key ? { key, direction: 'desc' } : s));
+  return sortKeys.filter((s) => s.key !== key);
+};
+
+// search: over sku_code + sku_description; values: { column: [allowed] }; ranges: { measure: { min, max } }
+export const EMPTY_TABLE_FILTERS = { search: '', values: {}, ranges: {} };
+
+export const hasTableFilters = ({ search, values, ranges }) =>
+  Boolean(search.trim()) ||
+  Object.values(values).some((v) => v?.length) ||
+  Object.values(ranges).some((r) => Number.isFinite(r?.min) || Number.isFinite(r?.max));
+
+export const applyTableFilters = (rows, filters) => {
+  if (!hasTableFilters(filters)) return rows;
+  const q = filters.search.trim().toLowerCase();
+  const valueEntries = Object.entries(filters.values).filter(([, v]) => v?.length);
+  const rangeEntries = Object.entries(filters.ranges).filter(
+    ([, r]) => Number.isFinite(r?.min) || Number.isFinite(r?.max)
+  );
+
+  return rows.filter((row) => {
+    if (
+      q &&
+      !String(row.sku_code ?? '').toLowerCase().includes(q) &&
+      !String(row.sku_description ?? '').toLowerCase().includes(q)
+    ) {
+      return false;
+    }
+    for (const [col, allowed] of valueEntries) {
+      if (!allowed.includes(String(row[col] ?? ''))) return false;
+    }
+    for (const [metric, { min, max }] of rangeEntries) {
+      const v = Number(rowValue(row, metric));
+      if (!Number.isFinite(v)) return false;
+      if (Number.isFinite(min) && v < min) return false;
+      if (Number.isFinite(max) && v > max) return false;
+    }
+    return true;
+  });
+};
+
+// Distinct values per text column, for the multi-select filters
+export const filterOptionsFor = (rows, columns) => {
+  const out = {};
+  columns.forEach((col) => {
+    out[col] = [...new Set(rows.map((r) => String(r[col] ?? '')))].sort((a, b) =>
+      a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+    );
+  });
+  return out;
+};
+
+// Column totals; Margin % and calculated measures that sum their inputs first are
+// worked out from the totals, as in the chart (measures: compiled calculated measures)
+export const totalsFor = (rows, metrics, measures) => {
+  const totals = {};
+  let marginSum = 0;
+  let revenueSum = 0;
+  const fromTotals = (m) => m === 'Margin %' || (measures?.names.includes(m) && !measures.perRow.includes(m));
+  metrics
+    .filter((m) => !fromTotals(m))
+    .forEach((m) => {
+      totals[m] = rows.reduce((acc, r) => acc + (Number.isFinite(Number(r[m])) ? Number(r[m]) : 0), 0);
+    });
+  rows.forEach((r) => {
+    marginSum += getNum(r, ['Margin', 'margin']);
+    revenueSum += getNum(r, ['Revenue', 'revenue']);
+  });
+  totals['Margin %'] = revenueSum > 0 ? (marginSum / revenueSum) * 100 : NaN;
+  if (measures?.names.length) Object.assign(totals, measures.evaluateBucket(totals));
+  return totals;
+};
@@ -0,0 +1,223 @@
+import Papa from 'papaparse';
+import { ALL_OPCOS, pathKey } from './aggregate.js';
+import { toNumber, isNumeric, getNum } from './numbers.js';
+import { PARSE_OPTIONS } from './normalize.js';
+import { detectFormat, readWorkbook, sheetToResult, parseJsonText, parseNdjsonText } from './fileParsers.js';
+
+// Budgets/targets keyed by any level of the drill hierarchy, optionally per OpCo.
+// A targets file has the leading hierarchy columns (category, or category + sub_category,
+// ...), an optional opco column and one column per measure ("Revenue" or "Target Revenue").
+// Targets are resolved for every drill node in the same shape as the rollups:
+//   alloc[pathKey(parentPath)][childName][opcoKey] = { measure: target }
+// A node without its own target gets its parent's, less what its siblings were given
+// explicitly, in proportion to revenue; ratios (Margin %) are passed down unchanged.
+// OpCo targets add up to the all-OpCo target, and an all-OpCo target is split across
+// OpCos the same way.
+
+const norm = (s) => String(s ?? '').replace(/^target\s*/i, '').replace(/[\s_]+/g, '').toLowerCase();
+
+// First sheet of a workbook, JSON or CSV (parsed as the data itself), in Papa's result shape
+export const readTargetsFile = async (file) => {
+  const format = detectFormat(file.name);
+  if (format === 'xlsx') {
+    const book = await readWorkbook(await file.arrayBuffer());
+    if (book.sheets.length === 0) throw new Error('Workbook has no sheets');
+    return sheetToResult(book.workbook, book.sheets[0].name);
+  }
+  if (format === 'json') return parseJsonText(await file.text());
+  if (format === 'ndjson') return parseNdjsonText(await file.text());
+  return Papa.parse(await file.text(), PARSE_OPTIONS);
+};
+
+/**
+ * Target records -> { targets: [{ path, opco, values }], measures, issues }.
+ * Columns are matched to hierarchy levels, 'opco' and measures ignoring case, spaces,
+ * underscores and a "Target" prefix; a row's path is its leading non-blank levels.
+ */
+export const parseTargets = (records, { hierarchy, metrics }) => {
+  const fields = Object.keys(records[0] || {});
+  const levelCols = hierarchy.map((col) => fields.find((f) => norm(f) === norm(col)));
+  const opcoCol = hierarchy.includes('opco') ? null : fields.find((f) => norm(f) === 'opco');
+  const measureCols = metrics
+    .map((m) => ({ measure: m, field: fields.find((f) => norm(f) === norm(m)) }))
+    .filter((c) => c.field);
+  const issues = [];
+  if (!levelCols[0]) issues.push(`No ${hierarchy[0]} column; every row is a grand-total target.`);
+  if (measureCols.length === 0) issues.push(`No measure columns; expected one of ${metrics.join(', ')}.`);
+
+  const targets = [];
+  records.forEach((rec, i) => {
+    const path = [];
+    for (const col of levelCols) {
+      const v = col ? String(rec[col] ?? '').trim() : '';
+      if (!v) break;
+      path.push(v);
+    }
+    const gap = levelCols.slice(path.length).some((col) => col && String(rec[col] ?? '').trim());
+    if (gap) {
+      issues.push(`Row ${i + 2}: a lower level is set without the levels above it; skipped.`);
+      return;
+    }
+    const values = {};
+    measureCols.forEach(({ measure, field }) => {
+      if (isNumeric(rec[field])) values[measure] = toNumber(rec[field]);
+    });
+    if (Object.keys(values).length === 0) return;
+    targets.push({ path, opco: opcoCol ? String(rec[opcoCol] ?? '').trim() : '', values });
+  });
+  return { targets, measures: measureCols.map((c) => c.measure), issues };
+};
+
+const sum = (xs) => xs.reduce((a, v) => a + v, 0);
+
+/**
+ * Targets for every node of the rollups. isRatio(measure) marks measures that are passed
+ * down as they are instead of split by revenue.
+ */
+export const allocateTargets = (rollups, targets, { isRatio }) => {
+  const explicit = new Map();
+  const measures = new Set();
+  targets.forEach(({ path, opco, values }) => {
+    const key = pathKey(path);
+    const byOpco = explicit.get(key) || {};
+    const opcoKey = opco || ALL_OPCOS;
+    byOpco[opcoKey] = { ...byOpco[opcoKey], ...values };
+    explicit.set(key, byOpco);
+    Object.keys(values).forEach((m) => measures.add(m));
+  });
+
+  // One node's targets per OpCo key from what it inherited and what it was given (groups:
+  // its rollup buckets). An all-OpCo target of its own is split across the OpCos without
+  // one, replacing what they inherited; OpCo targets of its own add up to the total.
+  const acrossOpcos = (inherited, given, groups) => {
+    const res = {};
+    const set = (k, m, v) => {
+      if (Number.isFinite(v)) res[k] = { ...res[k], [m]: v };
+    };
+    const opcos = Object.keys(groups).filter((k) => k !== ALL_OPCOS);
+    measures.forEach((m) => {
+      const ownTotal = given[ALL_OPCOS]?.[m];
+      const ownOpcos = opcos.filter((k) => Number.isFinite(given[k]?.[m]));
+      ownOpcos.forEach((k) => set(k, m, given[k][m]));
+      const rest = opcos.filter((k) => !ownOpcos.includes(k));
+
+      if (!Number.isFinite(ownTotal) && ownOpcos.length) {
+        rest.forEach((k) => set(k, m, inherited[k]?.[m]));
+        set(ALL_OPCOS, m, isRatio(m) ? inherited[ALL_OPCOS]?.[m] : sum(opcos.map((k) => res[k]?.[m] || 0)));
+        return;
+      }
+      const total = Number.isFinite(ownTotal) ? ownTotal : inherited[ALL_OPCOS]?.[m];
+      set(ALL_OPCOS, m, total);
+      if (!Number.isFinite(total)) return;
+      if (!Number.isFinite(ownTotal) && rest.every((k) => Number.isFinite(inherited[k]?.[m]))) {
+        rest.forEach((k) => set(k, m, inherited[k][m]));
+        return;
+      }
+      const restRevenue = sum(rest.map((k) => groups[k].revenueSum));
+      const left = total - sum(ownOpcos.map((k) => given[k][m]));
+      rest.forEach((k) =>
+        set(k, m, isRatio(m) ? total : restRevenue > 0 ? (left * groups[k].revenueSum) / restRevenue : NaN)
+      );
+    });
+    return res;
+  };
+
+  const alloc = {};
+  const visit = (path, parentTargets) => {
+    const node = rollups?.[pathKey(path)];
+    if (!node) return;
+    const names = Object.keys(node);
+    const own = Object.fromEntries(names.map((name) => [name, {}]));
+
+    // the parent's targets split over the children without their own
+    Object.entries(parentTargets).forEach(([opcoKey, values]) => {
+      Object.entries(values).forEach(([m, target]) => {
+        const given = names.filter((name) => Number.isFinite(explicit.get(pathKey([...path, name]))?.[opcoKey]?.[m]));
+        const rest = names.filter((name) => !given.includes(name) && node[name][opcoKey]);
+        const restRevenue = sum(rest.map((name) => node[name][opcoKey].revenueSum));
+        const left = target - sum(given.map((name) => explicit.get(pathKey([...path, name]))[opcoKey][m]));
+        rest.forEach((name) => {
+          const v = isRatio(m) ? target : restRevenue > 0 ? (left * node[name][opcoKey].revenueSum) / restRevenue : NaN;
+          if (Number.isFinite(v)) own[name][opcoKey] = { ...own[name][opcoKey], [m]: v };
+        });
+      });
+    });
+
+    names.forEach((name) => {
+      const childPath = [...path, name];
+      const resolved = acrossOpcos(own[name], explicit.get(pathKey(childPath)) || {}, node[name]);
+      if (Object.keys(resolved).length) (alloc[pathKey(path)] || (alloc[pathKey(path)] = {}))[name] = resolved;
+      visit(childPath, resolved);
+    });
+  };
+
+  // grand-total targets (rows with no hierarchy value) against revenue over all top-level nodes
+  const rootGroups = {};
+  Object.values(rollups?.[''] || {}).forEach((groups) =>
+    Object.entries(groups).forEach(([k, agg]) => {
+      rootGroups[k] = { revenueSum: (rootGroups[k]?.revenueSum || 0) + agg.revenueSum };
+    })
+  );
+  visit([], acrossOpcos({}, explicit.get('') || {}, rootGroups));
+  return alloc;
+};
+
+// Target of one drill node for an OpCo key, or undefined
+export const nodeTarget = (alloc, path, name, opcoKey, metric) => {
+  const v = alloc?.[pathKey(path)]?.[name]?.[opcoKey]?.[metric];
+  return Number.isFinite(v) ? v : undefined;
+};
+
+// { target, diff, pctDiff } of an actual against its target
+export const targetVariance = (actual, target) => {
+  if (!Number.isFinite(target)) return null;
+  const diff = Number.isFinite(actual) ? actual - target : NaN;
+  return { target, diff, pctDiff: target ? (diff / Math.abs(target)) * 100 : NaN };
+};
+
+export const targetColumns = (metric) => [`Target ${metric}`, `vs Target ${metric}`, `% vs Target ${metric}`];
+
+/**
+ * Leaf rows with their share of the target of the node they sit in, by revenue within the
+ * row's OpCo (or the node's target for ratios), and the variance. value(row) is the row's
+ * actual for the metric; buckets come from the rollups.
+ */
+export const withRowTargets = (rows, alloc, rollups, { hierarchy, metric, ratio, value }) => {
+  const [targetCol, diffCol, pctCol] = targetColumns(metric);
+  return rows.map((row) => {
+    const path = hierarchy.map((col) => row[col]);
+    const parent = path.slice(0, -1);
+    const name = path[path.length - 1];
+    const opcoKey = row.opco || 'Unknown';
+    const nodeValue = nodeTarget(alloc, parent, name, opcoKey, metric);
+    const nodeRevenue = rollups?.[pathKey(parent)]?.[name]?.[opcoKey]?.revenueSum;
+    const target =
+      nodeValue === undefined
+        ? undefined
+        : ratio
+        ? nodeValue
+        : nodeRevenue > 0
+        ? (nodeValue * getNum(row, ['Revenue', 'revenue'])) / nodeRevenue
+        : undefined;
+    const v = targetVariance(value(row), target);
+    return { ...row, [targetCol]: v?.target, [diffCol]: v?.diff, [pctCol]: v?.pctDiff };
+  });
+};
+
+// Totals of the target columns: summed, or revenue-weighted for ratios
+export const targetTotals = (rows, { metric, ratio, actual }) => {
+  const [targetCol, diffCol, pctCol] = targetColumns(metric);
+  const withTarget = rows.filter((r) => Number.isFinite(r[targetCol]));
+  if (!withTarget.length) return {};
+  let target;
+  if (ratio) {
+    const revenue = sum(withTarget.map((r) => getNum(r, ['Revenue', 'revenue'])));
+    target = revenue > 0 ? sum(withTarget.map((r) => r[targetCol] * getNum(r, ['Revenue', 'revenue']))) / revenue : NaN;
+  } else {
+    target = sum(withTarget.map((r) => r[targetCol]));
+  }
+  // no target for a ratio over zero or negative revenue: leave the columns blank
+  const v = targetVariance(actual, target);
+  if (!v) return {};
+  return { [targetCol]: v.target, [diffCol]: v.diff, [pctCol]: v.pctDiff };
+};
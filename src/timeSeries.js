@@ -0,0 +1,37 @@
+import { newBucket, addRow, rowCalcFor, finishBucket, bucketMetrics } from './aggregate.js';
+import { parseDateValue, bucketKey, bucketLabel } from './dates.js';
+
+/**
+ * Trend of one measure over time for a set of rows (the selected drill node).
+ * bySeries: true for one series per OpCo, false for a single 'value' series;
+ * measures: optional compiled calculated measures.
+ * Returns { points: [{ period, label, [series]: value }], series: [key] } in time order;
+ * Margin % is the ratio of sums within each bucket, as in the bar chart.
+ */
+export const buildTrend = (rows, { column, grain, metric, metrics, bySeries, measures }) => {
+  const sumMetrics = metrics.filter((m) => m !== 'Margin %' && !measures?.names.includes(m));
+  const buckets = new Map();
+  const seriesKeys = new Set();
+
+  rows.forEach((row) => {
+    const t = parseDateValue(row[column]);
+    if (t === null) return;
+    const key = bucketKey(t, grain);
+    const series = bySeries ? row.opco || 'Unknown' : 'value';
+    seriesKeys.add(series);
+    const groups = buckets.get(key) || {};
+    addRow(groups[series] || (groups[series] = newBucket()), row, sumMetrics, rowCalcFor(row, measures));
+    buckets.set(key, groups);
+  });
+
+  const points = [...buckets.keys()].sort().map((key) => {
+    const point = { period: key, label: bucketLabel(key, grain) };
+    Object.entries(buckets.get(key)).forEach(([series, agg]) => {
+      const v = bucketMetrics(finishBucket(agg, measures))[metric];
+      point[series] = Number.isFinite(v) ? v : null;
+    });
+    return point;
+  });
+
+  return { points, series: [...seriesKeys].sort() };
+};
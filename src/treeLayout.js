@@ -0,0 +1,102 @@
+// Geometry for the treemap (squarified rectangles) and the sunburst (rings of arcs).
+// Input nodes come from hierarchyTree: { size, children? }, largest first.
+
+// worst aspect ratio of a row of areas laid along a side of the given length
+const worstRatio = (areas, side) => {
+  const sum = areas.reduce((a, v) => a + v, 0);
+  const max = Math.max(...areas);
+  const min = Math.min(...areas);
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+};
+
+/**
+ * Squarified layout of nodes in a rectangle (Bruls, Huizing & van Wijk).
+ * Returns [{ node, x, y, w, h }].
+ */
+export const squarify = (nodes, { x, y, w, h }) => {
+  const total = nodes.reduce((a, n) => a + n.size, 0);
+  if (!(total > 0) || w <= 0 || h <= 0) return [];
+  const areas = nodes.map((n) => (n.size / total) * w * h);
+  const out = [];
+  let rect = { x, y, w, h };
+
+  const placeRow = (row) => {
+    const sum = row.reduce((a, i) => a + areas[i], 0);
+    if (rect.w >= rect.h) {
+      // a column along the left edge
+      const cw = sum / rect.h;
+      let cy = rect.y;
+      row.forEach((i) => {
+        const ch = areas[i] / cw;
+        out.push({ node: nodes[i], x: rect.x, y: cy, w: cw, h: ch });
+        cy += ch;
+      });
+      rect = { x: rect.x + cw, y: rect.y, w: rect.w - cw, h: rect.h };
+    } else {
+      // a row along the top edge
+      const rh = sum / rect.w;
+      let cx = rect.x;
+      row.forEach((i) => {
+        const cw = areas[i] / rh;
+        out.push({ node: nodes[i], x: cx, y: rect.y, w: cw, h: rh });
+        cx += cw;
+      });
+      rect = { x: rect.x, y: rect.y + rh, w: rect.w, h: rect.h - rh };
+    }
+  };
+
+  let row = [];
+  nodes.forEach((_, i) => {
+    const side = Math.min(rect.w, rect.h);
+    const grown = [...row, i];
+    if (row.length && worstRatio(grown.map((k) => areas[k]), side) > worstRatio(row.map((k) => areas[k]), side)) {
+      placeRow(row);
+      row = [i];
+    } else {
+      row = grown;
+    }
+  });
+  if (row.length) placeRow(row);
+  return out;
+};
+
+/**
+ * Sunburst arcs: every node gets a ring (its depth, 0 = innermost) and an angle range
+ * in radians proportional to its size. Returns [{ node, depth, a0, a1 }].
+ */
+export const sunburstArcs = (nodes, a0 = 0, a1 = 2 * Math.PI, depth = 0, out = []) => {
+  const total = nodes.reduce((a, n) => a + n.size, 0);
+  if (!(total > 0)) return out;
+  let start = a0;
+  nodes.forEach((node) => {
+    const end = start + ((a1 - a0) * node.size) / total;
+    out.push({ node, depth, a0: start, a1: end });
+    if (node.children) sunburstArcs(node.children, start, end, depth + 1, out);
+    start = end;
+  });
+  return out;
+};
+
+// SVG path of a ring segment; angles clockwise from 12 o'clock
+export const arcPath = (cx, cy, r0, r1, a0, a1) => {
+  const pt = (r, a) => `${(cx + r * Math.sin(a)).toFixed(2)} ${(cy - r * Math.cos(a)).toFixed(2)}`;
+  // a full circle can't be drawn as one arc
+  const end = a1 - a0 >= 2 * Math.PI - 1e-9 ? a0 + 2 * Math.PI - 1e-3 : a1;
+  const large = end - a0 > Math.PI ? 1 : 0;
+  return [
+    `M ${pt(r1, a0)}`,
+    `A ${r1} ${r1} 0 ${large} 1 ${pt(r1, end)}`,
+    `L ${pt(r0, end)}`,
+    `A ${r0} ${r0} 0 ${large} 0 ${pt(r0, a0)}`,
+    'Z',
+  ].join(' ');
+};
+
+// Every node of a tree, depth first
+export const flattenTree = (nodes, out = []) => {
+  nodes.forEach((n) => {
+    out.push(n);
+    if (n.children) flattenTree(n.children, out);
+  });
+  return out;
+};
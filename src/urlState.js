@@ -0,0 +1,82 @@
+import { DEFAULT_HIERARCHY, sameHierarchy } from './hierarchy.js';
+
+// Hash-based view state, e.g.
+//   #/?path=Pantry%20%26%20Staples&path=Nuts&measure=Margin%20%25&opco=X&sort=revenue&dir=desc
+// A non-default drill hierarchy is added as repeated `level` params; multi-column sorts
+// repeat `sort`/`dir` pairs in priority order.
+// The hash keeps links working under the /sku_app/ base on GitHub Pages.
+
+export const DEFAULT_VIEW = {
+  hierarchy: null,
+  drillPath: [],
+  selectedMetric: null,
+  selectedOpCo: 'All',
+  sortKeys: [],
+};
+
+export const encodeViewState = ({ hierarchy, drillPath, selectedMetric, selectedOpCo, sortKeys }) => {
+  const params = new URLSearchParams();
+  if (hierarchy?.length && !sameHierarchy(hierarchy, DEFAULT_HIERARCHY)) {
+    hierarchy.forEach((l) => params.append('level', l));
+  }
+  (drillPath || []).forEach((p) => params.append('path', p));
+  if (selectedMetric) params.set('measure', selectedMetric);
+  if (selectedOpCo && selectedOpCo !== 'All') params.set('opco', selectedOpCo);
+  (sortKeys || []).forEach(({ key, direction }) => {
+    params.append('sort', key);
+    params.append('dir', direction === 'desc' ? 'desc' : 'asc');
+  });
+  const qs = params.toString();
+  return qs ? `#/?${qs}` : '';
+};
+
+export const decodeViewState = (hash) => {
+  const raw = String(hash || '').replace(/^#\/?\??/, '');
+  const params = new URLSearchParams(raw);
+  const dirs = params.getAll('dir');
+  const levels = params.getAll('level');
+  return {
+    hierarchy: levels.length ? levels : null,
+    drillPath: params.getAll('path'),
+    selectedMetric: params.get('measure'),
+    selectedOpCo: params.get('opco') || 'All',
+    sortKeys: params.getAll('sort').map((key, i) => ({ key, direction: dirs[i] === 'desc' ? 'desc' : 'asc' })),
+  };
+};
+
+export const readViewState = () => decodeViewState(window.location.hash);
+
+// Views saved before multi-column sorts carry sortConfig: { key, direction } instead
+export const viewSortKeys = (view) => {
+  if (Array.isArray(view?.sortKeys)) return view.sortKeys;
+  const legacy = view?.sortConfig;
+  return legacy?.key ? [{ key: legacy.key, direction: legacy.direction === 'desc' ? 'desc' : 'asc' }] : [];
+};
+
+// push = a new history entry (drilling), otherwise the current entry is replaced.
+// Each entry remembers the hash it was pushed from so "Back" can tell whether the
+// previous history entry is the parent level.
+export const writeViewState = (state, { push = false } = {}) => {
+  const hash = encodeViewState(state);
+  if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (push) {
+    window.history.pushState({ skuView: true, from: window.location.hash }, '', url);
+  } else {
+    window.history.replaceState({ skuView: true, from: window.history.state?.from ?? null }, '', url);
+  }
+};
+
+// Keep only the prefix of a drill path that still exists in the data
+export const validDrillPath = (rows, path, levels) => {
+  const out = [];
+  let scope = rows;
+  for (let i = 0; i < path.length && i < levels.length; i++) {
+    const col = levels[i];
+    const next = scope.filter((r) => String(r[col]) === path[i]);
+    if (next.length === 0) break;
+    out.push(path[i]);
+    scope = next;
+  }
+  return out;
+};
@@ -0,0 +1,24 @@
+import { useEffect, useRef, useState } from 'react';
+import { computeNodeView } from './dataClient.js';
+
+/**
+ * One of nodeViews.js's views, computed in the data worker. null while it is worked out
+ * and when scope or options is null (the view is off). scope and options should be
+ * memoized: a new object asks the worker again, and a newer request drops older replies.
+ */
+export const useNodeView = (scope, view, options, onError) => {
+  const [result, setResult] = useState(null);
+  const seqRef = useRef(0);
+
+  useEffect(() => {
+    const seq = ++seqRef.current;
+    setResult(null);
+    if (!scope || !options) return;
+    const current = () => seq === seqRef.current;
+    computeNodeView(scope, view, options)
+      .then((r) => { if (current()) setResult(r); })
+      .catch((err) => { if (current()) onError?.(err); });
+  }, [scope, view, options]);
+
+  return result;
+};
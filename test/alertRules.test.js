@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRules, ruleCounts } from '../src/alertRules.js';
+import { skuPoints } from '../src/scatter.js';
+
+// two SKUs over three months: S1 sells 30 in total, S2 60
+const rows = [
+  { category: 'A', sku_code: 'S1', month: '202401', revenue: 10 },
+  { category: 'A', sku_code: 'S1', month: '202402', revenue: 10 },
+  { category: 'A', sku_code: 'S1', month: '202403', revenue: 10 },
+  { category: 'A', sku_code: 'S2', month: '202401', revenue: 40 },
+  { category: 'A', sku_code: 'S2', month: '202402', revenue: 20 },
+  { category: 'B', sku_code: 'S3', month: '202401', revenue: 5 },
+];
+
+test('rules are checked on SKU totals, not on rows of one period', () => {
+  const points = skuPoints(rows, { metrics: ['revenue'], measures: null, levels: ['category'] });
+  assert.deepEqual(points.map((p) => [p.sku_code, p.category, p.__metrics.revenue]), [
+    ['S1', 'A', 30],
+    ['S2', 'A', 60],
+    ['S3', 'B', 5],
+  ]);
+  const rules = resolveRules(
+    [
+      { metric: 'revenue', op: '<', by: 'value', value: 25, action: 'red' },
+      { metric: 'revenue', op: '<=', by: 'percentile', value: 50, action: 'flag' },
+    ],
+    { metrics: ['revenue'], valuesOf: (m) => points.map((p) => p.__metrics[m]) }
+  );
+  assert.equal(rules[1].threshold, 30);
+  assert.deepEqual(ruleCounts(points, rules, { groupCol: 'category' }), { A: [0, 1], B: [1, 1] });
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guessColumn, autoMapping } from '../src/columnMapping.js';
+import { normalizeRows } from '../src/normalize.js';
+import { dateColumns } from '../src/dates.js';
+
+const data = [
+  { category: 'A', sub_category: 'A1', item: 'x', month: '202401', revenue: '100' },
+  { category: 'A', sub_category: 'A1', item: 'x', month: '202402', revenue: '120' },
+  { category: 'B', sub_category: 'B1', item: 'y', month: '202402', revenue: '80' },
+];
+
+test('a numeric month column is a dimension, not a measure', () => {
+  assert.equal(guessColumn('month', data).role, 'dimension');
+  assert.equal(guessColumn('YYYYMM', [{ YYYYMM: '202401' }]).role, 'dimension');
+  assert.equal(guessColumn('units', [{ units: '12' }]).role, 'measure');
+});
+
+test('a numeric month column offers the trend chart and date range', () => {
+  const { mapping } = autoMapping(Object.keys(data[0]), data);
+  const { rows, metrics } = normalizeRows({ data, errors: [] }, mapping);
+  assert.ok(!metrics.includes('month'));
+  assert.deepEqual(dateColumns(rows, metrics), ['month']);
+});
+
+test('extra columns load without the mapping step', () => {
+  const rows = [{ category: 'A', sub_category: 'A1', item: 'x', region: 'North', Revenue: '100', units: '3' }];
+  const { mapping, complete } = autoMapping(Object.keys(rows[0]), rows);
+  assert.ok(complete);
+  assert.deepEqual(mapping.region, { role: 'dimension', target: 'region' });
+  assert.deepEqual(mapping.units, { role: 'measure', target: 'units' });
+});
+
+test('a missing drill level or revenue asks for the mapping', () => {
+  const noItem = [{ category: 'A', sub_category: 'A1', revenue: '100' }];
+  assert.equal(autoMapping(Object.keys(noItem[0]), noItem).complete, false);
+  const noRevenue = [{ category: 'A', sub_category: 'A1', item: 'x', sales: '100' }];
+  assert.equal(autoMapping(Object.keys(noRevenue[0]), noRevenue).complete, false);
+});
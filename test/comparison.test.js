@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { autoMapping } from '../src/columnMapping.js';
+import { normalizeRows } from '../src/normalize.js';
+import { periodColumns, periodValues } from '../src/comparison.js';
+
+test('a numeric month column is offered for period comparison', () => {
+  const data = [
+    { category: 'A', sub_category: 'A1', item: 'x', month: '202401', revenue: '100' },
+    { category: 'A', sub_category: 'A1', item: 'x', month: '202402', revenue: '120' },
+  ];
+  const { mapping } = autoMapping(Object.keys(data[0]), data);
+  const { rows, metrics } = normalizeRows({ data, errors: [] }, mapping);
+  assert.deepEqual(periodColumns(rows, metrics), ['month']);
+  assert.deepEqual(periodValues(rows, 'month'), ['202401', '202402']);
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateValue } from '../src/dates.js';
+
+test('days the month does not have are not dates', () => {
+  assert.equal(parseDateValue('2024-02-31'), null);
+  assert.equal(parseDateValue('31/04/2024'), null);
+  assert.equal(parseDateValue('20230229'), null);
+  assert.equal(parseDateValue('2024-02-29'), Date.UTC(2024, 1, 29));
+  assert.equal(parseDateValue('202402'), Date.UTC(2024, 1, 1));
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Papa from 'papaparse';
+import { toNumber, getNum, normHeader, loadCsv, drillDown, defaultHierarchy } from '../src/headless.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const SAMPLE = join(root, 'public/data/sku_data.csv');
+const CLI = join(root, 'bin/sku-rollup.js');
+
+const cli = (...args) => JSON.parse(execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8' }));
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// expected: one array per row, values in column order; numbers compared to 1e-9
+const assertRows = (out, columns, expected) => {
+  assert.deepEqual(out.columns, columns);
+  assert.equal(out.rows.length, expected.length);
+  expected.forEach((want, i) =>
+    columns.forEach((col, j) => {
+      const got = out.rows[i][col];
+      if (typeof want[j] === 'number') assert.ok(close(got, want[j]), `${col} of row ${i}: ${got} vs ${want[j]}`);
+      else assert.equal(got, want[j], `${col} of row ${i}`);
+    })
+  );
+};
+
+// Expected numbers worked out by hand from public/data/sku_data.csv; Margin % is
+// margin / revenue of the group's sums
+const pct = (margin, revenue) => (margin / revenue) * 100;
+const MEASURES = ['revenue', 'margin', 'cost', 'no of transactions', 'Margin %'];
+
+test('toNumber reads separators and k/m/b suffixes', () => {
+  assert.equal(toNumber('1,234'), 1234);
+  assert.equal(toNumber('12.5k'), 12500);
+  assert.equal(toNumber('3M'), 3e6);
+  assert.equal(toNumber('-1b'), -1e9);
+  assert.equal(toNumber(''), 0);
+  assert.equal(toNumber('n/a'), 0);
+});
+
+test('getNum and normHeader ignore case, spaces and underscores', () => {
+  assert.equal(getNum({ 'No of_Transactions': '2k' }, ['no of transactions']), 2000);
+  assert.equal(getNum({ revenue: 5 }, ['Margin']), 0);
+  assert.equal(normHeader(' Sub_Category '), 'subcategory');
+  assert.equal(normHeader('sub-category'), normHeader('Sub Category'));
+});
+
+test('the sample loads with Margin % as a derived measure', () => {
+  const dataset = loadCsv(readFileSync(SAMPLE, 'utf8'));
+  assert.equal(dataset.rows.length, 28);
+  assert.ok(dataset.metrics.includes('Margin %'));
+  assert.deepEqual(defaultHierarchy(dataset.rows), ['category', 'sub_category', 'item']);
+});
+
+test('the top level has one line per category', () => {
+  assertRows(cli(SAMPLE), ['Category', ...MEASURES], [
+    ['Animal Protein', 1468, 1014, 1585, 728, pct(1014, 1468)],
+    ['Bakery & Desserts', 632, 908, 1245, 1430, pct(908, 632)],
+    ['Condiments & Spices', 3827, 6509, 6458, 5760, pct(6509, 3827)],
+    ['Dairy & Eggs', 2336, 1569, 1409, 2457, pct(1569, 2336)],
+    ['Fruit & Veg', 203, 73, 78, 38, pct(73, 203)],
+    ['Pantry & Staples', 431, 1946, 3634, 2509, pct(1946, 431)],
+  ]);
+});
+
+test('a drill path, and a sort cut to a top N with Others', () => {
+  assertRows(cli(SAMPLE, '--path', 'Condiments & Spices>Table sauces'), ['Item', ...MEASURES], [
+    ['Other', 3164, 4753, 4898, 4148, pct(4753, 3164)],
+    ['Salad dressing', 470, 860, 410, 606, pct(860, 470)],
+  ]);
+  assertRows(cli(SAMPLE, '--sort', 'revenue', '--desc', '--top', '3', '--measure', 'revenue'), ['Category', 'revenue'], [
+    ['Condiments & Spices', 3827],
+    ['Dairy & Eggs', 2336],
+    ['Animal Protein', 1468],
+    ['Others (3)', 632 + 203 + 431],
+  ]);
+});
+
+test('category totals match sums of the raw file, Margin % as a ratio of sums', () => {
+  const raw = Papa.parse(readFileSync(SAMPLE, 'utf8'), { header: true, skipEmptyLines: true }).data;
+  const totals = {};
+  raw.forEach((r) => {
+    const t = totals[r.category] || (totals[r.category] = { revenue: 0, margin: 0 });
+    t.revenue += Number(r.revenue);
+    t.margin += Number(r.margin);
+  });
+  const out = cli(SAMPLE, '--measure', 'revenue');
+  assert.deepEqual(out.columns, ['Category', 'revenue']);
+  out.rows.forEach((row) => assert.equal(row.revenue, totals[row.Category].revenue));
+
+  const ratios = cli(SAMPLE, '--measure', 'margin %');
+  ratios.rows.forEach((row) => {
+    const t = totals[row.Category];
+    assert.ok(Math.abs(row['Margin %'] - (t.margin / t.revenue) * 100) < 1e-9, row.Category);
+  });
+});
+
+test('the leaf level lists the SKU rows under the path', () => {
+  const out = cli(SAMPLE, '--path', 'Condiments & Spices>Table sauces>Other', '--measure', 'revenue');
+  assert.equal(out.level, 'SKU');
+  assert.deepEqual(
+    out.rows.map((r) => [r['SKU Code'], r.revenue]),
+    [
+      ['AAA141', 910], ['AAA142', 348], ['AAA143', 300], ['AAA144', 582], ['AAA145', -94],
+      ['AAA146', 483], ['AAA147', 286], ['AAA148', -23], ['AAA149', 27], ['AAA150', 345],
+    ]
+  );
+});
+
+test('CSV output has the same rows as JSON', () => {
+  const csv = execFileSync(process.execPath, [CLI, SAMPLE, '--format', 'csv'], { encoding: 'utf8' });
+  const parsed = Papa.parse(csv.trim(), { header: true, dynamicTyping: true });
+  const json = cli(SAMPLE);
+  assert.deepEqual(parsed.meta.fields, json.columns);
+  parsed.data.forEach((row, i) => assert.equal(row.revenue, json.rows[i].revenue));
+});
+
+test('CSV output escapes formula-like cells only when asked', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sku-rollup-'));
+  const file = join(dir, 'formulas.csv');
+  writeFileSync(file, ['category,sub_category,item,sku_code,revenue', '=1+1,A1,x,S1,100', '@SUM(A1),B1,y,S2,-5'].join('\n'));
+  const csvLines = (...args) =>
+    execFileSync(process.execPath, [CLI, file, '--format', 'csv', ...args], { encoding: 'utf8' }).trim().split(/\r?\n/).slice(1);
+  try {
+    assert.deepEqual(csvLines(), ['@SUM(A1),-5', '=1+1,100']);
+    assert.deepEqual(csvLines('--escape-formulae'), [`"'@SUM(A1)",-5`, `"'=1+1",100`]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('OpCo grouping and the OpCo filter', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sku-rollup-'));
+  const file = join(dir, 'opcos.csv');
+  writeFileSync(
+    file,
+    [
+      'category,sub_category,item,sku_code,opco,revenue,margin',
+      'A,A1,x,S1,North,100,10',
+      'A,A1,y,S2,South,1.5k,300',
+      'A,A2,z,S3,North,50,-5',
+      'B,B1,w,S4,South,200,40',
+    ].join('\n')
+  );
+  try {
+    assertRows(cli(file), ['Category', 'OpCo', 'revenue', 'margin', 'Margin %'], [
+      ['A', 'North', 150, 5, pct(5, 150)],
+      ['A', 'South', 1500, 300, 20],
+      ['B', 'South', 200, 40, 20],
+    ]);
+    const south = cli(file, '--opco', 'South', '--measure', 'revenue');
+    assert.deepEqual(south.rows, [{ Category: 'A', OpCo: 'South', revenue: 1500 }, { Category: 'B', OpCo: 'South', revenue: 200 }]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('bad arguments exit with an error', () => {
+  const run = (...args) => spawnSync(process.execPath, [CLI, SAMPLE, ...args], { encoding: 'utf8' });
+  assert.equal(run('--measure', 'nope').status, 1);
+  assert.equal(run('--path', 'Nowhere').status, 1);
+  assert.equal(run('--opco', 'North').status, 1);
+  assert.match(run('--hierarchy', 'category,nope').stderr, /text column/);
+});
+
+test('drillDown rejects an unknown sort measure', () => {
+  const dataset = loadCsv(readFileSync(SAMPLE, 'utf8'));
+  assert.throws(() => drillDown(dataset, { sortBy: 'nope' }), /Unknown measure/);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nodeRows, nodeView } from '../src/nodeViews.js';
+import { buildRollups, bucketMetrics, ALL_OPCOS } from '../src/aggregate.js';
+import { buildPivot, pivotFromData, TOTAL_COLUMN } from '../src/pivotTable.js';
+
+const rows = [
+  { category: 'A', item: 'x', sku_code: 'S1', opco: 'North', month: '2024-01', revenue: 100, margin: 10 },
+  { category: 'A', item: 'x', sku_code: 'S1', opco: 'North', month: '2024-02', revenue: 50, margin: 20 },
+  { category: 'A', item: 'y', sku_code: 'S2', opco: 'South', month: '2024-01', revenue: 300, margin: 30 },
+  { category: 'B', item: 'z', sku_code: 'S3', opco: 'North', month: '2024-01', revenue: 80, margin: 8 },
+  { category: 'B', item: '', sku_code: 'S4', opco: 'North', month: '2024-01', revenue: 5, margin: 1 },
+];
+const metrics = ['revenue', 'margin', 'Margin %'];
+const hierarchy = ['category', 'item'];
+
+test('node rows are the rollup selection under the drill path and OpCo', () => {
+  const scope = { hierarchy, drillPath: ['A'], selectedOpCo: 'All', excluded: new Set([1]) };
+  assert.deepEqual(nodeRows(rows, scope).map((r) => r.sku_code), ['S1', 'S2']);
+  const north = { hierarchy, drillPath: [], selectedOpCo: 'North', where: { column: 'month', value: '2024-01' } };
+  assert.deepEqual(nodeRows(rows, north).map((r) => r.sku_code), ['S1', 'S3']);
+
+  // the same rows the rollups add up
+  const all = { hierarchy, drillPath: [], selectedOpCo: 'All' };
+  const rollups = buildRollups(rows, { hierarchy, metrics });
+  const revenue = nodeRows(rows, all).reduce((acc, r) => acc + r.revenue, 0);
+  const rolled = Object.values(rollups['']).reduce((acc, byOpco) => acc + bucketMetrics(byOpco[ALL_OPCOS]).revenue, 0);
+  assert.equal(revenue, rolled);
+});
+
+test('a pivot survives the trip back from the worker', () => {
+  const options = { rowDims: ['category'], colDims: ['opco'], metrics };
+  const pivot = buildPivot(rows, options);
+  const copy = pivotFromData(structuredClone(nodeView(rows, 'pivot', options)));
+  assert.deepEqual(copy.columns, pivot.columns);
+  [pivot.root, ...pivot.root.children].forEach((node) =>
+    [...pivot.columns.map((c) => c.key), TOTAL_COLUMN].forEach((col) =>
+      assert.deepEqual(copy.cell(node.key, col), pivot.cell(node.key, col))
+    )
+  );
+  assert.equal(copy.cell('C', TOTAL_COLUMN), null);
+});
+
+test('scenario totals list the actuals first', () => {
+  const fields = { revenue: 'revenue', cost: null, margin: 'margin', volume: null };
+  const scenarios = [{ name: 'Up', changes: [{ path: [], lever: 'price', mode: 'pct', amount: 10 }] }];
+  const [actuals, up] = nodeView(rows, 'scenarioTotals', { scenarios, hierarchy, fields, metrics });
+  assert.equal(actuals.name, null);
+  assert.equal(actuals.totals.revenue, 535);
+  assert.equal(up.name, 'Up');
+  assert.ok(Math.abs(up.totals.revenue - 588.5) < 1e-9);
+});
+
+test('an unknown view is an error', () => {
+  assert.throws(() => nodeView(rows, 'nope', { metrics }), /Unknown view/);
+});
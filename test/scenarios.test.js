@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scenarioFields, simulateRows } from '../src/scenarios.js';
+
+const fields = scenarioFields(['revenue', 'cost', 'volume']);
+const run = (rows, change) =>
+  simulateRows(rows, { changes: [{ path: [], mode: 'pct', ...change }] }, { hierarchy: ['category'], fields }).rows;
+
+test('a price change keeps a zero volume at zero', () => {
+  const [row] = run([{ category: 'A', revenue: 500, cost: 300, volume: 0 }], { lever: 'price', amount: 10 });
+  assert.equal(row.volume, 0);
+  assert.ok(Math.abs(row.revenue - 550) < 1e-9);
+});
+
+test('a volume change moves the volume of rows that have one', () => {
+  const [row] = run([{ category: 'A', revenue: 500, cost: 300, volume: 50 }], { lever: 'volume', amount: 10 });
+  assert.ok(Math.abs(row.volume - 55) < 1e-9);
+  assert.ok(Math.abs(row.revenue - 550) < 1e-9);
+});
+
+test('a row that sold nothing ignores per-unit and volume changes', () => {
+  const zero = { category: 'A', revenue: 500, cost: 300, volume: 0 };
+  assert.deepEqual(run([zero], { lever: 'price', mode: 'abs', amount: 2 })[0], zero);
+  assert.deepEqual(run([zero], { lever: 'cost', mode: 'abs', amount: 2 })[0], zero);
+  assert.deepEqual(run([zero], { lever: 'volume', amount: 10 })[0], zero);
+  assert.deepEqual(run([zero], { lever: 'volume', mode: 'abs', amount: 5 })[0], zero);
+  assert.ok(Math.abs(run([zero], { lever: 'cost', amount: 10 })[0].cost - 330) < 1e-9);
+});
+
+test('an absolute price change is per unit', () => {
+  const [row] = run([{ category: 'A', revenue: 500, cost: 300, volume: 50 }], { lever: 'price', mode: 'abs', amount: 1 });
+  assert.ok(Math.abs(row.revenue - 550) < 1e-9);
+  assert.equal(row.volume, 50);
+});
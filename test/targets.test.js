@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { targetColumns, targetTotals } from '../src/targets.js';
+
+const [targetCol, diffCol, pctCol] = targetColumns('Margin %');
+
+test('ratio target totals are blank when the rows with a target have no positive revenue', () => {
+  const negative = [{ revenue: -32, margin: 94, [targetCol]: 20 }];
+  assert.deepEqual(targetTotals(negative, { metric: 'Margin %', ratio: true, actual: NaN }), {});
+  const zero = [
+    { revenue: 50, [targetCol]: 20 },
+    { revenue: -50, [targetCol]: 30 },
+  ];
+  assert.deepEqual(targetTotals(zero, { metric: 'Margin %', ratio: true, actual: 10 }), {});
+});
+
+test('ratio target totals are revenue-weighted', () => {
+  const rows = [
+    { revenue: 100, [targetCol]: 20 },
+    { revenue: 300, [targetCol]: 40 },
+  ];
+  const totals = targetTotals(rows, { metric: 'Margin %', ratio: true, actual: 30 });
+  assert.equal(totals[targetCol], 35);
+  assert.equal(totals[diffCol], -5);
+  assert.ok(Math.abs(totals[pctCol] - (-5 / 35) * 100) < 1e-9);
+});
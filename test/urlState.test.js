@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeViewState, viewSortKeys } from '../src/urlState.js';
+
+test('single-sort hashes still decode', () => {
+  assert.deepEqual(decodeViewState('#/?sort=revenue&dir=desc').sortKeys, [{ key: 'revenue', direction: 'desc' }]);
+});
+
+test('saved views with the old sortConfig keep their sort', () => {
+  assert.deepEqual(viewSortKeys({ sortConfig: { key: 'margin', direction: 'desc' } }), [{ key: 'margin', direction: 'desc' }]);
+  assert.deepEqual(viewSortKeys({ sortConfig: { key: null, direction: 'asc' } }), []);
+  assert.deepEqual(viewSortKeys({ sortKeys: [{ key: 'cost', direction: 'asc' }] }), [{ key: 'cost', direction: 'asc' }]);
+  assert.deepEqual(viewSortKeys(null), []);
+});
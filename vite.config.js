@@ -5,4 +5,6 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/sku_app/',
+  // the data worker lazy-loads xlsx, which needs code-splitting inside the worker
+  worker: { format: 'es' },
 })